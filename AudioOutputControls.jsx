@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Slider,
+  IconButton,
+  Tooltip,
+  Alert
+} from '@mui/material';
+import VolumeUpIcon from '@mui/icons-material/VolumeUp';
+import VolumeOffIcon from '@mui/icons-material/VolumeOff';
+import useAudioOutput from '../../hooks/useAudioOutput';
+import { PLAYBACK_RATES } from '../../lib/playAiAudioOutput';
+
+const AudioOutputControls = () => {
+  const {
+    deviceId,
+    volume,
+    playbackRate,
+    muted,
+    devices,
+    canSelectDevice,
+    setDevice,
+    setVolume,
+    setPlaybackRate,
+    setMuted
+  } = useAudioOutput();
+  const [error, setError] = useState(null);
+
+  const handleDeviceChange = async (e) => {
+    setError(null);
+    try {
+      await setDevice(e.target.value);
+    } catch (err) {
+      setError(`Could not switch output device: ${err.message}`);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+        {canSelectDevice && devices.length > 0 && (
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Output</InputLabel>
+            <Select
+              label="Output"
+              value={devices.some(device => device.deviceId === deviceId) ? deviceId : ''}
+              onChange={handleDeviceChange}
+            >
+              {devices.map(device => (
+                <MenuItem key={device.deviceId} value={device.deviceId}>{device.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, width: 180 }}>
+          <Tooltip title={muted ? 'Unmute agent' : 'Mute agent'}>
+            <IconButton size="small" onClick={() => setMuted(!muted)}>
+              {muted ? <VolumeOffIcon /> : <VolumeUpIcon />}
+            </IconButton>
+          </Tooltip>
+          <Slider
+            size="small"
+            aria-label="Agent volume"
+            value={muted ? 0 : Math.round(volume * 100)}
+            onChange={(e, value) => {
+              setVolume(value / 100);
+              if (muted && value > 0) setMuted(false);
+            }}
+          />
+        </Box>
+
+        <FormControl size="small" sx={{ minWidth: 100 }}>
+          <InputLabel>Speed</InputLabel>
+          <Select
+            label="Speed"
+            value={playbackRate}
+            onChange={e => setPlaybackRate(e.target.value)}
+          >
+            {PLAYBACK_RATES.map(rate => (
+              <MenuItem key={rate} value={rate}>{rate}x</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+      {error && <Alert severity="error" sx={{ mt: 1 }}>{error}</Alert>}
+    </Box>
+  );
+};
+
+export default AudioOutputControls;
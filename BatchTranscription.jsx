@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  Chip,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Collapse,
+  Alert
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import PauseIcon from '@mui/icons-material/Pause';
+import ReplayIcon from '@mui/icons-material/Replay';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import TranscriptDownloadButton from '../common/TranscriptDownloadButton';
+import useBatchTranscription from '../../hooks/useBatchTranscription';
+import { BatchItemStatus, BatchJobStatus } from '../../lib/playAiBatchTranscription';
+
+const ITEM_STATUS_COLORS = {
+  [BatchItemStatus.QUEUED]: 'default',
+  [BatchItemStatus.TRANSCRIBING]: 'primary',
+  [BatchItemStatus.RETRYING]: 'warning',
+  [BatchItemStatus.COMPLETED]: 'success',
+  [BatchItemStatus.FAILED]: 'error'
+};
+
+const JOB_STATUS_LABELS = {
+  [BatchJobStatus.QUEUED]: 'Not started',
+  [BatchJobStatus.RUNNING]: 'Running',
+  [BatchJobStatus.PAUSED]: 'Paused',
+  [BatchJobStatus.COMPLETED]: 'Completed',
+  [BatchJobStatus.COMPLETED_WITH_ERRORS]: 'Completed with errors'
+};
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 5, 8];
+
+const BatchJob = ({ job, concurrency, onRun, onPause, onRetryFailed, onDelete }) => {
+  const [expanded, setExpanded] = useState(false);
+  const total = job.items.length;
+  const completed = job.items.filter(item => item.status === BatchItemStatus.COMPLETED).length;
+  const failed = job.items.filter(item => item.status === BatchItemStatus.FAILED).length;
+  const isRunning = job.status === BatchJobStatus.RUNNING;
+  const canResume = job.status === BatchJobStatus.QUEUED || job.status === BatchJobStatus.PAUSED;
+
+  return (
+    <Box sx={{ border: 1, borderColor: 'divider', borderRadius: 1, p: 2, mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Box sx={{ flexGrow: 1 }}>
+          <Typography variant="subtitle1">{job.name}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {completed} of {total} transcribed{failed ? `, ${failed} failed` : ''} · {JOB_STATUS_LABELS[job.status]}
+          </Typography>
+        </Box>
+        {isRunning && (
+          <Tooltip title="Pause">
+            <IconButton onClick={() => onPause(job.id)}>
+              <PauseIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {canResume && (
+          <Tooltip title="Resume">
+            <IconButton onClick={() => onRun(job.id, { concurrency })}>
+              <PlayArrowIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {!isRunning && failed > 0 && (
+          <Tooltip title="Retry failed">
+            <IconButton onClick={() => onRetryFailed(job.id, { concurrency })}>
+              <ReplayIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        <Tooltip title={isRunning ? 'Pause the job to delete it' : 'Delete job'}>
+          <span>
+            <IconButton onClick={() => onDelete(job.id)} disabled={isRunning}>
+              <DeleteIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <IconButton onClick={() => setExpanded(!expanded)} aria-label={expanded ? 'Hide recordings' : 'Show recordings'}>
+          {expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+        </IconButton>
+      </Box>
+
+      <LinearProgress
+        variant="determinate"
+        value={total ? ((completed + failed) / total) * 100 : 0}
+        color={failed ? 'warning' : 'primary'}
+        sx={{ mt: 1 }}
+      />
+
+      <Collapse in={expanded}>
+        <List dense>
+          {job.items.map(item => (
+            <ListItem key={item.id} disableGutters>
+              <ListItemText
+                primary={item.name}
+                secondary={item.status === BatchItemStatus.FAILED
+                  ? item.error
+                  : item.result?.text}
+                secondaryTypographyProps={{
+                  color: item.status === BatchItemStatus.FAILED ? 'error' : 'text.secondary',
+                  noWrap: true
+                }}
+              />
+              {item.attempts > 1 && (
+                <Typography variant="caption" color="text.secondary" sx={{ mx: 1 }}>
+                  {item.attempts} attempts
+                </Typography>
+              )}
+              <Chip label={item.status} size="small" color={ITEM_STATUS_COLORS[item.status]} />
+              {item.result && (
+                <TranscriptDownloadButton
+                  transcript={item.result}
+                  filename={item.name.replace(/\.[^.]+$/, '')}
+                  iconOnly
+                />
+              )}
+            </ListItem>
+          ))}
+        </List>
+      </Collapse>
+    </Box>
+  );
+};
+
+const BatchTranscription = () => {
+  const { jobs, isLoading, error, startJob, runJob, pauseJob, retryFailed, deleteJob } = useBatchTranscription();
+  const [files, setFiles] = useState([]);
+  const [urls, setUrls] = useState('');
+  const [concurrency, setConcurrency] = useState(3);
+  const [actionError, setActionError] = useState(null);
+
+  const urlList = urls.split('\n').map(url => url.trim()).filter(Boolean);
+
+  const handleFileChange = (e) => {
+    setFiles(Array.from(e.target.files || []));
+    // Let the same recordings be chosen again for another job
+    e.target.value = '';
+  };
+
+  const handleStart = () => {
+    const sources = [...files, ...urlList];
+    setFiles([]);
+    setUrls('');
+    startJob(sources, { concurrency });
+  };
+
+  const handleDelete = async (jobId) => {
+    setActionError(null);
+    try {
+      await deleteJob(jobId);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleRetryFailed = async (jobId, options) => {
+    setActionError(null);
+    try {
+      await retryFailed(jobId, options);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, borderRadius: 2, mt: 4 }}>
+      <Typography variant="h5" gutterBottom>
+        Batch Transcription
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Transcribe many recorded calls at once. Progress is saved, so unfinished jobs can be resumed after a reload.
+      </Typography>
+
+      {(error || actionError) && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error || actionError}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap', mb: 3 }}>
+        <Button variant="outlined" component="label" startIcon={<UploadFileIcon />}>
+          {files.length ? `${files.length} recording${files.length === 1 ? '' : 's'} selected` : 'Choose recordings'}
+          <input
+            type="file"
+            hidden
+            multiple
+            accept="audio/*"
+            onChange={handleFileChange}
+          />
+        </Button>
+        <TextField
+          label="Recording URLs (one per line)"
+          value={urls}
+          onChange={(e) => setUrls(e.target.value)}
+          multiline
+          minRows={1}
+          maxRows={4}
+          size="small"
+          sx={{ flexGrow: 1, minWidth: 260 }}
+        />
+        <TextField
+          select
+          label="At once"
+          value={concurrency}
+          onChange={(e) => setConcurrency(Number(e.target.value))}
+          size="small"
+          sx={{ width: 100 }}
+        >
+          {CONCURRENCY_OPTIONS.map(option => (
+            <MenuItem key={option} value={option}>{option}</MenuItem>
+          ))}
+        </TextField>
+        <Button
+          variant="contained"
+          onClick={handleStart}
+          disabled={!files.length && !urlList.length}
+        >
+          Transcribe
+        </Button>
+      </Box>
+
+      {isLoading && <LinearProgress />}
+      {!isLoading && !jobs.length && (
+        <Typography variant="body2" color="text.secondary">
+          No transcription jobs yet.
+        </Typography>
+      )}
+      {jobs.map(job => (
+        <BatchJob
+          key={job.id}
+          job={job}
+          concurrency={concurrency}
+          onRun={runJob}
+          onPause={pauseJob}
+          onRetryFailed={handleRetryFailed}
+          onDelete={handleDelete}
+        />
+      ))}
+    </Paper>
+  );
+};
+
+export default BatchTranscription;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  Checkbox,
+  IconButton,
+  Tooltip,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RecordVoiceOverIcon from '@mui/icons-material/RecordVoiceOver';
+import VolumeUpIcon from '@mui/icons-material/VolumeUp';
+import { PHONETIC_ALPHABETS, validateLexicon } from '../../lib/playAiLexicon';
+import { cachedTextToSpeech } from '../../lib/playAiTtsCache';
+import { attachMediaElement } from '../../lib/playAiAudioOutput';
+
+const emptyEntry = { word: '', alias: '', phoneme: '', alphabet: 'ipa', caseSensitive: false };
+
+const PronunciationEditor = ({ value = [], onChange, voiceId }) => {
+  const [playing, setPlaying] = useState(null);
+  const [error, setError] = useState(null);
+  const audioRef = useRef(null);
+  // Cancels the test being synthesized when another starts or the editor unmounts
+  const testControllerRef = useRef(null);
+  const { errors } = validateLexicon(value);
+
+  useEffect(() => () => {
+    if (testControllerRef.current) testControllerRef.current.abort();
+    if (audioRef.current) audioRef.current.pause();
+  }, []);
+
+  const updateEntry = (index, field, fieldValue) => {
+    onChange(value.map((entry, i) => (i === index ? { ...entry, [field]: fieldValue } : entry)));
+  };
+
+  const handleAdd = () => {
+    onChange([...value, emptyEntry]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(value.filter((entry, i) => i !== index));
+  };
+
+  // Play the word as written, or with only this entry applied, to compare by ear
+  const handleTest = async (index, withPronunciation) => {
+    const entry = value[index];
+    const id = `${index}-${withPronunciation}`;
+
+    if (testControllerRef.current) testControllerRef.current.abort();
+    if (audioRef.current) audioRef.current.pause();
+    const controller = new AbortController();
+    testControllerRef.current = controller;
+    setPlaying(id);
+    setError(null);
+
+    try {
+      const { audio_url: audioUrl } = await cachedTextToSpeech({
+        text: entry.word,
+        voiceId,
+        lexicon: withPronunciation ? [entry] : [],
+        signal: controller.signal
+      });
+      // Another test started, or the editor unmounted, while this one was synthesized
+      if (controller.signal.aborted) return;
+
+      const audio = new Audio(audioUrl);
+      // Play through the shared output settings until the preview stops
+      audio.addEventListener('pause', attachMediaElement(audio));
+      audioRef.current = audio;
+      await audio.play();
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setError(`Could not play "${entry.word}": ${err.message}`);
+    } finally {
+      if (testControllerRef.current === controller) setPlaying(null);
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1">Pronunciations</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Teach the agent how to say brand names, product codes and street names. Give an alias spelling,
+        a phonetic transcription, or both; voices without SSML support use the alias.
+      </Typography>
+
+      {value.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Word</TableCell>
+              <TableCell>Say as</TableCell>
+              <TableCell>Phoneme</TableCell>
+              <TableCell>Alphabet</TableCell>
+              <TableCell padding="checkbox">Match case</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {value.map((entry, index) => (
+              <TableRow key={index}>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    value={entry.word}
+                    onChange={e => updateEntry(index, 'word', e.target.value)}
+                    placeholder="Acme"
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    value={entry.alias || ''}
+                    onChange={e => updateEntry(index, 'alias', e.target.value)}
+                    placeholder="ack-me"
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    value={entry.phoneme || ''}
+                    onChange={e => updateEntry(index, 'phoneme', e.target.value)}
+                    placeholder="ˈækmi"
+                  />
+                </TableCell>
+                <TableCell>
+                  <Select
+                    size="small"
+                    value={entry.alphabet || 'ipa'}
+                    onChange={e => updateEntry(index, 'alphabet', e.target.value)}
+                  >
+                    {PHONETIC_ALPHABETS.map(alphabet => (
+                      <MenuItem key={alphabet} value={alphabet}>{alphabet.toUpperCase()}</MenuItem>
+                    ))}
+                  </Select>
+                </TableCell>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={Boolean(entry.caseSensitive)}
+                    onChange={e => updateEntry(index, 'caseSensitive', e.target.checked)}
+                  />
+                </TableCell>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  <Tooltip title="Hear as written">
+                    <span>
+                      <IconButton
+                        size="small"
+                        disabled={!entry.word.trim() || playing !== null}
+                        onClick={() => handleTest(index, false)}
+                      >
+                        {playing === `${index}-false` ? <CircularProgress size={18} /> : <VolumeUpIcon />}
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Hear with this pronunciation">
+                    <span>
+                      <IconButton
+                        size="small"
+                        color="primary"
+                        disabled={!entry.word.trim() || !(entry.alias || entry.phoneme) || playing !== null}
+                        onClick={() => handleTest(index, true)}
+                      >
+                        {playing === `${index}-true` ? <CircularProgress size={18} /> : <RecordVoiceOverIcon />}
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Remove">
+                    <IconButton size="small" onClick={() => handleRemove(index)}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {errors.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 2 }}>{errors.join('. ')}</Alert>
+      )}
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+      <Button startIcon={<AddIcon />} onClick={handleAdd} sx={{ mt: 1 }}>
+        Add Pronunciation
+      </Button>
+    </Box>
+  );
+};
+
+export default PronunciationEditor;
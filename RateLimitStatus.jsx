@@ -0,0 +1,33 @@
+import React from 'react';
+import { Chip, Tooltip } from '@mui/material';
+import HourglassIcon from '@mui/icons-material/HourglassEmpty';
+import usePlayAiRateLimit from '../../hooks/usePlayAiRateLimit';
+
+const RateLimitStatus = () => {
+  const { queued, isWaiting, isPaused, pausedUntil } = usePlayAiRateLimit();
+
+  if (!isWaiting && !isPaused) {
+    return null;
+  }
+
+  const label = isPaused
+    ? 'Waiting for rate limit'
+    : `${queued} request${queued === 1 ? '' : 's'} queued`;
+  const details = isPaused
+    ? `Play.ai asked us to slow down. Requests resume at ${new Date(pausedUntil).toLocaleTimeString()}.`
+    : 'Requests are queued to stay within the Play.ai rate limits.';
+
+  return (
+    <Tooltip title={details}>
+      <Chip
+        icon={<HourglassIcon />}
+        label={label}
+        color={isPaused ? 'warning' : 'default'}
+        size="small"
+        variant="outlined"
+      />
+    </Tooltip>
+  );
+};
+
+export default RateLimitStatus;
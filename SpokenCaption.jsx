@@ -0,0 +1,24 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+// Message text with the word being spoken highlighted
+const SpokenCaption = ({ text, highlight }) => {
+  if (!highlight) {
+    return <Typography variant="body1">{text}</Typography>;
+  }
+
+  return (
+    <Typography variant="body1">
+      {text.slice(0, highlight.start)}
+      <Box
+        component="mark"
+        sx={{ bgcolor: 'warning.light', color: 'inherit', borderRadius: 0.5, px: 0.25, mx: -0.25 }}
+      >
+        {text.slice(highlight.start, highlight.end)}
+      </Box>
+      {text.slice(highlight.end)}
+    </Typography>
+  );
+};
+
+export default SpokenCaption;
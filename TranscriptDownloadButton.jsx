@@ -0,0 +1,81 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Button,
+  IconButton,
+  Tooltip,
+  Menu,
+  MenuItem,
+  ListItemText
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import {
+  TRANSCRIPT_EXPORT_FORMATS,
+  normalizeTranscript,
+  hasTranscriptTiming,
+  downloadTranscript
+} from '../../lib/playAiTranscriptExport';
+
+const CAPTION_FORMATS = ['srt', 'vtt'];
+
+const TranscriptDownloadButton = ({ transcript, filename = 'transcript', speakerLabels, iconOnly = false, disabled = false }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const normalized = useMemo(() => {
+    try {
+      return transcript ? normalizeTranscript(transcript, { speakerLabels }) : null;
+    } catch (error) {
+      return null;
+    }
+  }, [transcript, speakerLabels]);
+
+  const isEmpty = !normalized || !normalized.segments.length;
+  const isTimed = !isEmpty && hasTranscriptTiming(normalized);
+
+  const handleDownload = (format) => {
+    setAnchorEl(null);
+    try {
+      downloadTranscript(normalized, { format, filename });
+    } catch (error) {
+      // exportTranscript has already logged the error
+    }
+  };
+
+  return (
+    <>
+      {iconOnly ? (
+        <Tooltip title="Download transcript">
+          <span>
+            <IconButton onClick={(e) => setAnchorEl(e.currentTarget)} disabled={disabled || isEmpty}>
+              <DownloadIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      ) : (
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<DownloadIcon />}
+          onClick={(e) => setAnchorEl(e.currentTarget)}
+          disabled={disabled || isEmpty}
+        >
+          Transcript
+        </Button>
+      )}
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {Object.entries(TRANSCRIPT_EXPORT_FORMATS).map(([format, { label, extension }]) => {
+          const needsTiming = CAPTION_FORMATS.includes(format) && !isTimed;
+          return (
+            <MenuItem key={format} onClick={() => handleDownload(format)} disabled={needsTiming}>
+              <ListItemText
+                primary={label}
+                secondary={needsTiming ? 'Needs a timed transcript' : `.${extension}`}
+              />
+            </MenuItem>
+          );
+        })}
+      </Menu>
+    </>
+  );
+};
+
+export default TranscriptDownloadButton;
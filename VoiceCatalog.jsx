@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  Chip,
+  CircularProgress,
+  Tooltip,
+  Typography,
+  Alert
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import StopIcon from '@mui/icons-material/Stop';
+import { getAvailableVoices } from '../../lib/playAiTextToSpeech';
+import { cachedTextToSpeech } from '../../lib/playAiTtsCache';
+import { attachMediaElement } from '../../lib/playAiAudioOutput';
+
+const FILTERS = [
+  { name: 'language', label: 'Language' },
+  { name: 'gender', label: 'Gender' },
+  { name: 'accent', label: 'Accent' },
+  { name: 'style', label: 'Style' },
+  { name: 'type', label: 'Type' }
+];
+
+const emptyFilters = { search: '', language: '', gender: '', accent: '', style: '', type: '' };
+
+// The voices endpoint has returned both a bare array and { voices }, with id or voice_id
+const normalizeVoice = voice => ({
+  ...voice,
+  id: voice.id || voice.voice_id,
+  name: voice.name || voice.id || voice.voice_id,
+  type: voice.type || (voice.cloned ? 'cloned' : 'stock')
+});
+
+const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+const VoiceCatalog = ({ value, onChange, previewText }) => {
+  const [voices, setVoices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [previewingId, setPreviewingId] = useState(null);
+  const [loadingPreviewId, setLoadingPreviewId] = useState(null);
+  const audioRef = useRef(null);
+  // Cancels the preview being synthesized when another starts or the catalog unmounts
+  const previewControllerRef = useRef(null);
+
+  const loadVoices = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await getAvailableVoices();
+      const list = Array.isArray(response) ? response : response?.voices || [];
+      setVoices(list.map(normalizeVoice));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const stopPreview = () => {
+    if (previewControllerRef.current) {
+      previewControllerRef.current.abort();
+      previewControllerRef.current = null;
+    }
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current = null;
+    }
+    setPreviewingId(null);
+  };
+
+  useEffect(() => {
+    loadVoices();
+    return () => {
+      if (previewControllerRef.current) previewControllerRef.current.abort();
+      if (audioRef.current) audioRef.current.pause();
+    };
+  }, []);
+
+  // Filter options come from the voices the account actually has
+  const options = useMemo(() => FILTERS.reduce((result, { name }) => ({
+    ...result,
+    [name]: Array.from(new Set(voices.map(voice => voice[name]).filter(Boolean))).sort()
+  }), {}), [voices]);
+
+  const filteredVoices = useMemo(() => {
+    const search = filters.search.trim().toLowerCase();
+
+    return voices.filter(voice => (
+      FILTERS.every(({ name }) => !filters[name] || voice[name] === filters[name]) &&
+      (!search || [voice.name, voice.id, voice.language, voice.accent, voice.style]
+        .some(field => field && field.toLowerCase().includes(search)))
+    ));
+  }, [voices, filters]);
+
+  const handleFilterChange = (e) => {
+    const { name, value: filterValue } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: filterValue
+    }));
+  };
+
+  const handlePreview = async (voice) => {
+    if (previewingId === voice.id) {
+      stopPreview();
+      return;
+    }
+
+    stopPreview();
+    const controller = new AbortController();
+    previewControllerRef.current = controller;
+    setLoadingPreviewId(voice.id);
+    setError(null);
+
+    try {
+      const { audio_url: audioUrl } = await cachedTextToSpeech({
+        text: previewText,
+        voiceId: voice.id,
+        signal: controller.signal
+      });
+      // Another preview started, or the catalog unmounted, while this one was synthesized
+      if (controller.signal.aborted) return;
+      setLoadingPreviewId(null);
+
+      const audio = new Audio(audioUrl);
+      // Play through the shared output settings until the preview stops
+      audio.addEventListener('pause', attachMediaElement(audio));
+      audio.onended = () => {
+        if (audioRef.current === audio) stopPreview();
+      };
+      audioRef.current = audio;
+      setPreviewingId(voice.id);
+      await audio.play();
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setLoadingPreviewId(null);
+      setError(`Could not preview ${voice.name}: ${err.message}`);
+      stopPreview();
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mt: 2 }}>
+        <TextField
+          label="Search voices"
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          size="small"
+          sx={{ flex: '1 1 200px' }}
+        />
+        {FILTERS.map(({ name, label }) => (
+          <FormControl key={name} size="small" sx={{ minWidth: 130 }}>
+            <InputLabel>{label}</InputLabel>
+            <Select
+              label={label}
+              name={name}
+              value={filters[name]}
+              onChange={handleFilterChange}
+            >
+              <MenuItem value="">All</MenuItem>
+              {options[name].map(option => (
+                <MenuItem key={option} value={option}>{capitalize(option)}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ))}
+      </Box>
+
+      {error && (
+        <Alert
+          severity="error"
+          sx={{ mt: 2 }}
+          action={!voices.length && <Button color="inherit" size="small" onClick={loadVoices}>Retry</Button>}
+        >
+          {error}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <List sx={{ mt: 1, maxHeight: 360, overflow: 'auto' }}>
+          {filteredVoices.map(voice => (
+            <ListItemButton
+              key={voice.id}
+              selected={voice.id === value}
+              onClick={() => onChange(voice)}
+            >
+              <ListItemText
+                primary={voice.name}
+                secondary={[voice.language, voice.gender, voice.accent, voice.style].filter(Boolean).join(' · ')}
+              />
+              {voice.type === 'cloned' && <Chip label="Cloned" size="small" sx={{ mr: 1 }} />}
+              <Tooltip title={previewingId === voice.id ? 'Stop preview' : 'Preview greeting'}>
+                <span>
+                  <IconButton
+                    edge="end"
+                    disabled={loadingPreviewId === voice.id || !previewText}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handlePreview(voice);
+                    }}
+                  >
+                    {loadingPreviewId === voice.id ? (
+                      <CircularProgress size={20} />
+                    ) : previewingId === voice.id ? <StopIcon /> : <PlayArrowIcon />}
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </ListItemButton>
+          ))}
+          {!filteredVoices.length && (
+            <Typography variant="body2" color="text.secondary" align="center" sx={{ py: 3 }}>
+              No voices match these filters.
+            </Typography>
+          )}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default VoiceCatalog;
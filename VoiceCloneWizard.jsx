@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Stepper,
+  Step,
+  StepLabel,
+  Checkbox,
+  FormControlLabel,
+  LinearProgress,
+  Alert
+} from '@mui/material';
+import MicIcon from '@mui/icons-material/Mic';
+import StopIcon from '@mui/icons-material/Stop';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import useAudioRecording from '../../hooks/useAudioRecording';
+import {
+  VOICE_CLONE_MIN_SECONDS,
+  VOICE_CLONE_AUDIO_TYPES,
+  validateVoiceCloneSample,
+  createVoiceClone,
+  waitForVoiceClone
+} from '../../lib/playAiTextToSpeech';
+
+const steps = ['Voice Sample', 'Consent', 'Cloning'];
+
+const getConsentStatement = speakerName => (
+  `I, ${speakerName}, am the person whose voice is in this recording. I give my explicit consent ` +
+  'for it to be used to create a synthetic voice, and I understand that the voice can be used to ' +
+  'generate speech I did not say.'
+);
+
+const formatSeconds = seconds => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+const VoiceCloneWizard = ({ open, onClose, onComplete }) => {
+  const [activeStep, setActiveStep] = useState(0);
+  const [voiceName, setVoiceName] = useState('');
+  const [description, setDescription] = useState('');
+  const [sample, setSample] = useState(null);
+  const [sampleUrl, setSampleUrl] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [isValidating, setIsValidating] = useState(false);
+  const [recordingSeconds, setRecordingSeconds] = useState(0);
+  const [speakerName, setSpeakerName] = useState('');
+  const [consentGiven, setConsentGiven] = useState(false);
+  const [clone, setClone] = useState(null);
+  const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+  // Bumped for every sample, so a slower validation of an earlier one is ignored
+  const validationIdRef = useRef(0);
+  // A clone created from the current sample; retries resume polling it rather than cloning again
+  const createdCloneIdRef = useRef(null);
+  const {
+    isRecording,
+    audioBlob,
+    startRecording,
+    stopRecording,
+    error: recordingError
+  } = useAudioRecording();
+
+  const selectSample = async (file) => {
+    validationIdRef.current += 1;
+    const validationId = validationIdRef.current;
+    createdCloneIdRef.current = null;
+    setSample(file);
+    setValidation(null);
+    setIsValidating(true);
+
+    try {
+      const result = await validateVoiceCloneSample(file);
+      if (validationId === validationIdRef.current) setValidation(result);
+    } finally {
+      if (validationId === validationIdRef.current) setIsValidating(false);
+    }
+  };
+
+  // A finished recording becomes the sample
+  useEffect(() => {
+    if (audioBlob) {
+      const extension = audioBlob.type.includes('mp4') ? 'm4a' : 'webm';
+      selectSample(new File([audioBlob], `voice-sample.${extension}`, { type: audioBlob.type }));
+    }
+  }, [audioBlob]);
+
+  useEffect(() => {
+    if (!isRecording) return undefined;
+
+    setRecordingSeconds(0);
+    const timer = setInterval(() => setRecordingSeconds(seconds => seconds + 1), 1000);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  useEffect(() => {
+    if (!sample) return undefined;
+
+    const url = URL.createObjectURL(sample);
+    setSampleUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [sample]);
+
+  // Stop polling if the wizard goes away mid-clone
+  useEffect(() => () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  }, []);
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    if (file) selectSample(file);
+    e.target.value = '';
+  };
+
+  const handleSubmit = async () => {
+    setActiveStep(2);
+    setError(null);
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    try {
+      if (!createdCloneIdRef.current) {
+        const created = await createVoiceClone({
+          name: voiceName.trim(),
+          audioFile: sample,
+          description,
+          consent: {
+            speakerName: speakerName.trim(),
+            statement: getConsentStatement(speakerName.trim()),
+            acceptedAt: new Date().toISOString()
+          },
+          signal
+        });
+        createdCloneIdRef.current = created.voice_id || created.id;
+        setClone(created);
+      }
+
+      setClone(await waitForVoiceClone(createdCloneIdRef.current, { onProgress: setClone, signal }));
+    } catch (err) {
+      // A clone that failed on Play.ai's side has to be created again
+      if (err.clone) createdCloneIdRef.current = null;
+      if (err.name !== 'AbortError') setError(err.message);
+    }
+  };
+
+  const handleClose = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    if (isRecording) stopRecording();
+    onClose();
+  };
+
+  const handleUseVoice = () => {
+    onComplete({
+      id: clone.voice_id || clone.id,
+      name: clone.name || voiceName.trim(),
+      type: 'cloned'
+    });
+    onClose();
+  };
+
+  const isReady = clone?.status === 'ready';
+  const canContinue = activeStep === 0
+    ? Boolean(voiceName.trim() && validation?.valid && !isRecording)
+    : Boolean(speakerName.trim() && consentGiven);
+
+  const getStepContent = (step) => {
+    switch (step) {
+      case 0:
+        return (
+          <Box>
+            <TextField
+              fullWidth
+              label="Voice Name"
+              value={voiceName}
+              onChange={e => setVoiceName(e.target.value)}
+              margin="normal"
+              required
+            />
+            <TextField
+              fullWidth
+              label="Description"
+              value={description}
+              onChange={e => setDescription(e.target.value)}
+              margin="normal"
+            />
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              Record or upload at least {VOICE_CLONE_MIN_SECONDS} seconds of clear speech from a single speaker,
+              with no background noise or music.
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+              <Button
+                variant={isRecording ? 'contained' : 'outlined'}
+                color={isRecording ? 'error' : 'primary'}
+                startIcon={isRecording ? <StopIcon /> : <MicIcon />}
+                onClick={isRecording ? stopRecording : startRecording}
+              >
+                {isRecording ? `Stop (${formatSeconds(recordingSeconds)})` : 'Record'}
+              </Button>
+              <Button
+                variant="outlined"
+                component="label"
+                startIcon={<UploadFileIcon />}
+                disabled={isRecording}
+              >
+                Upload
+                <input
+                  type="file"
+                  hidden
+                  accept={VOICE_CLONE_AUDIO_TYPES.join(',')}
+                  onChange={handleFileChange}
+                />
+              </Button>
+            </Box>
+            {recordingError && <Alert severity="error" sx={{ mt: 2 }}>{recordingError}</Alert>}
+            {sampleUrl && !isRecording && (
+              <Box sx={{ mt: 2 }}>
+                <audio controls src={sampleUrl} style={{ width: '100%' }} />
+              </Box>
+            )}
+            {isValidating && <LinearProgress sx={{ mt: 2 }} />}
+            {validation && (validation.valid ? (
+              <Alert severity="success" sx={{ mt: 2 }}>
+                Sample accepted ({formatSeconds(validation.duration)})
+              </Alert>
+            ) : (
+              <Alert severity="error" sx={{ mt: 2 }}>{validation.errors.join(' ')}</Alert>
+            ))}
+          </Box>
+        );
+      case 1:
+        return (
+          <Box>
+            <Typography variant="body2" color="text.secondary">
+              Voices can only be cloned with the explicit consent of the person speaking in the sample.
+            </Typography>
+            <TextField
+              fullWidth
+              label="Speaker's Full Name"
+              value={speakerName}
+              onChange={e => setSpeakerName(e.target.value)}
+              margin="normal"
+              required
+            />
+            {speakerName.trim() && (
+              <Alert severity="info" sx={{ mt: 1 }}>{getConsentStatement(speakerName.trim())}</Alert>
+            )}
+            <FormControlLabel
+              sx={{ mt: 2 }}
+              control={<Checkbox checked={consentGiven} onChange={e => setConsentGiven(e.target.checked)} />}
+              label="The speaker has read and agreed to this statement"
+            />
+          </Box>
+        );
+      case 2:
+        return (
+          <Box>
+            {error ? (
+              <Alert severity="error">{error}</Alert>
+            ) : isReady ? (
+              <Alert severity="success">{clone.name || voiceName} is ready to use.</Alert>
+            ) : (
+              <Box>
+                <Typography variant="body1" gutterBottom>
+                  {clone ? 'Cloning voice...' : 'Uploading sample...'}
+                </Typography>
+                {typeof clone?.progress === 'number' ? (
+                  <LinearProgress variant="determinate" value={clone.progress} />
+                ) : (
+                  <LinearProgress />
+                )}
+              </Box>
+            )}
+          </Box>
+        );
+      default:
+        return 'Unknown step';
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Clone a Voice</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={activeStep} sx={{ pt: 1, pb: 3 }}>
+          {steps.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+        {getStepContent(activeStep)}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{isReady ? 'Close' : 'Cancel'}</Button>
+        {activeStep === 1 && (
+          <Button onClick={() => setActiveStep(0)}>Back</Button>
+        )}
+        {activeStep === 0 && (
+          <Button variant="contained" disabled={!canContinue} onClick={() => setActiveStep(1)}>
+            Next
+          </Button>
+        )}
+        {activeStep === 1 && (
+          <Button variant="contained" disabled={!canContinue} onClick={handleSubmit}>
+            Clone Voice
+          </Button>
+        )}
+        {activeStep === 2 && error && (
+          <Button onClick={() => setActiveStep(1)}>Back</Button>
+        )}
+        {isReady && (
+          <Button variant="contained" onClick={handleUseVoice}>
+            Use This Voice
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VoiceCloneWizard;
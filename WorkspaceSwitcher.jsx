@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert
+} from '@mui/material';
+import playAiWorkspaces from '../../lib/playAiWorkspaces';
+
+const emptyWorkspace = { name: '', userId: '', apiKey: '' };
+
+const WorkspaceSwitcher = ({ onChange }) => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(playAiWorkspaces.getActiveWorkspaceId());
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [newWorkspace, setNewWorkspace] = useState(emptyWorkspace);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadWorkspaces = async () => {
+    try {
+      setWorkspaces(await playAiWorkspaces.getWorkspaces());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadWorkspaces();
+  }, []);
+
+  const handleSwitch = (e) => {
+    const workspaceId = e.target.value;
+    playAiWorkspaces.switchWorkspace(workspaceId);
+    setActiveWorkspaceId(workspaceId);
+    if (onChange) onChange(workspaceId);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewWorkspace(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleCreate = async () => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      // The server validates the credentials against Play.ai before saving them
+      const workspace = await playAiWorkspaces.createWorkspace(newWorkspace);
+      await loadWorkspaces();
+      handleSwitch({ target: { value: workspace.id } });
+      setNewWorkspace(emptyWorkspace);
+      setDialogOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+      <FormControl size="small" sx={{ minWidth: 200 }}>
+        <InputLabel>Workspace</InputLabel>
+        <Select
+          label="Workspace"
+          value={workspaces.some(w => w.id === activeWorkspaceId) ? activeWorkspaceId : ''}
+          onChange={handleSwitch}
+        >
+          {workspaces.map((workspace) => (
+            <MenuItem key={workspace.id} value={workspace.id}>
+              {workspace.name}{workspace.accountName ? ` (${workspace.accountName})` : ''}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      <Button variant="outlined" color="secondary" onClick={() => setDialogOpen(true)}>
+        Add Workspace
+      </Button>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Add Workspace</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            fullWidth
+            label="Workspace Name"
+            name="name"
+            value={newWorkspace.name}
+            onChange={handleChange}
+            margin="normal"
+            required
+          />
+          <TextField
+            fullWidth
+            label="Play.ai User ID"
+            name="userId"
+            value={newWorkspace.userId}
+            onChange={handleChange}
+            margin="normal"
+            required
+          />
+          <TextField
+            fullWidth
+            label="Play.ai API Key"
+            name="apiKey"
+            type="password"
+            value={newWorkspace.apiKey}
+            onChange={handleChange}
+            margin="normal"
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" color="primary" onClick={handleCreate} disabled={isSaving}>
+            {isSaving ? 'Validating...' : 'Add Workspace'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default WorkspaceSwitcher;
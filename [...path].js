@@ -0,0 +1,18 @@
+import { proxyPlayAiRequest } from '../../../lib/playAiProxy';
+
+// Bodies are forwarded raw so multipart audio uploads reach Play.ai unchanged
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: false
+  }
+};
+
+/**
+ * Play.ai proxy route: /api/playai/agents, /api/playai/tts/*, /api/playai/stt/*, ...
+ * Requires a signed-in session; credentials are added on the server, see lib/playAiProxy.
+ */
+export default async function handler(req, res) {
+  const { path = [] } = req.query;
+  await proxyPlayAiRequest(req, res, Array.isArray(path) ? path : [path]);
+}
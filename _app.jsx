@@ -1,5 +1,7 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { ThemeProvider, createTheme, CssBaseline } from '@mui/material';
+import { useRouter } from 'next/router';
+import { getCurrentUser } from '../lib/appSession';
 import '../styles/globals.css';
 
 // Create a dark theme with purple accents
@@ -42,7 +44,23 @@ const darkTheme = createTheme({
   },
 });
 
+// Pages that can be seen without signing in
+const PUBLIC_PATHS = ['/', '/login'];
+
 function MyApp({ Component, pageProps }) {
+  const router = useRouter();
+
+  // Send signed-out visitors to the sign-in page; the API routes refuse them anyway
+  useEffect(() => {
+    if (PUBLIC_PATHS.includes(router.pathname)) return;
+
+    getCurrentUser()
+      .then((user) => {
+        if (!user) router.replace(`/login?next=${encodeURIComponent(router.asPath)}`);
+      })
+      .catch(() => {});
+  }, [router.pathname]);
+
   return (
     <ThemeProvider theme={darkTheme}>
       <CssBaseline />
@@ -0,0 +1,249 @@
+/**
+ * App Authentication
+ *
+ * This module is used only on the server. It signs app users in and checks
+ * their session on every API route that spends Play.ai credentials, so the
+ * deployment is not an open relay to the Play.ai accounts behind it. Users
+ * come from APP_USERS, a JSON array of:
+ *
+ *   { "username": "ana", "passwordHash": "scrypt:<salt>:<hash>", "workspaces": ["default", "acme"] }
+ *
+ * where workspaces lists the workspaces the user may use, or is "*" for all of
+ * them. Users may also use the workspaces they added themselves. Sessions are
+ * HMAC-signed cookies keyed by APP_SESSION_SECRET; nothing is stored on the
+ * server, and a user removed from APP_USERS loses access on their next
+ * request.
+ */
+
+import crypto from 'crypto';
+import { DEFAULT_WORKSPACE_ID, getWorkspaceOwnerId } from './playAiWorkspaceStore';
+
+const SESSION_COOKIE = 'voiceflow_session';
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+const MIN_SECRET_LENGTH = 32;
+
+// Methods that change state and so need a same-origin check
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getSessionSecret = () => {
+  const secret = process.env.APP_SESSION_SECRET;
+  if (!secret || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`APP_SESSION_SECRET must be set to at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  return secret;
+};
+
+const getUsers = () => {
+  try {
+    return JSON.parse(process.env.APP_USERS || '[]');
+  } catch (error) {
+    console.error('Error parsing APP_USERS:', error);
+    return [];
+  }
+};
+
+// Strip the password hash before a user leaves this module
+const toSessionUser = ({ username, name, workspaces }) => ({
+  username,
+  name: name || username,
+  workspaces: workspaces === '*' ? '*' : (Array.isArray(workspaces) ? workspaces : [])
+});
+
+const findUser = username => getUsers().find(user => user.username === username) || null;
+
+const sign = value => crypto.createHmac('sha256', getSessionSecret()).update(value).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Check a password against a hash from APP_USERS
+ * @param {string} password - Password to check
+ * @param {string} passwordHash - Hash as scrypt:<salt>:<hash>, both hex
+ * @returns {boolean} True if the password matches
+ */
+export const verifyPassword = (password, passwordHash) => {
+  const [scheme, salt, hash] = String(passwordHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Find the user for a username and password
+ * @param {string} username - Username from APP_USERS
+ * @param {string} password - Password
+ * @returns {Object|null} User with username, name and workspaces, or null if the sign-in is wrong
+ */
+export const authenticateUser = (username, password) => {
+  const user = findUser(username);
+
+  // Hash anyway, so unknown usernames take as long as wrong passwords
+  const passwordHash = user ? user.passwordHash : `scrypt:00:${'0'.repeat(128)}`;
+  const isValid = verifyPassword(password, passwordHash);
+
+  return user && isValid ? toSessionUser(user) : null;
+};
+
+const parseCookies = (header = '') => header.split(';').reduce((cookies, part) => {
+  const index = part.indexOf('=');
+  if (index > 0) {
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}, {});
+
+const serializeCookie = (value, maxAge) => [
+  `${SESSION_COOKIE}=${value}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${maxAge}`,
+  ...(process.env.NODE_ENV === 'production' ? ['Secure'] : [])
+].join('; ');
+
+/**
+ * Build the Set-Cookie header that starts a session
+ * @param {Object} user - User from authenticateUser
+ * @returns {string} Set-Cookie header value
+ * @throws {Error} If APP_SESSION_SECRET is not configured
+ */
+export const createSessionCookie = (user) => {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.username,
+    exp: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS
+  })).toString('base64url');
+
+  return serializeCookie(`${payload}.${sign(payload)}`, SESSION_TTL_SECONDS);
+};
+
+/**
+ * Build the Set-Cookie header that ends a session
+ * @returns {string} Set-Cookie header value
+ */
+export const clearSessionCookie = () => serializeCookie('', 0);
+
+/**
+ * Get the signed-in user of a request
+ * @param {Object} req - Next.js API request
+ * @returns {Object|null} User with username, name and workspaces, or null without a valid session
+ * @throws {Error} If APP_SESSION_SECRET is not configured
+ */
+export const getSessionUser = (req) => {
+  const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!cookie) return null;
+
+  const [payload, signature] = cookie.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!exp || exp * 1000 < Date.now()) return null;
+
+    const user = findUser(sub);
+    return user ? toSessionUser(user) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check that a state-changing request comes from the app's own pages
+ *
+ * Together with the SameSite session cookie this stops other sites from
+ * making requests with a signed-in user's session.
+ *
+ * @param {Object} req - Next.js API request
+ * @returns {boolean} True for safe methods and for requests whose Origin (or Referer) is this host
+ */
+export const isSameOriginRequest = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const source = req.headers.origin || req.headers.referer;
+  if (!source) return false;
+
+  try {
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    return new URL(source).host === host;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Require a signed-in, same-origin request, answering it with an error otherwise
+ * @param {Object} req - Next.js API request
+ * @param {Object} res - Next.js API response
+ * @returns {Object|null} The signed-in user, or null if the response has been sent
+ */
+export const requireSession = (req, res) => {
+  let user;
+
+  try {
+    user = getSessionUser(req);
+  } catch (error) {
+    console.error('App authentication is not configured:', error);
+    res.status(500).json({ message: 'Sign-in is not configured on the server' });
+    return null;
+  }
+
+  if (!user) {
+    res.status(401).json({ message: 'Sign in to continue' });
+    return null;
+  }
+
+  if (!isSameOriginRequest(req)) {
+    res.status(403).json({ message: 'Cross-origin requests are not allowed' });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Check whether a user may use a workspace's Play.ai credentials
+ * @param {Object} user - Signed-in user
+ * @param {string} workspaceId - ID of the workspace (default: 'default')
+ * @returns {boolean} True if the workspace is listed for the user or was added by them
+ */
+export const canAccessWorkspace = (user, workspaceId) => {
+  const id = workspaceId || DEFAULT_WORKSPACE_ID;
+  if (user.workspaces === '*' || user.workspaces.includes(id)) return true;
+  return getWorkspaceOwnerId(id) === user.username;
+};
+
+/**
+ * Require a signed-in user who may use the given workspace, answering the request with an error otherwise
+ * @param {Object} req - Next.js API request
+ * @param {Object} res - Next.js API response
+ * @param {string} workspaceId - ID of the workspace
+ * @returns {Object|null} The signed-in user, or null if the response has been sent
+ */
+export const requireWorkspaceAccess = (req, res, workspaceId) => {
+  const user = requireSession(req, res);
+  if (!user) return null;
+
+  if (!canAccessWorkspace(user, workspaceId)) {
+    res.status(403).json({ message: 'You do not have access to this workspace' });
+    return null;
+  }
+
+  return user;
+};
+
+export default {
+  verifyPassword,
+  authenticateUser,
+  createSessionCookie,
+  clearSessionCookie,
+  getSessionUser,
+  isSameOriginRequest,
+  requireSession,
+  canAccessWorkspace,
+  requireWorkspaceAccess
+};
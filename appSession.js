@@ -0,0 +1,92 @@
+/**
+ * App Session
+ *
+ * This module signs the user in and out from the browser. The session lives
+ * in an HttpOnly cookie set by /api/auth, which the Play.ai proxy, session
+ * token and workspace routes check before using any Play.ai credentials.
+ *
+ * These are requests to the app itself, so they use plain fetch rather than
+ * playAiRequest: they must not wait for or use up the Play.ai rate limits, and
+ * the password must never reach the Play.ai tracing interceptors.
+ */
+
+const AUTH_URL = '/api/auth';
+
+// Send a request to /api/auth; failures throw an Error carrying the HTTP status
+const authRequest = async (method, { body, signal, errorMessage }) => {
+  const response = await fetch(AUTH_URL, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: 'same-origin',
+    signal
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    const error = new Error(data?.message || `${errorMessage} (HTTP ${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.status === 204 ? null : response.json();
+};
+
+/**
+ * Get the signed-in user
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object|null>} Promise resolving to the user (username, name, workspaces), or null if
+ *   nobody is signed in
+ * @throws {Error} If the request fails for another reason
+ */
+export const getCurrentUser = async ({ signal } = {}) => {
+  try {
+    return await authRequest('GET', { signal, errorMessage: 'Failed to check the session' });
+  } catch (error) {
+    if (error.status === 401) return null;
+    console.error('Error checking the session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sign in
+ * @param {Object} options - Sign-in options
+ * @param {string} options.username - Username
+ * @param {string} options.password - Password
+ * @returns {Promise<Object>} Promise resolving to the signed-in user
+ * @throws {Error} If the username or password is wrong or the request fails
+ */
+export const signIn = async ({ username, password }) => {
+  if (!username || !password) {
+    throw new Error('Username and password are required');
+  }
+
+  try {
+    return await authRequest('POST', { body: { username, password }, errorMessage: 'Failed to sign in' });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sign out
+ * @returns {Promise<void>} Promise that resolves once the session has ended
+ * @throws {Error} If the request fails
+ */
+export const signOut = async () => {
+  try {
+    await authRequest('DELETE', { errorMessage: 'Failed to sign out' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    throw error;
+  }
+};
+
+export default {
+  getCurrentUser,
+  signIn,
+  signOut
+};
@@ -0,0 +1,61 @@
+import {
+  authenticateUser,
+  createSessionCookie,
+  clearSessionCookie,
+  getSessionUser,
+  isSameOriginRequest
+} from '../../lib/appAuth';
+
+/**
+ * Sign-in route: /api/auth
+ *   GET    - the signed-in user, or 401
+ *   POST   - sign in: { username, password }
+ *   DELETE - sign out
+ */
+export default async function handler(req, res) {
+  if (!isSameOriginRequest(req)) {
+    res.status(403).json({ message: 'Cross-origin requests are not allowed' });
+    return;
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const user = getSessionUser(req);
+        if (!user) {
+          res.status(401).json({ message: 'Not signed in' });
+          break;
+        }
+        res.status(200).json(user);
+        break;
+      }
+      case 'POST': {
+        const { username, password } = req.body || {};
+        if (!username || !password) {
+          res.status(400).json({ message: 'Username and password are required' });
+          break;
+        }
+
+        const user = authenticateUser(username, password);
+        if (!user) {
+          res.status(401).json({ message: 'Wrong username or password' });
+          break;
+        }
+
+        res.setHeader('Set-Cookie', createSessionCookie(user));
+        res.status(200).json(user);
+        break;
+      }
+      case 'DELETE':
+        res.setHeader('Set-Cookie', clearSessionCookie());
+        res.status(204).end();
+        break;
+      default:
+        res.setHeader('Allow', 'GET, POST, DELETE');
+        res.status(405).json({ message: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Error handling sign-in request:', error);
+    res.status(500).json({ message: 'Sign-in is not configured on the server' });
+  }
+}
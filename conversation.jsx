@@ -12,24 +12,41 @@ import {
   IconButton,
   Divider,
   Avatar,
-  CircularProgress
+  CircularProgress,
+  Tooltip
 } from '@mui/material';
 import MicIcon from '@mui/icons-material/Mic';
 import StopIcon from '@mui/icons-material/Stop';
 import SendIcon from '@mui/icons-material/Send';
+import VolumeUpIcon from '@mui/icons-material/VolumeUp';
 import { useRouter } from 'next/router';
 import usePlayAiWebSocket from '../../hooks/usePlayAiWebSocket';
+import AudioOutputControls from '../common/AudioOutputControls';
+import TranscriptDownloadButton from '../common/TranscriptDownloadButton';
+import SpokenCaption from './SpokenCaption';
+import { cachedTextToSpeech, prewarmAgentPhrases } from '../../lib/playAiTtsCache';
+import { getVoiceAgent } from '../../lib/playAiVoiceAgent';
+import { attachMediaElement } from '../../lib/playAiAudioOutput';
+import { alignWordsToText, trackSpokenWord } from '../../lib/playAiWordTiming';
+
+const CONVERSATION_SPEAKERS = { agent: 'Agent', user: 'You' };
 
 const RealTimeConversation = () => {
   const router = useRouter();
   const { agentId } = router.query;
   const [messages, setMessages] = useState([
-    { role: 'agent', content: 'Hello! I\'m your AI assistant. How can I help you today?' }
+    { role: 'agent', content: 'Hello! I\'m your AI assistant. How can I help you today?', timestamp: Date.now() }
   ]);
   const [inputText, setInputText] = useState('');
   const [isRecording, setIsRecording] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [spokenWord, setSpokenWord] = useState(null);
+  const [speakingIndex, setSpeakingIndex] = useState(null);
+  const [agent, setAgent] = useState(null);
   const messagesEndRef = useRef(null);
+  const stopSpeakingRef = useRef(null);
+  // The greeting is only spoken on request, so opening a conversation costs nothing
+  const lastSpokenIndexRef = useRef(0);
   
   // In a real implementation, this would use the actual WebSocket hook
   // For demo purposes, we'll simulate the conversation
@@ -38,15 +55,117 @@ const RealTimeConversation = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
   
+  const stopSpeaking = () => {
+    if (stopSpeakingRef.current) {
+      stopSpeakingRef.current();
+      stopSpeakingRef.current = null;
+    }
+  };
+  
+  // Speak an agent message in the agent's voice, highlighting each word as it is spoken
+  const speakMessage = async (index, content) => {
+    if (!agent) return;
+    stopSpeaking();
+    
+    const controller = new AbortController();
+    let audio = null;
+    let detach = null;
+    let stopTracking = null;
+    
+    const finish = () => {
+      controller.abort();
+      if (stopTracking) stopTracking();
+      if (audio) audio.pause();
+      if (detach) detach();
+      if (stopSpeakingRef.current === finish) stopSpeakingRef.current = null;
+      setSpokenWord(null);
+      setSpeakingIndex(current => (current === index ? null : current));
+    };
+    
+    stopSpeakingRef.current = finish;
+    setSpeakingIndex(index);
+    
+    try {
+      // Fixed phrases such as the greeting are usually cached, see prewarmAgentPhrases
+      const { audio_url: audioUrl, wordTimestamps } = await cachedTextToSpeech({
+        text: content,
+        voiceId: agent.voice_id,
+        agentId: agent.id,
+        includeTimestamps: true,
+        signal: controller.signal
+      });
+      if (controller.signal.aborted) return;
+      
+      const ranges = alignWordsToText(content, wordTimestamps);
+      audio = new Audio(audioUrl);
+      detach = attachMediaElement(audio);
+      audio.addEventListener('ended', finish);
+      
+      // Follow the audio clock, so pausing or changing speed keeps the caption in step
+      stopTracking = trackSpokenWord({
+        getTime: () => audio.currentTime,
+        words: wordTimestamps,
+        onWordChange: (wordIndex) => {
+          setSpokenWord(wordIndex >= 0 && ranges[wordIndex] ? { index, ...ranges[wordIndex] } : null);
+        }
+      });
+      
+      await audio.play();
+    } catch (error) {
+      // Stopped while loading; finish has already run
+      if (controller.signal.aborted) return;
+      // Browsers block audio that starts before the user has interacted with the page
+      if (error.name !== 'NotAllowedError') {
+        console.error('Error speaking agent message:', error);
+      }
+      finish();
+    }
+  };
+  
+  useEffect(() => {
+    if (!agentId) return undefined;
+    
+    const controller = new AbortController();
+    getVoiceAgent(agentId, { signal: controller.signal })
+      .then((loadedAgent) => {
+        setAgent(loadedAgent);
+        const greeting = loadedAgent.personality?.greeting;
+        if (greeting) {
+          setMessages(prev => (prev.length === 1 ? [{ ...prev[0], content: greeting }] : prev));
+        }
+        
+        // Phrases cached when the agent was saved are not synthesized again
+        prewarmAgentPhrases({
+          agentId: loadedAgent.id,
+          voiceId: loadedAgent.voice_id,
+          greeting,
+          fallbackResponse: loadedAgent.personality?.fallback_response
+        });
+      })
+      // getVoiceAgent has logged the error; messages stay silent without the agent's voice
+      .catch(() => {});
+    
+    return () => controller.abort();
+  }, [agentId]);
+  
   useEffect(() => {
     scrollToBottom();
+    
+    // Speak each reply once; replies only follow the user's own messages
+    const index = messages.length - 1;
+    if (index > lastSpokenIndexRef.current && messages[index].role === 'agent') {
+      lastSpokenIndexRef.current = index;
+      speakMessage(index, messages[index].content);
+    }
   }, [messages]);
   
+  useEffect(() => stopSpeaking, []);
+  
   const handleSendMessage = () => {
     if (!inputText.trim()) return;
     
     // Add user message
-    setMessages(prev => [...prev, { role: 'user', content: inputText }]);
+    setMessages(prev => [...prev, { role: 'user', content: inputText, timestamp: Date.now() }]);
     setIsProcessing(true);
     
     // Simulate AI response after a delay
@@ -60,7 +179,7 @@ const RealTimeConversation = () => {
       ];
       
       const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-      setMessages(prev => [...prev, { role: 'agent', content: randomResponse }]);
+      setMessages(prev => [...prev, { role: 'agent', content: randomResponse, timestamp: Date.now() }]);
       setIsProcessing(false);
     }, 1500);
     
@@ -81,14 +200,15 @@ const RealTimeConversation = () => {
       // Start recording simulation
       setTimeout(() => {
         setIsRecording(false);
-        setMessages(prev => [...prev, { role: 'user', content: "This is a simulated voice message from the user." }]);
+        setMessages(prev => [...prev, { role: 'user', content: "This is a simulated voice message from the user.", timestamp: Date.now() }]);
         setIsProcessing(true);
         
         // Simulate AI response after a delay
         setTimeout(() => {
           setMessages(prev => [...prev, { 
             role: 'agent', 
-            content: "I've received your voice message. In a real implementation, this would be processed through Play.ai's speech-to-text API." 
+            content: "I've received your voice message. In a real implementation, this would be processed through Play.ai's speech-to-text API.",
+            timestamp: Date.now()
           }]);
           setIsProcessing(false);
         }, 1500);
@@ -98,10 +218,18 @@ const RealTimeConversation = () => {
   
   return (
     <Container maxWidth="md" sx={{ mt: 4, mb: 8, height: '80vh', display: 'flex', flexDirection: 'column' }}>
-      <Paper sx={{ p: 2, mb: 2 }}>
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
         <Typography variant="h5">
           {agentId === 'demo-agent' ? 'Demo Voice Agent' : `Voice Agent: ${agentId}`}
         </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <TranscriptDownloadButton
+            transcript={messages}
+            filename={`conversation-${agentId || 'agent'}`}
+            speakerLabels={CONVERSATION_SPEAKERS}
+          />
+          <AudioOutputControls />
+        </Box>
       </Paper>
       
       <Paper sx={{ p: 2, flexGrow: 1, display: 'flex', flexDirection: 'column', mb: 2, maxHeight: 'calc(80vh - 180px)' }}>
@@ -127,11 +255,33 @@ const RealTimeConversation = () => {
                   borderRadius: 2
                 }}
               >
-                <Typography variant="body1">
-                  {message.content}
-                </Typography>
+                {message.role === 'agent' ? (
+                  <SpokenCaption
+                    text={message.content}
+                    highlight={spokenWord && spokenWord.index === index ? spokenWord : null}
+                  />
+                ) : (
+                  <Typography variant="body1">
+                    {message.content}
+                  </Typography>
+                )}
               </Paper>
               
+              {message.role === 'agent' && (
+                <Tooltip title={speakingIndex === index ? 'Stop speaking' : 'Speak'}>
+                  <span style={{ alignSelf: 'center' }}>
+                    <IconButton
+                      size="small"
+                      sx={{ ml: 0.5 }}
+                      disabled={!agent}
+                      onClick={() => (speakingIndex === index ? stopSpeaking() : speakMessage(index, message.content))}
+                    >
+                      {speakingIndex === index ? <StopIcon fontSize="small" /> : <VolumeUpIcon fontSize="small" />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              )}
+              
               {message.role === 'user' && (
                 <Avatar sx={{ bgcolor: 'secondary.main', ml: 1 }}>U</Avatar>
               )}
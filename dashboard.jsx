@@ -8,14 +8,36 @@ import {
   Paper
 } from '@mui/material';
 import VoiceAgentList from '../components/voice-agents/VoiceAgentList';
+import WorkspaceSwitcher from '../components/workspaces/WorkspaceSwitcher';
+import RateLimitStatus from '../components/common/RateLimitStatus';
+import BatchTranscription from '../components/transcription/BatchTranscription';
+import { useRouter } from 'next/router';
+import { signOut } from '../lib/appSession';
 
 const Dashboard = () => {
+  const router = useRouter();
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+    } finally {
+      router.replace('/login');
+    }
+  };
+
   return (
     <Container maxWidth="lg" sx={{ mt: 4, mb: 8 }}>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
         <Typography variant="h4">
           Dashboard
         </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <RateLimitStatus />
+          <WorkspaceSwitcher />
+          <Button color="inherit" onClick={handleSignOut}>
+            Sign out
+          </Button>
+        </Box>
       </Box>
       
       <Grid container spacing={3}>
@@ -39,6 +61,8 @@ const Dashboard = () => {
       </Grid>
       
       <VoiceAgentList />
+
+      <BatchTranscription />
     </Container>
   );
 };
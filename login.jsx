@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Box
+} from '@mui/material';
+import { useRouter } from 'next/router';
+import { signIn } from '../lib/appSession';
+
+// Only follow redirects within the app
+const getNextPath = next => (typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/dashboard');
+
+const Login = () => {
+  const router = useRouter();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await signIn({ username, password });
+      router.replace(getNextPath(router.query.next));
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="xs" sx={{ mt: 12 }}>
+      <Paper sx={{ p: 4, borderRadius: 2 }}>
+        <Typography variant="h5" gutterBottom>
+          Sign in to VoiceFlow.AI
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Box component="form" onSubmit={handleSubmit}>
+          <TextField
+            label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            fullWidth
+            margin="normal"
+            required
+          />
+          <TextField
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            fullWidth
+            margin="normal"
+            required
+          />
+          <Button
+            type="submit"
+            variant="contained"
+            fullWidth
+            sx={{ mt: 2 }}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Signing in...' : 'Sign in'}
+          </Button>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default Login;
@@ -15,9 +15,15 @@ import {
   Stepper,
   Step,
   StepLabel,
-  Paper
+  Paper,
+  Alert
 } from '@mui/material';
 import { useRouter } from 'next/router';
+import VoiceCatalog from './VoiceCatalog';
+import VoiceCloneWizard from './VoiceCloneWizard';
+import PronunciationEditor from './PronunciationEditor';
+import { createVoiceAgent } from '../../lib/playAiVoiceAgent';
+import { prewarmAgentPhrases } from '../../lib/playAiTtsCache';
 
 const VoiceAgentBuilder = () => {
   const router = useRouter();
@@ -25,12 +31,19 @@ const VoiceAgentBuilder = () => {
   const [agentData, setAgentData] = useState({
     name: '',
     description: '',
-    voiceType: 'female_01',
+    voiceId: 'en-US-Neural2-F',
+    voiceName: 'Olivia',
     useCase: 'lead_qualification',
     greeting: '',
-    fallbackResponse: 'I\'m sorry, I didn\'t understand that. Could you please rephrase?'
+    fallbackResponse: 'I\'m sorry, I didn\'t understand that. Could you please rephrase?',
+    pronunciations: []
   });
 
+  const [cloneWizardOpen, setCloneWizardOpen] = useState(false);
+  const [catalogVersion, setCatalogVersion] = useState(0);
+  const [isCreating, setIsCreating] = useState(false);
+  const [createError, setCreateError] = useState(null);
+
   const steps = ['Basic Information', 'Voice Selection', 'Conversation Flow', 'Review'];
 
   const handleChange = (e) => {
@@ -41,6 +54,24 @@ const VoiceAgentBuilder = () => {
     }));
   };
 
+  const handleVoiceSelect = (voice) => {
+    setAgentData(prev => ({
+      ...prev,
+      voiceId: voice.id,
+      voiceName: voice.name
+    }));
+  };
+
+  // Reload the catalog so it lists the new voice
+  const handleVoiceCloned = (voice) => {
+    handleVoiceSelect(voice);
+    setCatalogVersion(version => version + 1);
+  };
+
+  // Voices are previewed with the agent's own greeting once it has one
+  const previewText = agentData.greeting.trim() ||
+    `Hello, this is ${agentData.name.trim() || 'your voice agent'}. How can I help you today?`;
+
   const handleNext = () => {
     setActiveStep((prevActiveStep) => prevActiveStep + 1);
   };
@@ -50,10 +81,37 @@ const VoiceAgentBuilder = () => {
   };
 
   const handleCreateAgent = async () => {
-    // In a real implementation, this would call the Play.ai API
-    // For now, we'll just simulate success and redirect
-    alert('Voice agent created successfully!');
-    router.push('/voice-agents/[agentId]/conversation', `/voice-agents/demo-agent/conversation`);
+    setIsCreating(true);
+    setCreateError(null);
+
+    try {
+      // The lexicon goes out as pronunciation_lexicon, see createVoiceAgent
+      const agent = await createVoiceAgent({
+        name: agentData.name.trim(),
+        description: agentData.description,
+        voiceId: agentData.voiceId,
+        personality: {
+          use_case: agentData.useCase,
+          greeting: agentData.greeting,
+          fallback_response: agentData.fallbackResponse
+        },
+        pronunciations: agentData.pronunciations
+      });
+
+      // Synthesize the fixed phrases in the background, so the first conversation plays them from the cache
+      prewarmAgentPhrases({
+        agentId: agent.id,
+        voiceId: agentData.voiceId,
+        greeting: agentData.greeting,
+        fallbackResponse: agentData.fallbackResponse,
+        pronunciations: agentData.pronunciations
+      });
+
+      router.push('/voice-agents/[agentId]/conversation', `/voice-agents/${agent.id}/conversation`);
+    } catch (error) {
+      setCreateError(error.message);
+      setIsCreating(false);
+    }
   };
 
   const getStepContent = (step) => {
@@ -98,28 +156,27 @@ const VoiceAgentBuilder = () => {
       case 1:
         return (
           <Box>
-            <FormControl fullWidth margin="normal">
-              <InputLabel>Voice Type</InputLabel>
-              <Select
-                name="voiceType"
-                value={agentData.voiceType}
-                onChange={handleChange}
-              >
-                <MenuItem value="female_01">Female Voice 1</MenuItem>
-                <MenuItem value="female_02">Female Voice 2</MenuItem>
-                <MenuItem value="male_01">Male Voice 1</MenuItem>
-                <MenuItem value="male_02">Male Voice 2</MenuItem>
-              </Select>
-            </FormControl>
-            <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
-              <Button 
-                variant="outlined" 
-                color="secondary"
-                onClick={() => alert('Playing sample voice...')}
-              >
-                Play Sample
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="body2" color="text.secondary">
+                Selected voice: {agentData.voiceName || agentData.voiceId}
+              </Typography>
+              <Button variant="outlined" size="small" onClick={() => setCloneWizardOpen(true)}>
+                Clone a Voice
               </Button>
             </Box>
+            <VoiceCatalog
+              key={catalogVersion}
+              value={agentData.voiceId}
+              onChange={handleVoiceSelect}
+              previewText={previewText}
+            />
+            {cloneWizardOpen && (
+              <VoiceCloneWizard
+                open={cloneWizardOpen}
+                onClose={() => setCloneWizardOpen(false)}
+                onComplete={handleVoiceCloned}
+              />
+            )}
           </Box>
         );
       case 2:
@@ -146,6 +203,11 @@ const VoiceAgentBuilder = () => {
               multiline
               rows={3}
             />
+            <PronunciationEditor
+              value={agentData.pronunciations}
+              onChange={pronunciations => setAgentData(prev => ({ ...prev, pronunciations }))}
+              voiceId={agentData.voiceId}
+            />
           </Box>
         );
       case 3:
@@ -170,11 +232,9 @@ const VoiceAgentBuilder = () => {
                 </Typography>
               </Grid>
               <Grid item xs={12} sm={6}>
-                <Typography variant="subtitle1">Voice Type:</Typography>
+                <Typography variant="subtitle1">Voice:</Typography>
                 <Typography variant="body1" gutterBottom>
-                  {agentData.voiceType === 'female_01' ? 'Female Voice 1' : 
-                   agentData.voiceType === 'female_02' ? 'Female Voice 2' :
-                   agentData.voiceType === 'male_01' ? 'Male Voice 1' : 'Male Voice 2'}
+                  {agentData.voiceName ? `${agentData.voiceName} (${agentData.voiceId})` : agentData.voiceId}
                 </Typography>
                 
                 <Typography variant="subtitle1">Greeting:</Typography>
@@ -182,6 +242,13 @@ const VoiceAgentBuilder = () => {
                 
                 <Typography variant="subtitle1">Fallback Response:</Typography>
                 <Typography variant="body1" gutterBottom>{agentData.fallbackResponse}</Typography>
+
+                <Typography variant="subtitle1">Pronunciations:</Typography>
+                <Typography variant="body1" gutterBottom>
+                  {agentData.pronunciations.length
+                    ? agentData.pronunciations.map(entry => entry.word).filter(Boolean).join(', ')
+                    : 'None'}
+                </Typography>
               </Grid>
             </Grid>
           </Box>
@@ -210,6 +277,12 @@ const VoiceAgentBuilder = () => {
         </Stepper>
         
         {getStepContent(activeStep)}
+
+        {createError && (
+          <Alert severity="error" sx={{ mt: 3 }}>
+            {createError}
+          </Alert>
+        )}
         
         <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 3 }}>
           {activeStep !== 0 && (
@@ -223,8 +296,9 @@ const VoiceAgentBuilder = () => {
               variant="contained"
               color="primary"
               onClick={handleCreateAgent}
+              disabled={isCreating || !agentData.name.trim()}
             >
-              Create Agent
+              {isCreating ? 'Creating...' : 'Create Agent'}
             </Button>
           ) : (
             <Button
@@ -0,0 +1,415 @@
+/**
+ * Play.ai Microphone Capture
+ *
+ * This module turns a microphone stream into chunks for streaming
+ * speech-to-text and conversations. It records with MediaRecorder in the best
+ * codec the browser supports (WebM or Ogg Opus, or AAC in MP4 on Safari) and
+ * falls back to raw 16 kHz 16-bit PCM from an AudioWorklet where no codec is
+ * available. The chosen encoding is described by toEncodingParams so it can
+ * be sent to the server along with the audio.
+ *
+ * A capture can be gated, e.g. by voice activity detection, so only speech is
+ * sent. While the gate is closed PCM chunks are dropped except for the most
+ * recent prerollMs, which are sent when the gate opens so the start of a word
+ * is not cut off. A recording cannot do the same: its chunks only make a valid
+ * container together, so it is paused while the gate is closed and loses the
+ * audio between the start of speech and the gate opening, typically 60-100 ms.
+ * Gated captures should therefore use PCM, which getCaptureFormat picks when
+ * asked to with gated.
+ */
+
+// Recording formats in order of preference, with the encoding name the server expects
+export const CAPTURE_FORMATS = [
+  { mimeType: 'audio/webm;codecs=opus', encoding: 'webm_opus' },
+  { mimeType: 'audio/ogg;codecs=opus', encoding: 'ogg_opus' },
+  { mimeType: 'audio/mp4;codecs=mp4a.40.2', encoding: 'mp4_aac' },
+  { mimeType: 'audio/mp4', encoding: 'mp4_aac' }
+];
+
+// Sample rate of the PCM fallback, as expected by the speech-to-text models
+export const PCM_SAMPLE_RATE = 16000;
+
+const PCM_PROCESSOR_NAME = 'playai-pcm-capture';
+
+// Runs on the audio thread: downmixes to mono, resamples to the target rate and
+// posts 16-bit PCM chunks. Downsampling averages the input samples each output
+// sample covers, which keeps aliasing out of the speech band.
+const PCM_WORKLET_SOURCE = `
+class PlayAiPcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { targetSampleRate, chunkSamples } = options.processorOptions;
+    this.ratio = sampleRate / targetSampleRate;
+    this.position = 0;
+    this.pending = new Float32Array(0);
+    this.output = new Int16Array(chunkSamples);
+    this.outputLength = 0;
+    this.port.onmessage = (event) => {
+      if (event.data === 'flush') this.flush();
+    };
+  }
+
+  flush() {
+    const chunk = this.output.slice(0, this.outputLength);
+    this.outputLength = 0;
+    this.port.postMessage({ samples: chunk.buffer, flushed: true }, [chunk.buffer]);
+  }
+
+  write(sample) {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    this.output[this.outputLength++] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+    if (this.outputLength === this.output.length) {
+      this.port.postMessage({ samples: this.output.buffer }, [this.output.buffer]);
+      this.output = new Int16Array(this.output.length);
+      this.outputLength = 0;
+    }
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    if (!channels || !channels.length) return true;
+
+    const frames = channels[0].length;
+    const mono = new Float32Array(this.pending.length + frames);
+    mono.set(this.pending);
+    for (let i = 0; i < frames; i++) {
+      let sum = 0;
+      for (let c = 0; c < channels.length; c++) sum += channels[c][i];
+      mono[this.pending.length + i] = sum / channels.length;
+    }
+
+    let position = this.position;
+    if (this.ratio >= 1) {
+      while (Math.floor(position + this.ratio) <= mono.length) {
+        const start = Math.floor(position);
+        const end = Math.max(start + 1, Math.floor(position + this.ratio));
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += mono[i];
+        this.write(sum / (end - start));
+        position += this.ratio;
+      }
+    } else {
+      while (Math.floor(position) + 1 < mono.length) {
+        const index = Math.floor(position);
+        const fraction = position - index;
+        this.write(mono[index] + (mono[index + 1] - mono[index]) * fraction);
+        position += this.ratio;
+      }
+    }
+
+    // Keep the input the next block still needs
+    const consumed = Math.min(Math.floor(position), mono.length);
+    this.pending = mono.slice(consumed);
+    this.position = position - consumed;
+    return true;
+  }
+}
+
+registerProcessor('${PCM_PROCESSOR_NAME}', PlayAiPcmCaptureProcessor);
+`;
+
+// How long stop() waits for the last PCM samples before releasing the audio graph, in ms
+const FLUSH_TIMEOUT_MS = 200;
+
+const isMediaRecorderTypeSupported = mimeType => (
+  typeof MediaRecorder !== 'undefined' &&
+  typeof MediaRecorder.isTypeSupported === 'function' &&
+  MediaRecorder.isTypeSupported(mimeType)
+);
+
+const isAudioWorkletSupported = () => (
+  typeof window !== 'undefined' &&
+  typeof window.AudioWorkletNode !== 'undefined'
+);
+
+/**
+ * Pick the format to capture microphone audio in
+ * @param {Object} options - Format options
+ * @param {boolean} options.preferPcm - Capture raw PCM even if a codec is available (default: false)
+ * @param {boolean} options.gated - The capture will be gated, e.g. by voice activity detection; picks PCM
+ *   where the browser supports it, so speech keeps its preroll (default: false)
+ * @param {number} options.sampleRate - Sample rate of PCM capture in Hz (default: 16000)
+ * @returns {Object} { type: 'media-recorder', mimeType, encoding } or
+ *   { type: 'pcm', encoding: 'linear16', sampleRate, channels }
+ */
+export const getCaptureFormat = ({ preferPcm = false, gated = false, sampleRate = PCM_SAMPLE_RATE } = {}) => {
+  const usePcm = preferPcm || (gated && isAudioWorkletSupported());
+  const recorderFormat = !usePcm && CAPTURE_FORMATS.find(format => isMediaRecorderTypeSupported(format.mimeType));
+
+  if (recorderFormat) {
+    return { type: 'media-recorder', ...recorderFormat };
+  }
+
+  return { type: 'pcm', encoding: 'linear16', sampleRate, channels: 1 };
+};
+
+/**
+ * Describe a capture format for the server
+ * @param {Object} format - Format from getCaptureFormat
+ * @returns {Object} { encoding } plus sample_rate and channels for PCM
+ */
+export const toEncodingParams = format => (
+  format.type === 'pcm'
+    ? { encoding: format.encoding, sample_rate: format.sampleRate, channels: format.channels }
+    : { encoding: format.encoding }
+);
+
+/**
+ * Capture a microphone stream as encoded chunks
+ *
+ * The capture does not stop the stream's tracks; the caller owns the stream.
+ *
+ * @param {Object} options - Capture options
+ * @param {MediaStream} options.mediaStream - Media stream from the microphone
+ * @param {Object} options.format - Format from getCaptureFormat (default: the best supported format)
+ * @param {number} options.timeslice - Length of each chunk in ms (default: 100)
+ * @param {boolean} options.gateOpen - Whether chunks are sent from the start (default: true)
+ * @param {number} options.prerollMs - PCM audio held back while the gate is closed, in ms (default: 300);
+ *   recordings have no preroll, see the module comment
+ * @param {Function} options.onData - Callback for each chunk: a Blob when recording with a codec,
+ *   an ArrayBuffer of 16-bit little-endian samples for PCM
+ * @param {Function} options.onError - Callback for errors while capturing; start() rejects instead of calling it
+ * @returns {Object} Capture with format, start, stop, pause, resume, setGateOpen and state; stop resolves
+ *   once the last chunk has been passed to onData
+ */
+export const createAudioCapture = ({
+  mediaStream,
+  format = getCaptureFormat(),
+  timeslice = 100,
+  gateOpen = true,
+  prerollMs = 300,
+  onData,
+  onError
+}) => {
+  if (!mediaStream) {
+    throw new Error('Media stream is required');
+  }
+
+  let state = 'inactive';
+  let isGateOpen = gateOpen;
+  const preroll = [];
+  let mediaRecorder = null;
+  let audioContext = null;
+  let sourceNode = null;
+  let workletNode = null;
+  let flushTimer = null;
+  let resolveStop = null;
+
+  const fail = (error) => {
+    console.error('Error capturing audio:', error);
+    if (onError) onError(error);
+  };
+
+  const startRecorder = () => {
+    mediaRecorder = new MediaRecorder(mediaStream, { mimeType: format.mimeType });
+    mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0 && onData) onData(event.data);
+    };
+    mediaRecorder.onerror = event => fail(event.error || new Error('Recording failed'));
+    mediaRecorder.start(timeslice);
+    if (!isGateOpen) mediaRecorder.pause();
+  };
+
+  const deliverPcm = (samples) => {
+    if (!samples.byteLength || !onData) return;
+    if (isGateOpen) {
+      onData(samples);
+      return;
+    }
+
+    // Keep only the most recent audio while the gate is closed
+    preroll.push(samples);
+    const maxBytes = format.sampleRate * 2 * prerollMs / 1000;
+    let bytes = preroll.reduce((total, chunk) => total + chunk.byteLength, 0);
+    while (preroll.length > 1 && bytes - preroll[0].byteLength >= maxBytes) {
+      bytes -= preroll.shift().byteLength;
+    }
+  };
+
+  const releasePcm = () => {
+    clearTimeout(flushTimer);
+    if (sourceNode) sourceNode.disconnect();
+    if (workletNode) {
+      workletNode.port.onmessage = null;
+      workletNode.disconnect();
+    }
+    if (audioContext && audioContext.state !== 'closed') {
+      audioContext.close().catch(() => {});
+    }
+    sourceNode = null;
+    workletNode = null;
+    audioContext = null;
+    if (resolveStop) {
+      resolveStop();
+      resolveStop = null;
+    }
+  };
+
+  const startPcm = async () => {
+    if (!isAudioWorkletSupported()) {
+      throw new Error('Microphone capture is not supported in this browser');
+    }
+
+    // Run at the hardware rate; Firefox cannot connect a microphone to a context at another rate
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const moduleUrl = URL.createObjectURL(new Blob([PCM_WORKLET_SOURCE], { type: 'application/javascript' }));
+    try {
+      await audioContext.audioWorklet.addModule(moduleUrl);
+    } finally {
+      URL.revokeObjectURL(moduleUrl);
+    }
+
+    sourceNode = audioContext.createMediaStreamSource(mediaStream);
+    workletNode = new window.AudioWorkletNode(audioContext, PCM_PROCESSOR_NAME, {
+      processorOptions: {
+        targetSampleRate: format.sampleRate,
+        chunkSamples: Math.round(format.sampleRate * timeslice / 1000)
+      }
+    });
+    workletNode.port.onmessage = (event) => {
+      const { samples, flushed } = event.data;
+      deliverPcm(samples);
+      if (flushed) releasePcm();
+    };
+
+    // The processor only runs while connected to the output, so connect it through a muted gain
+    const mute = audioContext.createGain();
+    mute.gain.value = 0;
+    sourceNode.connect(workletNode);
+    workletNode.connect(mute);
+    mute.connect(audioContext.destination);
+
+    if (audioContext.state === 'suspended') await audioContext.resume();
+  };
+
+  /**
+   * Start capturing
+   * @returns {Promise<void>} Promise that resolves once audio is being captured
+   * @throws {Error} If the browser cannot capture audio
+   */
+  const start = async () => {
+    if (state !== 'inactive') return;
+
+    try {
+      if (format.type === 'pcm') {
+        await startPcm();
+      } else {
+        startRecorder();
+      }
+      state = 'recording';
+    } catch (error) {
+      releasePcm();
+      // The caller reports it
+      console.error('Error starting audio capture:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Stop capturing; the last chunk is delivered before the capture is released
+   * @returns {Promise<void>} Promise that resolves once the last chunk has been passed to onData
+   */
+  const stop = () => {
+    if (state === 'inactive') return Promise.resolve();
+    state = 'inactive';
+
+    return new Promise((resolve) => {
+      if (mediaRecorder) {
+        const recorder = mediaRecorder;
+        mediaRecorder = null;
+        if (recorder.state === 'inactive') {
+          resolve();
+          return;
+        }
+        // The recorder delivers its last chunk before it fires stop
+        recorder.onstop = () => resolve();
+        recorder.stop();
+        return;
+      }
+
+      if (workletNode) {
+        resolveStop = resolve;
+        workletNode.port.postMessage('flush');
+        flushTimer = setTimeout(releasePcm, FLUSH_TIMEOUT_MS);
+        return;
+      }
+
+      resolve();
+    });
+  };
+
+  /**
+   * Pause capturing
+   * @returns {boolean} True if the capture was paused
+   */
+  const pause = () => {
+    if (state !== 'recording') return false;
+
+    if (mediaRecorder) {
+      mediaRecorder.pause();
+    } else if (audioContext) {
+      audioContext.suspend().catch(fail);
+    }
+    state = 'paused';
+    return true;
+  };
+
+  /**
+   * Resume capturing after pause
+   * @returns {boolean} True if the capture was resumed
+   */
+  const resume = () => {
+    if (state !== 'paused') return false;
+
+    if (mediaRecorder) {
+      if (isGateOpen) mediaRecorder.resume();
+    } else if (audioContext) {
+      audioContext.resume().catch(fail);
+    }
+    state = 'recording';
+    return true;
+  };
+
+  /**
+   * Open or close the gate that decides whether chunks are sent
+   * @param {boolean} isOpen - Whether to send chunks
+   * @returns {void}
+   */
+  const setGateOpen = (isOpen) => {
+    if (isGateOpen === Boolean(isOpen)) return;
+    isGateOpen = Boolean(isOpen);
+
+    if (mediaRecorder && state === 'recording') {
+      if (isGateOpen && mediaRecorder.state === 'paused') mediaRecorder.resume();
+      if (!isGateOpen && mediaRecorder.state === 'recording') {
+        // Deliver what was recorded so far; a paused recorder holds on to it
+        mediaRecorder.requestData();
+        mediaRecorder.pause();
+      }
+    }
+
+    if (isGateOpen) {
+      preroll.splice(0).forEach(samples => onData && onData(samples));
+    }
+  };
+
+  return {
+    format,
+    start,
+    stop,
+    pause,
+    resume,
+    setGateOpen,
+    get state() {
+      return state;
+    }
+  };
+};
+
+export default {
+  CAPTURE_FORMATS,
+  PCM_SAMPLE_RATE,
+  getCaptureFormat,
+  toEncodingParams,
+  createAudioCapture
+};
@@ -0,0 +1,222 @@
+/**
+ * Play.ai Audio Export
+ *
+ * This module turns synthesized speech into downloadable audio files, for
+ * voicemail drops and IVR prompts built from agent scripts. It joins one or
+ * more text-to-speech results with silence between them, evens out their
+ * loudness and encodes the result as WAV or MP3, entirely in the browser.
+ * MP3 encoding loads the lamejs encoder on first use.
+ */
+
+import {
+  decodeAudio,
+  fetchAudioBuffer,
+  createAudioBuffer,
+  concatAudioBuffers,
+  resampleAudioBuffer,
+  normalizeAudioBuffer,
+  encodeWav
+} from './playAiAudioUtils';
+
+export const EXPORT_FORMATS = ['wav', 'mp3'];
+
+// Samples per MP3 frame
+const MP3_FRAME_SIZE = 1152;
+
+const MIME_TYPES = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg'
+};
+
+// Decode one export segment, whatever form it was given in
+const toAudioBuffer = async (segment, { sampleRate, signal }) => {
+  if (typeof AudioBuffer !== 'undefined' && segment instanceof AudioBuffer) {
+    // Always a copy at the export rate, so normalizing does not change the caller's buffer
+    return resampleAudioBuffer(segment, sampleRate);
+  }
+  if (typeof segment === 'string') {
+    return fetchAudioBuffer(segment, { sampleRate, signal });
+  }
+  if (segment instanceof Blob) {
+    return decodeAudio(await segment.arrayBuffer(), { sampleRate });
+  }
+  if (segment instanceof ArrayBuffer) {
+    // decodeAudioData detaches its input, so decode a copy
+    return decodeAudio(segment.slice(0), { sampleRate });
+  }
+
+  // Results of textToSpeech, cachedTextToSpeech and textToSpeechLongForm
+  if (segment?.audioData) return decodeAudio(segment.audioData.slice(0), { sampleRate });
+  if (segment?.audioBlob) return decodeAudio(await segment.audioBlob.arrayBuffer(), { sampleRate });
+
+  const url = segment?.audio_url || segment?.audioUrl;
+  if (url) return fetchAudioBuffer(url, { sampleRate, signal });
+
+  throw new Error('Unsupported audio segment: expected a text-to-speech result, URL, Blob or AudioBuffer');
+};
+
+// Convert float samples to 16-bit PCM
+const toInt16 = (samples) => {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return pcm;
+};
+
+/**
+ * Encode an AudioBuffer as an MP3 file
+ * @param {AudioBuffer} audioBuffer - Audio to encode (mono or stereo)
+ * @param {Object} options - Encoding options
+ * @param {number} options.bitrate - Bitrate in kbps (default: 128)
+ * @returns {Promise<Blob>} Promise resolving to the MP3 file
+ * @throws {Error} If the encoder cannot be loaded
+ */
+export const encodeMp3 = async (audioBuffer, { bitrate = 128 } = {}) => {
+  const { Mp3Encoder } = await import('@breezystack/lamejs');
+  const channels = Math.min(2, audioBuffer.numberOfChannels);
+  const encoder = new Mp3Encoder(channels, audioBuffer.sampleRate, bitrate);
+  const pcm = Array.from({ length: channels }, (_, channel) => toInt16(audioBuffer.getChannelData(channel)));
+  const frames = [];
+
+  for (let offset = 0; offset < audioBuffer.length; offset += MP3_FRAME_SIZE) {
+    const blocks = pcm.map(samples => samples.subarray(offset, offset + MP3_FRAME_SIZE));
+    const frame = encoder.encodeBuffer(...blocks);
+    if (frame.length) frames.push(frame);
+  }
+
+  const tail = encoder.flush();
+  if (tail.length) frames.push(tail);
+
+  return new Blob(frames, { type: MIME_TYPES.mp3 });
+};
+
+/**
+ * Join synthesized speech into one audio file
+ * @param {Array<Object|string|Blob|AudioBuffer>} segments - Text-to-speech results (with audio_url, audioUrl,
+ *   audioData or audioBlob), audio URLs, Blobs or AudioBuffers, in playback order
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'wav' or 'mp3' (default: 'wav')
+ * @param {number} options.silenceMs - Silence between segments in ms (default: 500)
+ * @param {number} options.leadingSilenceMs - Silence before the first segment in ms (default: 0)
+ * @param {number} options.trailingSilenceMs - Silence after the last segment in ms (default: 0)
+ * @param {boolean} options.normalize - Bring every segment to the same loudness (default: true)
+ * @param {number} options.targetDb - Target RMS level in dBFS when normalizing (default: -18)
+ * @param {number} options.peakLimitDb - Highest allowed peak in dBFS when normalizing (default: -1)
+ * @param {number} options.sampleRate - Sample rate of the file in Hz (default: 24000)
+ * @param {number} options.bitrate - MP3 bitrate in kbps (default: 128)
+ * @param {Function} options.onProgress - Callback with { completed, total } after each segment is decoded
+ * @param {AbortSignal} options.signal - Signal to cancel downloads
+ * @returns {Promise<Object>} Promise resolving to { blob, url, format, duration, sampleRate, offsets };
+ *   format is 'wav' if MP3 was requested but the encoder could not be loaded
+ * @throws {Error} If there are no segments or one cannot be decoded
+ */
+export const exportSpeechAudio = async (segments, {
+  format = 'wav',
+  silenceMs = 500,
+  leadingSilenceMs = 0,
+  trailingSilenceMs = 0,
+  normalize = true,
+  targetDb = -18,
+  peakLimitDb = -1,
+  sampleRate = 24000,
+  bitrate = 128,
+  onProgress,
+  signal
+} = {}) => {
+  if (!segments || !segments.length) {
+    throw new Error('At least one audio segment is required');
+  }
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  try {
+    const buffers = [];
+    for (const segment of segments) {
+      const audioBuffer = await toAudioBuffer(segment, { sampleRate, signal });
+      if (normalize) normalizeAudioBuffer(audioBuffer, { targetDb, peakLimitDb });
+      buffers.push(audioBuffer);
+      if (onProgress) onProgress({ completed: buffers.length, total: segments.length });
+    }
+
+    const { audioBuffer: speech, offsets } = concatAudioBuffers(buffers, { gapSeconds: silenceMs / 1000 });
+
+    // Leading and trailing silence are empty buffers around the speech, at its rate
+    const silence = ms => createAudioBuffer(speech.numberOfChannels, Math.round(ms / 1000 * speech.sampleRate), speech.sampleRate);
+    const padding = [
+      leadingSilenceMs > 0 && silence(leadingSilenceMs),
+      speech,
+      trailingSilenceMs > 0 && silence(trailingSilenceMs)
+    ].filter(Boolean);
+    const audioBuffer = padding.length > 1 ? concatAudioBuffers(padding).audioBuffer : speech;
+    const leadingSeconds = leadingSilenceMs > 0 ? leadingSilenceMs / 1000 : 0;
+
+    let blob;
+    let outputFormat = format;
+    if (format === 'mp3') {
+      try {
+        blob = await encodeMp3(audioBuffer, { bitrate });
+      } catch (error) {
+        console.warn('MP3 encoding is unavailable, exporting WAV instead:', error);
+        outputFormat = 'wav';
+      }
+    }
+    if (!blob) blob = encodeWav(audioBuffer);
+
+    return {
+      blob,
+      url: URL.createObjectURL(blob),
+      format: outputFormat,
+      duration: audioBuffer.duration,
+      sampleRate: audioBuffer.sampleRate,
+      offsets: offsets.map(offset => offset + leadingSeconds)
+    };
+  } catch (error) {
+    console.error('Error exporting audio:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save a Blob as a file through the browser's download prompt
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ * @returns {void}
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser time to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Export synthesized speech and download it
+ * @param {Array<Object|string|Blob|AudioBuffer>} segments - Segments, as for exportSpeechAudio
+ * @param {Object} options - Options for exportSpeechAudio, plus:
+ * @param {string} options.filename - File name without extension (default: 'speech')
+ * @returns {Promise<Object>} Promise resolving to the exportSpeechAudio result
+ * @throws {Error} If the export fails
+ */
+export const downloadSpeechAudio = async (segments, { filename = 'speech', ...options } = {}) => {
+  const result = await exportSpeechAudio(segments, options);
+  downloadBlob(result.blob, `${filename}.${result.format}`);
+  return result;
+};
+
+export default {
+  EXPORT_FORMATS,
+  encodeMp3,
+  exportSpeechAudio,
+  downloadBlob,
+  downloadSpeechAudio
+};
@@ -0,0 +1,290 @@
+/**
+ * Play.ai Audio Output Manager
+ *
+ * This module holds the output settings every piece of agent audio plays
+ * with: the output device, volume, playback rate and mute. Audio elements are
+ * attached with attachMediaElement and Web Audio graphs connect to the node
+ * from getOutputNode, so a change applies to everything that is playing. The
+ * settings are saved to localStorage, so staff on headsets only pick their
+ * device once.
+ */
+
+const STORAGE_KEY = 'playai_audio_output';
+
+// Settings before any are saved, also used for the server render
+export const DEFAULT_AUDIO_OUTPUT_SETTINGS = {
+  deviceId: 'default',
+  volume: 1,
+  playbackRate: 1,
+  muted: false
+};
+
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+let settings = null;
+
+// Media elements currently playing through the manager
+const mediaElements = new Set();
+
+// Output gain nodes by AudioContext
+const outputNodes = new Map();
+
+const listeners = new Set();
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const loadSettings = () => {
+  if (settings) return settings;
+
+  settings = { ...DEFAULT_AUDIO_OUTPUT_SETTINGS };
+  if (typeof window !== 'undefined' && window.localStorage) {
+    try {
+      settings = { ...settings, ...JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch (error) {
+      console.error('Error reading audio output settings:', error);
+    }
+  }
+  return settings;
+};
+
+const saveSettings = () => {
+  if (typeof window !== 'undefined' && window.localStorage) {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }
+};
+
+const notify = () => {
+  const snapshot = getAudioOutputSettings();
+  listeners.forEach(listener => listener(snapshot));
+};
+
+// Apply the current settings to a media element
+const applyToElement = (element) => {
+  element.volume = settings.volume;
+  element.muted = settings.muted;
+  // Loading a new source resets the rate to the default rate
+  element.defaultPlaybackRate = settings.playbackRate;
+  element.playbackRate = settings.playbackRate;
+  // Keep voices natural at higher rates
+  element.preservesPitch = true;
+};
+
+// Apply the current settings to an output node
+const applyToNode = (node) => {
+  node.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, node.context.currentTime, 0.01);
+};
+
+// Route a media element or AudioContext to the selected device, where the browser allows it
+const applySinkId = async (target) => {
+  if (typeof target.setSinkId !== 'function') return;
+  // An empty sink ID means the system default
+  const sinkId = settings.deviceId === 'default' ? '' : settings.deviceId;
+  if (target.sinkId === sinkId) return;
+  await target.setSinkId(sinkId);
+};
+
+/**
+ * Get the current output settings
+ * @returns {Object} { deviceId, volume, playbackRate, muted }
+ */
+export const getAudioOutputSettings = () => ({ ...loadSettings() });
+
+/**
+ * Check whether the browser can route audio to a chosen output device
+ * @returns {boolean} True if output device selection is supported
+ */
+export const isOutputDeviceSelectionSupported = () => (
+  typeof window !== 'undefined' &&
+  typeof window.HTMLMediaElement !== 'undefined' &&
+  'setSinkId' in window.HTMLMediaElement.prototype
+);
+
+/**
+ * List the audio output devices
+ *
+ * Browsers only reveal device labels after the page has been granted
+ * microphone access.
+ *
+ * @returns {Promise<Array<Object>>} Promise resolving to { deviceId, label } for each output device
+ */
+export const getOutputDevices = async () => {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices?.enumerateDevices) {
+    return [];
+  }
+
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audiooutput')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || (device.deviceId === 'default' ? 'System default' : `Speaker ${index + 1}`)
+      }));
+  } catch (error) {
+    console.error('Error listing audio output devices:', error);
+    return [];
+  }
+};
+
+/**
+ * Choose the output device for all agent audio
+ * @param {string} deviceId - Device ID from getOutputDevices ('default' for the system default)
+ * @returns {Promise<void>} Promise that resolves once playing audio has moved to the device
+ * @throws {Error} If the browser cannot use the device
+ */
+export const setOutputDevice = async (deviceId) => {
+  loadSettings();
+  const previous = settings.deviceId;
+  settings = { ...settings, deviceId: deviceId || 'default' };
+
+  try {
+    await Promise.all([...mediaElements, ...outputNodes.keys()].map(applySinkId));
+  } catch (error) {
+    console.error('Error switching audio output device:', error);
+    settings = { ...settings, deviceId: previous };
+    await Promise.all([...mediaElements, ...outputNodes.keys()].map(target => applySinkId(target).catch(() => {})));
+    notify();
+    throw error;
+  }
+
+  saveSettings();
+  notify();
+};
+
+/**
+ * Update volume, playback rate or mute
+ * @param {Object} updates - Settings to change
+ * @param {number} updates.volume - Volume from 0 to 1
+ * @param {number} updates.playbackRate - Playback rate from 0.5 to 2
+ * @param {boolean} updates.muted - Whether agent audio is muted
+ * @returns {Object} The new settings
+ */
+export const updateAudioOutput = ({ volume, playbackRate, muted } = {}) => {
+  loadSettings();
+  settings = {
+    ...settings,
+    ...(volume !== undefined && { volume: clamp(Number(volume), 0, 1) }),
+    ...(playbackRate !== undefined && { playbackRate: clamp(Number(playbackRate), 0.5, 2) }),
+    ...(muted !== undefined && { muted: Boolean(muted) })
+  };
+
+  mediaElements.forEach(applyToElement);
+  outputNodes.forEach(applyToNode);
+  saveSettings();
+  notify();
+  return getAudioOutputSettings();
+};
+
+/**
+ * Play a media element with the output settings, following later changes
+ * @param {HTMLMediaElement} element - Audio element
+ * @returns {Function} Function that detaches the element again
+ */
+export const attachMediaElement = (element) => {
+  loadSettings();
+  applyToElement(element);
+  applySinkId(element).catch(error => console.error('Error setting audio output device:', error));
+  mediaElements.add(element);
+
+  return () => {
+    mediaElements.delete(element);
+  };
+};
+
+/**
+ * Get the node Web Audio playback should connect to instead of the context destination
+ *
+ * The node applies volume and mute. Playback rate is left to the caller,
+ * which sets it on its AudioBufferSourceNodes; unlike media elements, that
+ * also shifts the pitch.
+ *
+ * @param {AudioContext} audioContext - Context used for playback
+ * @returns {GainNode} Output node, shared by everything playing on the context
+ */
+export const getOutputNode = (audioContext) => {
+  loadSettings();
+
+  if (!outputNodes.has(audioContext)) {
+    const node = audioContext.createGain();
+    node.gain.value = settings.muted ? 0 : settings.volume;
+    node.connect(audioContext.destination);
+    outputNodes.set(audioContext, node);
+    applySinkId(audioContext).catch(error => console.error('Error setting audio output device:', error));
+
+    audioContext.addEventListener?.('statechange', () => {
+      if (audioContext.state === 'closed') outputNodes.delete(audioContext);
+    });
+  }
+
+  return outputNodes.get(audioContext);
+};
+
+/**
+ * Play an audio URL with the output settings
+ * @param {string} url - Audio URL
+ * @param {Object} options - Playback options
+ * @param {AbortSignal} options.signal - Signal to stop playback
+ * @returns {Promise<HTMLAudioElement>} Promise resolving to the element once playback has finished
+ *   (or was stopped through the signal)
+ * @throws {Error} If the audio cannot be played
+ */
+export const playAudioUrl = (url, { signal } = {}) => new Promise((resolve, reject) => {
+  const audio = new Audio(url);
+  const detach = attachMediaElement(audio);
+
+  const cleanup = () => {
+    detach();
+    if (signal) signal.removeEventListener('abort', onAbort);
+  };
+  const onAbort = () => {
+    audio.pause();
+    cleanup();
+    resolve(audio);
+  };
+
+  if (signal?.aborted) {
+    onAbort();
+    return;
+  }
+
+  audio.addEventListener('ended', () => {
+    cleanup();
+    resolve(audio);
+  });
+  audio.addEventListener('error', () => {
+    cleanup();
+    reject(audio.error || new Error('Audio playback failed'));
+  });
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  audio.play().catch((error) => {
+    cleanup();
+    reject(error);
+  });
+});
+
+/**
+ * Subscribe to output setting changes
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} Function that unsubscribes
+ */
+export const subscribeToAudioOutput = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+export default {
+  DEFAULT_AUDIO_OUTPUT_SETTINGS,
+  PLAYBACK_RATES,
+  getAudioOutputSettings,
+  isOutputDeviceSelectionSupported,
+  getOutputDevices,
+  setOutputDevice,
+  updateAudioOutput,
+  attachMediaElement,
+  getOutputNode,
+  playAudioUrl,
+  subscribeToAudioOutput
+};
@@ -0,0 +1,250 @@
+/**
+ * Play.ai Audio Utilities
+ *
+ * This module holds the browser audio helpers shared by the Play.ai modules:
+ * downloading and decoding synthesized audio, joining AudioBuffers end to end,
+ * adjusting their loudness and encoding them as 16-bit PCM WAV files.
+ */
+
+// Sample rate used when decoding audio for stitching
+const DEFAULT_SAMPLE_RATE = 24000;
+
+/**
+ * Decode encoded audio (MP3, WAV, ...) into an AudioBuffer
+ * @param {ArrayBuffer} data - Encoded audio data
+ * @param {Object} options - Decoding options
+ * @param {number} options.sampleRate - Sample rate to decode to (default: 24000)
+ * @returns {Promise<AudioBuffer>} Promise resolving to the decoded audio
+ * @throws {Error} If the audio cannot be decoded
+ */
+export const decodeAudio = async (data, { sampleRate = DEFAULT_SAMPLE_RATE } = {}) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const context = new OfflineContext(1, 1, sampleRate);
+
+  try {
+    return await context.decodeAudioData(data);
+  } catch (error) {
+    console.error('Error decoding audio:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download and decode audio from a URL
+ * @param {string} url - URL of the audio file
+ * @param {Object} options - Options
+ * @param {number} options.sampleRate - Sample rate to decode to (default: 24000)
+ * @param {AbortSignal} options.signal - Signal to cancel the download
+ * @returns {Promise<AudioBuffer>} Promise resolving to the decoded audio
+ * @throws {Error} If the download or decoding fails
+ */
+export const fetchAudioBuffer = async (url, { sampleRate, signal } = {}) => {
+  const response = await fetch(url, { signal });
+
+  if (!response.ok) {
+    throw new Error(`Failed to download audio (HTTP ${response.status})`);
+  }
+
+  return decodeAudio(await response.arrayBuffer(), { sampleRate });
+};
+
+/**
+ * Create an empty AudioBuffer
+ * @param {number} numberOfChannels - Channel count
+ * @param {number} length - Length in sample frames
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {AudioBuffer} The new buffer
+ */
+export const createAudioBuffer = (numberOfChannels, length, sampleRate) => {
+  return new AudioBuffer({
+    numberOfChannels,
+    length: Math.max(1, length),
+    sampleRate
+  });
+};
+
+/**
+ * Convert an AudioBuffer to another sample rate
+ *
+ * The result is always a new buffer, so it can be changed without touching
+ * the input.
+ *
+ * @param {AudioBuffer} audioBuffer - Audio to convert, e.g. recorded at the AudioContext's 48 kHz
+ * @param {number} sampleRate - Sample rate to convert to in Hz (default: 24000)
+ * @returns {Promise<AudioBuffer>} Promise resolving to the converted audio
+ * @throws {Error} If the audio cannot be rendered
+ */
+export const resampleAudioBuffer = async (audioBuffer, sampleRate = DEFAULT_SAMPLE_RATE) => {
+  if (audioBuffer.sampleRate === sampleRate) {
+    return concatAudioBuffers([audioBuffer]).audioBuffer;
+  }
+
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const length = Math.max(1, Math.ceil(audioBuffer.duration * sampleRate));
+  const context = new OfflineContext(audioBuffer.numberOfChannels, length, sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(context.destination);
+  source.start();
+
+  try {
+    return await context.startRendering();
+  } catch (error) {
+    console.error('Error resampling audio:', error);
+    throw error;
+  }
+};
+
+/**
+ * Join AudioBuffers end to end
+ * @param {Array<AudioBuffer>} buffers - Buffers to join; all must share one sample rate
+ * @param {Object} options - Options
+ * @param {number} options.gapSeconds - Silence inserted between buffers (default: 0)
+ * @returns {Object} { audioBuffer, offsets } where offsets holds the start time in seconds of each input buffer
+ * @throws {Error} If no buffers are given or their sample rates differ
+ */
+export const concatAudioBuffers = (buffers, { gapSeconds = 0 } = {}) => {
+  if (!buffers || !buffers.length) {
+    throw new Error('At least one audio buffer is required');
+  }
+
+  const { sampleRate } = buffers[0];
+  if (buffers.some(buffer => buffer.sampleRate !== sampleRate)) {
+    throw new Error('All audio buffers must have the same sample rate');
+  }
+
+  const gapFrames = Math.round(gapSeconds * sampleRate);
+  const numberOfChannels = Math.max(...buffers.map(buffer => buffer.numberOfChannels));
+  const length = buffers.reduce((total, buffer) => total + buffer.length, 0) + gapFrames * (buffers.length - 1);
+  const audioBuffer = createAudioBuffer(numberOfChannels, length, sampleRate);
+  const offsets = [];
+
+  let position = 0;
+  buffers.forEach((buffer) => {
+    offsets.push(position / sampleRate);
+
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      // Mono buffers are copied to every channel
+      const source = buffer.getChannelData(Math.min(channel, buffer.numberOfChannels - 1));
+      audioBuffer.copyToChannel(source, channel, position);
+    }
+
+    position += buffer.length + gapFrames;
+  });
+
+  return { audioBuffer, offsets };
+};
+
+/**
+ * Measure the peak and RMS level of an AudioBuffer
+ * @param {AudioBuffer} audioBuffer - Audio to measure
+ * @returns {Object} { peakDb, rmsDb } in dBFS (-Infinity for silence)
+ */
+export const measureAudioLevels = (audioBuffer) => {
+  let peak = 0;
+  let sumOfSquares = 0;
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const samples = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < samples.length; i++) {
+      const sample = Math.abs(samples[i]);
+      if (sample > peak) peak = sample;
+      sumOfSquares += sample * sample;
+    }
+  }
+
+  const rms = Math.sqrt(sumOfSquares / Math.max(1, audioBuffer.length * audioBuffer.numberOfChannels));
+
+  return {
+    peakDb: 20 * Math.log10(peak),
+    rmsDb: 20 * Math.log10(rms)
+  };
+};
+
+/**
+ * Bring an AudioBuffer to a target RMS level, in place
+ *
+ * The gain is reduced where needed so peaks stay below peakLimitDb, which
+ * means very dynamic audio may end up quieter than the target.
+ *
+ * @param {AudioBuffer} audioBuffer - Audio to adjust
+ * @param {Object} options - Options
+ * @param {number} options.targetDb - Target RMS level in dBFS (default: -18)
+ * @param {number} options.peakLimitDb - Highest allowed peak in dBFS (default: -1)
+ * @returns {number} The gain applied, in dB
+ */
+export const normalizeAudioBuffer = (audioBuffer, { targetDb = -18, peakLimitDb = -1 } = {}) => {
+  const { peakDb, rmsDb } = measureAudioLevels(audioBuffer);
+
+  // Silence cannot be normalized
+  if (!Number.isFinite(rmsDb)) return 0;
+
+  const gainDb = Math.min(targetDb - rmsDb, peakLimitDb - peakDb);
+  const gain = 10 ** (gainDb / 20);
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const samples = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] *= gain;
+    }
+  }
+
+  return gainDb;
+};
+
+/**
+ * Encode an AudioBuffer as a 16-bit PCM WAV file
+ * @param {AudioBuffer} audioBuffer - Audio to encode
+ * @returns {Blob} WAV file
+ */
+export const encodeWav = (audioBuffer) => {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerFrame = numberOfChannels * 2;
+  const dataSize = length * bytesPerFrame;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, value) => {
+    for (let i = 0; i < value.length; i++) {
+      view.setUint8(offset + i, value.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerFrame, true);
+  view.setUint16(32, bytesPerFrame, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+  let offset = 44;
+
+  for (let frame = 0; frame < length; frame++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+};
+
+export default {
+  decodeAudio,
+  fetchAudioBuffer,
+  createAudioBuffer,
+  resampleAudioBuffer,
+  concatAudioBuffers,
+  measureAudioLevels,
+  normalizeAudioBuffer,
+  encodeWav
+};
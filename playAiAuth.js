@@ -1,46 +1,100 @@
 /**
  * Play.ai API Authentication Module
  * 
- * This module handles authentication with the Play.ai API using the provided
- * User ID and API Key. It provides functions for generating authentication
- * headers and validating credentials.
+ * This module handles authentication with the Play.ai API. REST requests from
+ * the browser go through the `/api/playai` proxy routes, which inject the
+ * User ID and API Key on the server, and WebSocket connections authenticate
+ * with short-lived session tokens, so no credentials are bundled here.
+ * 
+ * Each request carries the ID of the active workspace, and the server picks
+ * the Play.ai account credentials stored for that workspace.
+ */
+
+import { getPlayAiConfig } from './playAiClient';
+import { playAiRequest } from './playAiRequest';
+
+// Refresh session tokens this long before they expire
+const SESSION_TOKEN_REFRESH_MARGIN = 30000; // 30 seconds
+
+// Session tokens cached by workspace, scope and agent
+const sessionTokens = new Map();
+
+// Active workspace, persisted across page loads
+const ACTIVE_WORKSPACE_STORAGE_KEY = 'playai.activeWorkspaceId';
+const DEFAULT_WORKSPACE_ID = 'default';
+
+/**
+ * Get the ID of the active workspace
+ * @returns {string} Active workspace ID
  */
+export const getActiveWorkspaceId = () => {
+  if (typeof window === 'undefined') return DEFAULT_WORKSPACE_ID;
+  return window.localStorage.getItem(ACTIVE_WORKSPACE_STORAGE_KEY) || DEFAULT_WORKSPACE_ID;
+};
 
-// Play.ai API credentials
-const PLAY_AI_USER_ID = '806xCl1AM8gioiGbay9P65cyIDu1';
-const PLAY_AI_API_KEY = 'ak-28c1d4f423d647698bb2f6ebbc6040fb';
-const PLAY_AI_BASE_URL = 'https://api.play.ai/v1';
+/**
+ * Set the active workspace used by all Play.ai API modules
+ * @param {string} workspaceId - ID of the workspace to activate
+ * @returns {void}
+ */
+export const setActiveWorkspaceId = (workspaceId) => {
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(ACTIVE_WORKSPACE_STORAGE_KEY, workspaceId || DEFAULT_WORKSPACE_ID);
+};
 
 /**
- * Generate authentication headers for Play.ai API requests
- * @returns {Object} Headers object with authentication credentials
+ * Generate authentication headers for Play.ai API requests, for multipart uploads
+ * @param {Object} credentials - Explicit credentials for server-side requests (default: configured credentials)
+ * @param {string} credentials.userId - Play.ai User ID
+ * @param {string} credentials.apiKey - Play.ai API Key
+ * @returns {Object} Headers object with the credentials, or the workspace ID when going through the proxy
  */
-export const getAuthHeaders = () => {
+export const getUploadHeaders = (credentials = getPlayAiConfig().credentials) => {
+  if (credentials) {
+    return {
+      'X-User-ID': credentials.userId,
+      'X-API-Key': credentials.apiKey
+    };
+  }
+
+  return {
+    'X-Workspace-ID': getActiveWorkspaceId()
+  };
+};
+
+/**
+ * Generate headers for Play.ai API requests
+ * @param {Object} credentials - Explicit credentials for server-side requests (default: configured credentials)
+ * @returns {Object} Headers object for JSON requests
+ */
+export const getAuthHeaders = (credentials) => {
   return {
     'Content-Type': 'application/json',
-    'X-User-ID': PLAY_AI_USER_ID,
-    'X-API-Key': PLAY_AI_API_KEY
+    ...getUploadHeaders(credentials)
   };
 };
 
 /**
  * Validate Play.ai API credentials by making a test request
+ * @param {Object} credentials - Credentials to validate (default: the active workspace's)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @param {boolean} options.rateLimit - Wait for the client rate limiter (default: true); false on the server
  * @returns {Promise<boolean>} Promise resolving to true if credentials are valid
  * @throws {Error} If credentials are invalid or request fails
  */
-export const validateCredentials = async () => {
+export const validateCredentials = async (credentials, { signal, timeoutMs, rateLimit } = {}) => {
   try {
-    const response = await fetch(`${PLAY_AI_BASE_URL}/auth/validate`, {
+    const data = await playAiRequest('/auth/validate', {
+      credentials,
       method: 'GET',
-      headers: getAuthHeaders()
+      headers: getAuthHeaders(credentials),
+      signal,
+      timeoutMs,
+      rateLimit,
+      errorMessage: 'Failed to validate Play.ai credentials'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to validate Play.ai credentials');
-    }
-
-    const data = await response.json();
     return data.valid === true;
   } catch (error) {
     console.error('Error validating Play.ai credentials:', error);
@@ -50,44 +104,94 @@ export const validateCredentials = async () => {
 
 /**
  * Get account information from Play.ai API
+ * @param {Object} credentials - Credentials of the account (default: the active workspace's)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @param {boolean} options.rateLimit - Wait for the client rate limiter (default: true); false on the server
  * @returns {Promise<Object>} Promise resolving to account information
  * @throws {Error} If request fails
  */
-export const getAccountInfo = async () => {
+export const getAccountInfo = async (credentials, { signal, timeoutMs, rateLimit } = {}) => {
   try {
-    const response = await fetch(`${PLAY_AI_BASE_URL}/account`, {
+    return await playAiRequest('/account', {
+      credentials,
       method: 'GET',
-      headers: getAuthHeaders()
+      headers: getAuthHeaders(credentials),
+      signal,
+      timeoutMs,
+      rateLimit,
+      errorMessage: 'Failed to get account information'
     });
+  } catch (error) {
+    console.error('Error getting Play.ai account information:', error);
+    throw error;
+  }
+};
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to get account information');
-    }
+/**
+ * Get a short-lived session token for a Play.ai WebSocket connection
+ * @param {Object} options - Token options
+ * @param {string} options.scope - Token scope ('conversation' or 'stt', default: 'conversation')
+ * @param {string} options.agentId - ID of the voice agent the token is for
+ * @param {boolean} options.forceRefresh - Mint a new token even if a cached one is still valid
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<string>} Promise resolving to the session token
+ * @throws {Error} If the request fails
+ */
+export const getSessionToken = async ({
+  scope = 'conversation',
+  agentId,
+  forceRefresh = false,
+  signal,
+  timeoutMs
+} = {}) => {
+  const cacheKey = `${getActiveWorkspaceId()}:${scope}:${agentId || ''}`;
+  const cached = sessionTokens.get(cacheKey);
+
+  if (!forceRefresh && cached && cached.expiresAt - Date.now() > SESSION_TOKEN_REFRESH_MARGIN) {
+    return cached.token;
+  }
 
-    return await response.json();
+  try {
+    const { token, expiresAt } = await playAiRequest('/session-token', {
+      baseUrl: getPlayAiConfig().proxyUrl,
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ scope, agentId }),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get session token'
+    });
+    sessionTokens.set(cacheKey, { token, expiresAt: new Date(expiresAt).getTime() });
+
+    return token;
   } catch (error) {
-    console.error('Error getting Play.ai account information:', error);
+    console.error('Error getting Play.ai session token:', error);
     throw error;
   }
 };
 
 /**
  * Initialize Play.ai API with provided credentials
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the requests
+ * @param {number} options.timeoutMs - Timeout in ms for each request (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to initialization status
  * @throws {Error} If initialization fails
  */
-export const initializePlayAi = async () => {
+export const initializePlayAi = async (options = {}) => {
   try {
     // Validate credentials
-    const isValid = await validateCredentials();
+    const isValid = await validateCredentials(undefined, options);
     
     if (!isValid) {
       throw new Error('Invalid Play.ai credentials');
     }
     
     // Get account information
-    const accountInfo = await getAccountInfo();
+    const accountInfo = await getAccountInfo(undefined, options);
     
     return {
       initialized: true,
@@ -100,11 +204,12 @@ export const initializePlayAi = async () => {
 };
 
 export default {
+  getActiveWorkspaceId,
+  setActiveWorkspaceId,
+  getUploadHeaders,
   getAuthHeaders,
   validateCredentials,
   getAccountInfo,
-  initializePlayAi,
-  PLAY_AI_USER_ID,
-  PLAY_AI_API_KEY,
-  PLAY_AI_BASE_URL
+  getSessionToken,
+  initializePlayAi
 };
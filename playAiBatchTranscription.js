@@ -0,0 +1,564 @@
+/**
+ * Play.ai Batch Transcription
+ *
+ * This module transcribes many recordings as one job, e.g. a day of recorded
+ * calls for QA review. Files and URLs are queued, transcribed a few at a time
+ * with retries, and each item's status, attempts, error and transcript are
+ * saved as they change. Jobs and the files still waiting to be transcribed
+ * are kept in IndexedDB, so a job interrupted by a page reload picks up where
+ * it left off with resumeTranscriptionJobs.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { audioToText, transcribeAudioUrl } from './playAiSpeechToText';
+import { retryWithBackoff, classifyError, ErrorTypes } from './playAiErrorHandling';
+
+// Item statuses
+export const BatchItemStatus = {
+  QUEUED: 'queued',
+  TRANSCRIBING: 'transcribing',
+  RETRYING: 'retrying',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Job statuses
+export const BatchJobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors'
+};
+
+const DB_NAME = 'playai-batch-transcription';
+const JOB_STORE = 'jobs';
+const FILE_STORE = 'files';
+
+const RETRYABLE_ERRORS = [ErrorTypes.NETWORK, ErrorTypes.SERVER, ErrorTypes.TIMEOUT, ErrorTypes.RATE_LIMIT];
+
+let batchConfig = {
+  store: null
+};
+
+// Jobs loaded in this page, by ID; the running copy is the source of truth
+const jobs = new Map();
+
+// Running jobs by ID: { controller, finished }, where finished settles once the workers have stopped
+const runningJobs = new Map();
+
+// Jobs being deleted; their workers must not save them again
+const deletedJobs = new Set();
+
+const listeners = new Set();
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const fileKey = (jobId, itemId) => `${jobId}/${itemId}`;
+
+/**
+ * Create a job store backed by IndexedDB (browser only)
+ * @param {Object} options - Store options
+ * @param {string} options.dbName - Database name (default: 'playai-batch-transcription')
+ * @returns {Object} Job store
+ */
+export const createIndexedDbBatchStore = ({ dbName = DB_NAME } = {}) => {
+  let dbPromise = null;
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          // Files live apart from jobs so listing jobs never loads audio
+          request.result.createObjectStore(JOB_STORE, { keyPath: 'id' });
+          request.result.createObjectStore(FILE_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  const transaction = async (mode, fn) => {
+    const db = await getDb();
+    const tx = db.transaction([JOB_STORE, FILE_STORE], mode);
+    const result = await fn(tx.objectStore(JOB_STORE), tx.objectStore(FILE_STORE));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  };
+
+  return {
+    saveJob: job => transaction('readwrite', async (jobStore) => {
+      jobStore.put(job);
+    }),
+
+    listJobs: () => transaction('readonly', async jobStore => promisifyRequest(jobStore.getAll())),
+
+    deleteJob: jobId => transaction('readwrite', async (jobStore, fileStore) => {
+      jobStore.delete(jobId);
+      fileStore.delete(IDBKeyRange.bound(`${jobId}/`, `${jobId}/\uffff`));
+    }),
+
+    saveFile: (key, file) => transaction('readwrite', async (jobStore, fileStore) => {
+      fileStore.put(file, key);
+    }),
+
+    getFile: key => transaction('readonly', async (jobStore, fileStore) => promisifyRequest(fileStore.get(key))),
+
+    deleteFile: key => transaction('readwrite', async (jobStore, fileStore) => {
+      fileStore.delete(key);
+    })
+  };
+};
+
+/**
+ * Create a job store that keeps jobs in memory; jobs do not survive a reload
+ * @returns {Object} Job store
+ */
+export const createMemoryBatchStore = () => {
+  const savedJobs = new Map();
+  const files = new Map();
+
+  return {
+    saveJob: async (job) => {
+      savedJobs.set(job.id, JSON.parse(JSON.stringify(job)));
+    },
+    listJobs: async () => Array.from(savedJobs.values()),
+    deleteJob: async (jobId) => {
+      savedJobs.delete(jobId);
+      Array.from(files.keys())
+        .filter(key => key.startsWith(`${jobId}/`))
+        .forEach(key => files.delete(key));
+    },
+    saveFile: async (key, file) => {
+      files.set(key, file);
+    },
+    getFile: async key => files.get(key) || null,
+    deleteFile: async (key) => {
+      files.delete(key);
+    }
+  };
+};
+
+const getStore = () => {
+  if (!batchConfig.store) {
+    batchConfig.store = typeof window !== 'undefined' && window.indexedDB
+      ? createIndexedDbBatchStore()
+      : createMemoryBatchStore();
+  }
+  return batchConfig.store;
+};
+
+/**
+ * Configure batch transcription
+ * @param {Object} options - Batch options
+ * @param {Object} options.store - Job store (default: IndexedDB in the browser, memory elsewhere)
+ * @returns {void}
+ */
+export const configureBatchTranscription = (options = {}) => {
+  batchConfig = { ...batchConfig, ...options };
+};
+
+// Work out a job's status from its items
+const getJobStatus = (job) => {
+  const counts = countItems(job);
+  if (runningJobs.has(job.id)) return BatchJobStatus.RUNNING;
+  if (counts.completed + counts.failed === counts.total) {
+    return counts.failed ? BatchJobStatus.COMPLETED_WITH_ERRORS : BatchJobStatus.COMPLETED;
+  }
+  return job.items.some(item => item.attempts > 0) ? BatchJobStatus.PAUSED : BatchJobStatus.QUEUED;
+};
+
+const countItems = job => job.items.reduce((counts, item) => ({
+  ...counts,
+  completed: counts.completed + (item.status === BatchItemStatus.COMPLETED ? 1 : 0),
+  failed: counts.failed + (item.status === BatchItemStatus.FAILED ? 1 : 0)
+}), { total: job.items.length, completed: 0, failed: 0 });
+
+// Save a job and tell subscribers; saving never stops the job
+const commitJob = async (job) => {
+  if (deletedJobs.has(job.id)) return null;
+
+  const updated = { ...job, status: getJobStatus(job), updatedAt: new Date().toISOString() };
+  jobs.set(job.id, updated);
+  listeners.forEach(listener => listener(updated));
+
+  try {
+    await getStore().saveJob(updated);
+  } catch (error) {
+    console.error('Error saving transcription job:', error);
+  }
+  return updated;
+};
+
+const updateItem = async (jobId, itemId, changes) => {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  return commitJob({
+    ...job,
+    items: job.items.map(item => (item.id === itemId ? { ...item, ...changes } : item))
+  });
+};
+
+// Normalize one source given to createTranscriptionJob
+const toItem = (source) => {
+  const id = uuidv4();
+
+  if (typeof source === 'string' || (source && typeof source.url === 'string')) {
+    const url = typeof source === 'string' ? source : source.url;
+    return {
+      item: { id, kind: 'url', url, name: source.name || decodeURIComponent(url.split('/').pop().split('?')[0]) || url },
+      file: null
+    };
+  }
+
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return {
+      item: { id, kind: 'file', name: source.name || `recording-${id.slice(0, 8)}`, size: source.size, type: source.type },
+      file: source
+    };
+  }
+
+  throw new Error('Each source must be a File, Blob or URL');
+};
+
+/**
+ * Get the saved transcription jobs, newest first
+ * @returns {Promise<Array<Object>>} Promise resolving to jobs with id, name, status, items, createdAt and updatedAt
+ * @throws {Error} If the store cannot be read
+ */
+export const listTranscriptionJobs = async () => {
+  try {
+    const saved = await getStore().listJobs();
+    saved.forEach((job) => {
+      // Jobs running in this page are ahead of what has been saved
+      if (!jobs.has(job.id)) jobs.set(job.id, job);
+    });
+    return Array.from(jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (error) {
+    console.error('Error listing transcription jobs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a transcription job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Promise resolving to the job, or null if there is none
+ */
+export const getTranscriptionJob = async (jobId) => {
+  if (!jobs.has(jobId)) await listTranscriptionJobs();
+  return jobs.get(jobId) || null;
+};
+
+/**
+ * Create a batch transcription job
+ *
+ * Files are copied into the job store so the job can resume after a reload.
+ * The job does not start until runTranscriptionJob is called.
+ *
+ * @param {Array<File|Blob|string|Object>} sources - Recordings: Files or Blobs, URLs, or { url, name }
+ * @param {Object} options - Job options
+ * @param {string} options.name - Job name (default: the date and time)
+ * @param {string} options.language - Language code (default: 'en-US')
+ * @param {boolean} options.punctuate - Whether to add punctuation (default: true)
+ * @returns {Promise<Object>} Promise resolving to the saved job
+ * @throws {Error} If there are no sources or a source is not supported
+ */
+export const createTranscriptionJob = async (sources, {
+  name,
+  language = 'en-US',
+  punctuate = true
+} = {}) => {
+  if (!sources || !sources.length) {
+    throw new Error('At least one recording is required');
+  }
+
+  const id = uuidv4();
+  const prepared = sources.map(toItem);
+
+  try {
+    const store = getStore();
+    for (const { item, file } of prepared) {
+      if (file) await store.saveFile(fileKey(id, item.id), file);
+    }
+
+    const createdAt = new Date().toISOString();
+    return await commitJob({
+      id,
+      name: name || `Transcription ${new Date(createdAt).toLocaleString()}`,
+      language,
+      punctuate,
+      createdAt,
+      items: prepared.map(({ item }) => ({
+        ...item,
+        status: BatchItemStatus.QUEUED,
+        attempts: 0,
+        error: null,
+        result: null,
+        completedAt: null
+      }))
+    });
+  } catch (error) {
+    console.error('Error creating transcription job:', error);
+    throw error;
+  }
+};
+
+// Transcribe one item with retries, recording each attempt on the job
+const transcribeItem = async (job, item, { maxRetries, signal, timeoutMs }) => {
+  const store = getStore();
+  const file = item.kind === 'file' ? await store.getFile(fileKey(job.id, item.id)) : null;
+  if (item.kind === 'file' && !file) {
+    throw new Error('The recording is no longer stored; add it to a new job');
+  }
+
+  let attempts = item.attempts;
+  const result = await retryWithBackoff(async () => {
+    attempts += 1;
+    await updateItem(job.id, item.id, {
+      status: attempts > item.attempts + 1 ? BatchItemStatus.RETRYING : BatchItemStatus.TRANSCRIBING,
+      attempts
+    });
+
+    return item.kind === 'file'
+      ? audioToText({ audioFile: file, language: job.language, punctuate: job.punctuate, signal, timeoutMs })
+      : transcribeAudioUrl({ audioUrl: item.url, language: job.language, punctuate: job.punctuate, signal, timeoutMs });
+  }, {
+    maxRetries,
+    shouldRetry: error => !signal.aborted && RETRYABLE_ERRORS.includes(classifyError(error))
+  });
+
+  // The transcript is saved, so the audio is no longer needed
+  if (file) {
+    store.deleteFile(fileKey(job.id, item.id)).catch(error => console.error('Error deleting transcribed recording:', error));
+  }
+  return result;
+};
+
+/**
+ * Run a transcription job until every item has completed or failed
+ *
+ * Items that were interrupted, e.g. by a reload, are started again. Failed
+ * items are left alone; use retryFailedItems to queue them again.
+ *
+ * @param {string} jobId - Job ID
+ * @param {Object} options - Run options
+ * @param {number} options.concurrency - Recordings transcribed at once (default: 3)
+ * @param {number} options.maxRetries - Retries per recording for network, server, timeout and rate limit errors
+ *   (default: 3)
+ * @param {number} options.timeoutMs - Timeout per request in ms (default: from the client configuration)
+ * @param {Function} options.onProgress - Callback with { completed, failed, total, job } after each item changes
+ * @param {AbortSignal} options.signal - Signal to pause the job; unfinished items stay queued
+ * @returns {Promise<Object|null>} Promise resolving to the job once it has finished or been paused, or null
+ *   if it was deleted while running
+ * @throws {Error} If the job does not exist
+ */
+export const runTranscriptionJob = async (jobId, {
+  concurrency = 3,
+  maxRetries = 3,
+  timeoutMs,
+  onProgress,
+  signal
+} = {}) => {
+  const job = await getTranscriptionJob(jobId);
+  if (!job || deletedJobs.has(jobId)) {
+    throw new Error(`Transcription job not found: ${jobId}`);
+  }
+  if (runningJobs.has(jobId)) {
+    throw new Error('This transcription job is already running');
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  let markFinished;
+  runningJobs.set(jobId, {
+    controller,
+    finished: new Promise((resolve) => {
+      markFinished = resolve;
+    })
+  });
+
+  const reportProgress = (updated) => {
+    if (onProgress) onProgress({ ...countItems(updated), job: updated });
+  };
+  const unsubscribe = subscribeToTranscriptionJobs((updated) => {
+    if (updated.id === jobId) reportProgress(updated);
+  });
+
+  // Anything not finished when the job last stopped runs again
+  const queue = job.items.filter(item => item.status !== BatchItemStatus.COMPLETED && item.status !== BatchItemStatus.FAILED);
+  await commitJob({
+    ...job,
+    items: job.items.map(item => (queue.includes(item) ? { ...item, status: BatchItemStatus.QUEUED } : item))
+  });
+
+  const worker = async () => {
+    while (queue.length && !controller.signal.aborted) {
+      const item = queue.shift();
+      try {
+        const result = await transcribeItem(job, item, { maxRetries, signal: controller.signal, timeoutMs });
+        await updateItem(jobId, item.id, {
+          status: BatchItemStatus.COMPLETED,
+          error: null,
+          result,
+          completedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        // Pausing leaves the item for the next run
+        const paused = controller.signal.aborted;
+        if (!paused) console.error(`Error transcribing ${item.name}:`, error);
+        await updateItem(jobId, item.id, paused
+          ? { status: BatchItemStatus.QUEUED }
+          : { status: BatchItemStatus.FAILED, error: error.message });
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  } finally {
+    runningJobs.delete(jobId);
+    unsubscribe();
+    if (signal) signal.removeEventListener('abort', onAbort);
+    markFinished();
+  }
+
+  const finished = jobs.get(jobId);
+  return finished ? commitJob(finished) : null;
+};
+
+/**
+ * Pause a running job; recordings being transcribed are queued again
+ * @param {string} jobId - Job ID
+ * @returns {boolean} True if the job was running
+ */
+export const pauseTranscriptionJob = (jobId) => {
+  const run = runningJobs.get(jobId);
+  if (!run) return false;
+  run.controller.abort();
+  return true;
+};
+
+/**
+ * Queue a job's failed items again
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Promise resolving to the updated job; run it again with runTranscriptionJob
+ * @throws {Error} If the job does not exist
+ */
+export const retryFailedItems = async (jobId) => {
+  const job = await getTranscriptionJob(jobId);
+  if (!job) {
+    throw new Error(`Transcription job not found: ${jobId}`);
+  }
+
+  return commitJob({
+    ...job,
+    items: job.items.map(item => (
+      item.status === BatchItemStatus.FAILED
+        ? { ...item, status: BatchItemStatus.QUEUED, attempts: 0, error: null }
+        : item
+    ))
+  });
+};
+
+/**
+ * Delete a job and its stored recordings
+ *
+ * A running job is stopped first, and the job is only removed once its
+ * workers have finished, so they cannot save it again.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>} Promise that resolves once the job is deleted
+ * @throws {Error} If the store cannot be updated
+ */
+export const deleteTranscriptionJob = async (jobId) => {
+  deletedJobs.add(jobId);
+
+  try {
+    const run = runningJobs.get(jobId);
+    if (run) {
+      run.controller.abort();
+      await run.finished;
+    }
+
+    await getStore().deleteJob(jobId);
+    jobs.delete(jobId);
+    listeners.forEach(listener => listener({ id: jobId, deleted: true }));
+  } catch (error) {
+    console.error('Error deleting transcription job:', error);
+    throw error;
+  } finally {
+    deletedJobs.delete(jobId);
+  }
+};
+
+/**
+ * Run every saved job that still has queued recordings, e.g. after a page reload
+ * @param {Object} options - Options for runTranscriptionJob
+ * @returns {Promise<Array<Object>>} Promise resolving to the jobs once they have finished or been paused
+ */
+export const resumeTranscriptionJobs = async (options = {}) => {
+  const saved = await listTranscriptionJobs();
+  const unfinished = saved.filter(job => (
+    !runningJobs.has(job.id) &&
+    job.items.some(item => item.status !== BatchItemStatus.COMPLETED && item.status !== BatchItemStatus.FAILED)
+  ));
+
+  // One job at a time, so resumed jobs do not multiply the concurrency
+  const results = [];
+  for (const job of unfinished) {
+    // Skip jobs deleted while earlier ones ran
+    if (jobs.has(job.id)) {
+      const result = await runTranscriptionJob(job.id, options);
+      if (result) results.push(result);
+    }
+  }
+  return results;
+};
+
+/**
+ * Subscribe to job changes
+ * @param {Function} listener - Called with each updated job ({ id, deleted: true } for deleted jobs)
+ * @returns {Function} Function that unsubscribes
+ */
+export const subscribeToTranscriptionJobs = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+export default {
+  BatchItemStatus,
+  BatchJobStatus,
+  createIndexedDbBatchStore,
+  createMemoryBatchStore,
+  configureBatchTranscription,
+  listTranscriptionJobs,
+  getTranscriptionJob,
+  createTranscriptionJob,
+  runTranscriptionJob,
+  pauseTranscriptionJob,
+  retryFailedItems,
+  deleteTranscriptionJob,
+  resumeTranscriptionJobs,
+  subscribeToTranscriptionJobs
+};
@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockPlayAiServer } from './playAiMockServer';
+import { configurePlayAiClient } from './playAiClient';
+import {
+  BatchItemStatus,
+  BatchJobStatus,
+  configureBatchTranscription,
+  createMemoryBatchStore,
+  createTranscriptionJob,
+  runTranscriptionJob,
+  retryFailedItems,
+  deleteTranscriptionJob,
+  listTranscriptionJobs,
+  subscribeToTranscriptionJobs
+} from './playAiBatchTranscription';
+
+const recording = (name, size = 100) => new File([new Uint8Array(size)], name, { type: 'audio/wav' });
+
+let server;
+let store;
+
+test.before(async () => {
+  server = createMockPlayAiServer({ port: 0 });
+  const { apiUrl, wsUrl } = await server.start();
+  configurePlayAiClient({ apiUrl, wsUrl, credentials: { userId: 'user', apiKey: 'key' } });
+});
+
+test.after(() => server.stop());
+
+test.beforeEach(() => {
+  server.clearFailures();
+  store = createMemoryBatchStore();
+  configureBatchTranscription({ store });
+});
+
+test('a job transcribes every recording within the concurrency limit', async () => {
+  const job = await createTranscriptionJob([
+    ...[1, 2, 3, 4].map(index => recording(`call-${index}.wav`)),
+    'https://example.com/recordings/call%205.mp3'
+  ], { name: 'QA calls' });
+  assert.equal(job.status, BatchJobStatus.QUEUED);
+  assert.equal(job.items[4].name, 'call 5.mp3');
+
+  let maxActive = 0;
+  const done = await runTranscriptionJob(job.id, {
+    concurrency: 2,
+    onProgress: ({ job: progress }) => {
+      const active = progress.items.filter(item => item.status === BatchItemStatus.TRANSCRIBING).length;
+      maxActive = Math.max(maxActive, active);
+    }
+  });
+
+  assert.equal(done.status, BatchJobStatus.COMPLETED);
+  assert.ok(done.items.every(item => item.status === BatchItemStatus.COMPLETED && item.result.text));
+  assert.ok(maxActive <= 2);
+
+  // Transcribed recordings are removed from the store
+  const files = await Promise.all(done.items.map(item => store.getFile(`${job.id}/${item.id}`)));
+  assert.deepEqual(files.filter(Boolean), []);
+});
+
+test('server errors are retried and client errors fail the item', async () => {
+  const job = await createTranscriptionJob([recording('retried.wav'), 'https://example.com/rejected.wav']);
+  server.injectFailure({ match: /\/stt\/transcribe$/, status: 502, times: 1 });
+  server.injectFailure({ match: '/stt/transcribe-url', status: 400, times: 1 });
+
+  const done = await runTranscriptionJob(job.id, { maxRetries: 1 });
+  const [retried, rejected] = done.items;
+
+  assert.equal(done.status, BatchJobStatus.COMPLETED_WITH_ERRORS);
+  assert.equal(retried.status, BatchItemStatus.COMPLETED);
+  assert.equal(retried.attempts, 2);
+  assert.equal(rejected.status, BatchItemStatus.FAILED);
+  assert.equal(rejected.attempts, 1);
+
+  await retryFailedItems(job.id);
+  const retriedJob = await runTranscriptionJob(job.id);
+  assert.equal(retriedJob.status, BatchJobStatus.COMPLETED);
+});
+
+test('a paused job keeps its unfinished items queued', async () => {
+  const job = await createTranscriptionJob([1, 2, 3].map(index => recording(`call-${index}.wav`)));
+  const controller = new AbortController();
+  controller.abort();
+
+  const paused = await runTranscriptionJob(job.id, { signal: controller.signal });
+  assert.ok(paused.items.every(item => item.status === BatchItemStatus.QUEUED));
+
+  const resumed = await runTranscriptionJob(job.id);
+  assert.equal(resumed.status, BatchJobStatus.COMPLETED);
+});
+
+test('deleting a running job stops it without saving it again', async () => {
+  const job = await createTranscriptionJob([1, 2, 3].map(index => recording(`call-${index}.wav`)));
+  let markStarted;
+  const started = new Promise((resolve) => {
+    markStarted = resolve;
+  });
+  const running = runTranscriptionJob(job.id, { concurrency: 1, onProgress: () => markStarted() });
+
+  let eventsAfterDelete = 0;
+  let deleted = false;
+  const unsubscribe = subscribeToTranscriptionJobs(() => {
+    if (deleted) eventsAfterDelete += 1;
+  });
+
+  await started;
+  await deleteTranscriptionJob(job.id);
+  deleted = true;
+
+  assert.equal(await running, null);
+  assert.ok(!(await listTranscriptionJobs()).some(listed => listed.id === job.id));
+  assert.deepEqual(await store.listJobs(), []);
+  assert.equal(eventsAfterDelete, 0);
+  unsubscribe();
+});
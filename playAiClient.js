@@ -0,0 +1,127 @@
+/**
+ * Play.ai Client Configuration
+ *
+ * This module holds the single configuration object shared by every Play.ai
+ * API module: the REST and WebSocket base URLs, optional credentials and
+ * timeouts. The configuration can be switched between production, staging
+ * and a local mock server.
+ */
+
+// Supported environments
+export const PlayAiEnvironments = {
+  PRODUCTION: 'production',
+  STAGING: 'staging',
+  LOCAL: 'local'
+};
+
+// Base URLs for each environment
+const ENVIRONMENT_URLS = {
+  [PlayAiEnvironments.PRODUCTION]: {
+    apiUrl: 'https://api.play.ai/v1',
+    wsUrl: 'wss://api.play.ai/v1'
+  },
+  [PlayAiEnvironments.STAGING]: {
+    apiUrl: 'https://api.staging.play.ai/v1',
+    wsUrl: 'wss://api.staging.play.ai/v1'
+  },
+  [PlayAiEnvironments.LOCAL]: {
+    apiUrl: 'http://localhost:4010/v1',
+    wsUrl: 'ws://localhost:4010/v1'
+  }
+};
+
+// Default timeouts in milliseconds
+const DEFAULT_TIMEOUTS = {
+  request: 30000, // 30 seconds
+  upload: 120000, // 2 minutes
+  connect: 10000 // 10 seconds
+};
+
+// Build the configuration for an environment, applying URL overrides from env vars
+const createConfig = (environment) => {
+  const urls = ENVIRONMENT_URLS[environment];
+
+  if (!urls) {
+    throw new Error(`Unknown Play.ai environment: ${environment}`);
+  }
+
+  return {
+    environment,
+    apiUrl: process.env.PLAY_AI_API_URL || urls.apiUrl,
+    wsUrl: process.env.NEXT_PUBLIC_PLAY_AI_WS_URL || urls.wsUrl,
+    proxyUrl: '/api/playai',
+    credentials: null,
+    timeouts: { ...DEFAULT_TIMEOUTS }
+  };
+};
+
+let config = createConfig(
+  process.env.NEXT_PUBLIC_PLAY_AI_ENV || process.env.PLAY_AI_ENV || PlayAiEnvironments.PRODUCTION
+);
+
+/**
+ * Get the current Play.ai client configuration
+ * @returns {Object} Configuration with environment, apiUrl, wsUrl, proxyUrl, credentials and timeouts
+ */
+export const getPlayAiConfig = () => config;
+
+/**
+ * Update the Play.ai client configuration
+ * @param {Object} options - Configuration options
+ * @param {string} options.environment - Environment preset to switch to (from PlayAiEnvironments)
+ * @param {string} options.apiUrl - Play.ai REST API base URL
+ * @param {string} options.wsUrl - Play.ai WebSocket base URL
+ * @param {string} options.proxyUrl - Base URL of the server-side proxy routes
+ * @param {Object} options.credentials - Credentials ({ userId, apiKey }) for calling Play.ai directly, server-side only
+ * @param {Object} options.timeouts - Timeouts in ms ({ request, upload, connect })
+ * @returns {Object} The updated configuration
+ */
+export const configurePlayAiClient = ({ environment, timeouts, ...overrides } = {}) => {
+  const base = environment ? createConfig(environment) : config;
+
+  config = {
+    ...base,
+    ...overrides,
+    timeouts: {
+      ...base.timeouts,
+      ...timeouts
+    }
+  };
+
+  return config;
+};
+
+/**
+ * Get the base URL for REST requests
+ * @param {Object} credentials - Explicit credentials for the request (default: configured credentials)
+ * @returns {string} The Play.ai API URL when credentials are available, otherwise the proxy URL
+ */
+export const getRestBaseUrl = (credentials = config.credentials) => {
+  return credentials ? config.apiUrl : config.proxyUrl;
+};
+
+/**
+ * Build a WebSocket URL for a Play.ai endpoint
+ * @param {string} path - Endpoint path (e.g. '/conversation')
+ * @param {Object} params - Query parameters to append
+ * @returns {string} The WebSocket URL
+ */
+export const getWebSocketUrl = (path, params = {}) => {
+  const wsUrl = new URL(`${config.wsUrl}${path}`);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      wsUrl.searchParams.append(key, value.toString());
+    }
+  });
+
+  return wsUrl.toString();
+};
+
+export default {
+  PlayAiEnvironments,
+  getPlayAiConfig,
+  configurePlayAiClient,
+  getRestBaseUrl,
+  getWebSocketUrl
+};
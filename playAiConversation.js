@@ -7,6 +7,12 @@
  */
 
 import playAiAuth from './playAiAuth';
+import { getWebSocketUrl } from './playAiClient';
+import { playAiRequest } from './playAiRequest';
+import { paginate, toQueryString } from './playAiPagination';
+import { playAudioUrl } from './playAiAudioOutput';
+import { getCaptureFormat, toEncodingParams, createAudioCapture } from './playAiAudioCapture';
+import { monitorVoiceActivity } from './playAiVoiceActivity';
 
 /**
  * Create a WebSocket connection for real-time conversation with a voice agent
@@ -15,6 +21,14 @@ import playAiAuth from './playAiAuth';
  * @param {Function} options.onMessage - Callback for received messages
  * @param {Function} options.onTranscript - Callback for speech-to-text transcripts
  * @param {Function} options.onAudioResponse - Callback for audio responses
+ * @param {boolean} options.autoPlayAudio - Play audio responses in order through the audio output manager (default: true)
+ * @param {Object} options.captureFormat - Microphone format from getCaptureFormat in playAiAudioCapture
+ *   (default: the best format the browser supports, PCM where possible with vad)
+ * @param {boolean|Object} options.vad - Only send audio while the user speaks and end the user's turn after
+ *   a pause; pass thresholds for createVoiceActivityDetector as an object, or false to send everything (default: true)
+ * @param {Function} options.onSpeechStart - Callback when the user starts speaking
+ * @param {Function} options.onSpeechEnd - Callback when the user stops speaking
+ * @param {Function} options.onEndOfUtterance - Callback when the user's turn has been ended
  * @param {Function} options.onError - Callback for errors
  * @param {Function} options.onStatusChange - Callback for connection status changes
  * @returns {Object} Conversation controller with methods for interaction
@@ -24,6 +38,12 @@ export const createConversation = ({
   onMessage,
   onTranscript,
   onAudioResponse,
+  autoPlayAudio = true,
+  captureFormat,
+  vad = true,
+  onSpeechStart,
+  onSpeechEnd,
+  onEndOfUtterance,
   onError,
   onStatusChange
 }) => {
@@ -35,9 +55,18 @@ export const createConversation = ({
 
   let socket = null;
   let status = 'disconnected';
-  let mediaRecorder = null;
-  let audioContext = null;
+  let capture = null;
+  let micStream = null;
+  let voiceActivity = null;
   let conversationId = null;
+  let hasConnected = false;
+  let isConnecting = false;
+  // Bumped by disconnect, so a connect waiting for its token knows it was cancelled
+  let connectionId = 0;
+
+  // Agent audio plays one response after another
+  let playbackQueue = Promise.resolve();
+  let playbackController = new AbortController();
   
   // Update status and trigger callback
   const updateStatus = (newStatus) => {
@@ -47,30 +76,49 @@ export const createConversation = ({
     }
   };
 
-  // Create WebSocket URL with authentication
-  const createWebSocketUrl = () => {
-    const wsUrl = new URL(`${playAiAuth.PLAY_AI_BASE_URL.replace('https://', 'wss://')}/conversation`);
-    wsUrl.searchParams.append('user_id', playAiAuth.PLAY_AI_USER_ID);
-    wsUrl.searchParams.append('api_key', playAiAuth.PLAY_AI_API_KEY);
-    wsUrl.searchParams.append('agent_id', agentId);
-    return wsUrl.toString();
+  // Create WebSocket URL authenticated with a short-lived session token
+  const createWebSocketUrl = (token) => {
+    return getWebSocketUrl('/conversation', {
+      token,
+      agent_id: agentId
+    });
   };
 
   // Connect to WebSocket
-  const connect = () => {
+  const connect = async () => {
+    const isOpen = socket && (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING);
+    if (isOpen || isConnecting) {
+      console.log('WebSocket already connected or connecting');
+      return false;
+    }
+
+    // Claim the connection before waiting for the token, so a second call cannot open another socket
+    isConnecting = true;
+    const currentConnectionId = connectionId;
+
     try {
       updateStatus('connecting');
       
+      // Reconnects mint a fresh token in case the previous one has expired
+      const token = await playAiAuth.getSessionToken({
+        scope: 'conversation',
+        agentId,
+        forceRefresh: hasConnected
+      });
+      hasConnected = true;
+
+      // Disconnected while the token was on its way
+      if (currentConnectionId !== connectionId) {
+        return false;
+      }
+      
       // Create WebSocket connection
-      socket = new WebSocket(createWebSocketUrl());
+      socket = new WebSocket(createWebSocketUrl(token));
       
       // Set up WebSocket event handlers
       socket.onopen = () => {
         console.log('WebSocket connection established for conversation');
         updateStatus('connected');
-        
-        // Initialize audio context
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
       };
       
       socket.onmessage = (event) => {
@@ -88,6 +136,14 @@ export const createConversation = ({
             if (onMessage) onMessage(data);
             
             // Handle audio response if available
+            if (data.audio_url && autoPlayAudio) {
+              const { signal } = playbackController;
+              playbackQueue = playbackQueue
+                .then(() => playAudioUrl(data.audio_url, { signal }))
+                .catch((err) => {
+                  console.error('Error playing agent audio:', err);
+                });
+            }
             if (data.audio_url && onAudioResponse) {
               onAudioResponse(data.audio_url);
             }
@@ -113,26 +169,31 @@ export const createConversation = ({
       socket.onclose = (event) => {
         console.log('WebSocket connection closed:', event.code, event.reason);
         updateStatus('disconnected');
-        
-        if (mediaRecorder && mediaRecorder.state === 'recording') {
-          mediaRecorder.stop();
-        }
+        stopRecording();
       };
       
       return true;
     } catch (error) {
       console.error('Error connecting to conversation WebSocket:', error);
+      if (currentConnectionId !== connectionId) return false;
       updateStatus('error');
       if (onError) onError(error);
       return false;
+    } finally {
+      // A disconnect has already released the claim, and a newer connect may hold it
+      if (currentConnectionId === connectionId) isConnecting = false;
     }
   };
 
   // Disconnect WebSocket
   const disconnect = () => {
-    if (mediaRecorder && mediaRecorder.state === 'recording') {
-      mediaRecorder.stop();
-    }
+    connectionId += 1;
+    isConnecting = false;
+    stopRecording();
+
+    // Stop agent audio that is playing or queued
+    playbackController.abort();
+    playbackController = new AbortController();
     
     if (socket) {
       socket.close(1000, 'User initiated disconnect');
@@ -167,6 +228,36 @@ export const createConversation = ({
     }
   };
 
+  // Open the capture while the user speaks and end the turn after a pause
+  const startVoiceActivity = () => {
+    try {
+      voiceActivity = monitorVoiceActivity({
+        ...(typeof vad === 'object' ? vad : {}),
+        mediaStream: micStream,
+        onSpeechStart: () => {
+          capture.setGateOpen(true);
+          if (onSpeechStart) onSpeechStart();
+        },
+        onSpeechEnd: () => {
+          capture.setGateOpen(false);
+          if (onSpeechEnd) onSpeechEnd();
+        },
+        onEndOfUtterance: () => {
+          if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({
+              type: 'end_of_utterance',
+              conversation_id: conversationId
+            }));
+          }
+          if (onEndOfUtterance) onEndOfUtterance();
+        }
+      });
+    } catch (error) {
+      console.warn('Voice activity detection is unavailable, streaming all audio:', error);
+      capture.setGateOpen(true);
+    }
+  };
+
   // Start recording audio
   const startRecording = async () => {
     if (!socket || socket.readyState !== WebSocket.OPEN) {
@@ -177,35 +268,40 @@ export const createConversation = ({
     
     try {
       // Request microphone access
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
       
-      // Create media recorder
-      mediaRecorder = new MediaRecorder(stream, {
-        mimeType: 'audio/webm'
+      // Capture in the best format the browser supports
+      const format = captureFormat || getCaptureFormat({ gated: Boolean(vad) });
+      capture = createAudioCapture({
+        mediaStream: micStream,
+        format,
+        timeslice: 100, // Collect data every 100ms
+        gateOpen: !vad,
+        onData: (chunk) => {
+          if (socket && socket.readyState === WebSocket.OPEN) {
+            // Send audio chunk with metadata, including how the audio is encoded
+            const message = {
+              type: 'audio_chunk',
+              conversation_id: conversationId,
+              ...toEncodingParams(format)
+            };
+            
+            // Send metadata first
+            socket.send(JSON.stringify(message));
+            
+            // Then send the audio data
+            socket.send(chunk);
+          }
+        },
+        onError
       });
       
-      // Set up event handlers
-      mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0 && socket && socket.readyState === WebSocket.OPEN) {
-          // Send audio chunk with metadata
-          const message = {
-            type: 'audio_chunk',
-            conversation_id: conversationId
-          };
-          
-          // Send metadata first
-          socket.send(JSON.stringify(message));
-          
-          // Then send the audio data
-          socket.send(event.data);
-        }
-      };
-      
-      // Start recording
-      mediaRecorder.start(100); // Collect data every 100ms
+      await capture.start();
+      if (vad) startVoiceActivity();
       return true;
     } catch (error) {
       console.error('Error starting audio recording:', error);
+      stopRecording();
       if (onError) onError(error);
       return false;
     }
@@ -213,11 +309,24 @@ export const createConversation = ({
 
   // Stop recording audio
   const stopRecording = () => {
-    if (mediaRecorder && mediaRecorder.state === 'recording') {
-      mediaRecorder.stop();
-      return true;
+    const wasRecording = Boolean(capture && capture.state !== 'inactive');
+    
+    if (voiceActivity) {
+      voiceActivity.stop();
+      voiceActivity = null;
+    }
+    
+    if (capture) {
+      capture.stop();
+      capture = null;
     }
-    return false;
+    
+    // Release the microphone
+    if (micStream) {
+      micStream.getTracks().forEach(track => track.stop());
+      micStream = null;
+    }
+    return wasRecording;
   };
 
   // Get current status
@@ -241,26 +350,25 @@ export const createConversation = ({
 /**
  * Get conversation history
  * @param {string} conversationId - ID of the conversation
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to conversation history
  * @throws {Error} If the request fails
  */
-export const getConversationHistory = async (conversationId) => {
+export const getConversationHistory = async (conversationId, { signal, timeoutMs } = {}) => {
   if (!conversationId) {
     throw new Error('Conversation ID is required');
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/conversations/${conversationId}`, {
+    return await playAiRequest(`/conversations/${conversationId}`, {
       method: 'GET',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get conversation history'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to get conversation history');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error getting conversation history:', error);
     throw error;
@@ -273,61 +381,100 @@ export const getConversationHistory = async (conversationId) => {
  * @param {Object} options - Query options
  * @param {number} options.limit - Maximum number of conversations to return
  * @param {number} options.offset - Offset for pagination
- * @returns {Promise<Array>} Promise resolving to array of conversations
+ * @param {string} options.status - Only return conversations with this status
+ * @param {Date|string} options.startedAfter - Only return conversations started after this date
+ * @param {Date|string} options.startedBefore - Only return conversations started before this date
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<Array|Object>} Promise resolving to array of conversations, or a page with pagination metadata
  * @throws {Error} If the request fails
  */
-export const getAgentConversations = async (agentId, { limit = 50, offset = 0 } = {}) => {
+export const getAgentConversations = async (agentId, {
+  limit = 50,
+  offset = 0,
+  status,
+  startedAfter,
+  startedBefore,
+  signal,
+  timeoutMs
+} = {}) => {
   if (!agentId) {
     throw new Error('Agent ID is required');
   }
 
+  const query = toQueryString({
+    limit,
+    offset,
+    status,
+    started_after: startedAfter,
+    started_before: startedBefore
+  });
+
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents/${agentId}/conversations?limit=${limit}&offset=${offset}`, {
+    return await playAiRequest(`/agents/${agentId}/conversations${query}`, {
       method: 'GET',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get agent conversations'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to get agent conversations');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error getting agent conversations:', error);
     throw error;
   }
 };
 
+/**
+ * Iterate over all conversations of an agent, following the server's pagination
+ * @param {string} agentId - ID of the voice agent
+ * @param {Object} options - Query options
+ * @param {number} options.pageSize - Conversations to request per page (default: 50)
+ * @param {string} options.status - Only return conversations with this status
+ * @param {Date|string} options.startedAfter - Only return conversations started after this date
+ * @param {Date|string} options.startedBefore - Only return conversations started before this date
+ * @param {AbortSignal} options.signal - Signal to stop iterating and cancel the current request
+ * @param {number} options.timeoutMs - Timeout in ms for each page request
+ * @returns {AsyncGenerator<Object>} Async iterator over conversations
+ */
+export const iterateAgentConversations = (agentId, { pageSize = 50, signal, ...filters } = {}) => {
+  if (!agentId) {
+    throw new Error('Agent ID is required');
+  }
+
+  return paginate(
+    ({ limit, offset }) => getAgentConversations(agentId, { ...filters, limit, offset, signal }),
+    { pageSize, signal }
+  );
+};
+
 /**
  * Rate a conversation for quality feedback
  * @param {string} conversationId - ID of the conversation
  * @param {number} rating - Rating value (1-5)
  * @param {string} feedback - Optional feedback text
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to rating result
  * @throws {Error} If the request fails
  */
-export const rateConversation = async (conversationId, rating, feedback = '') => {
+export const rateConversation = async (conversationId, rating, feedback = '', { signal, timeoutMs } = {}) => {
   if (!conversationId || !rating) {
     throw new Error('Conversation ID and rating are required');
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/conversations/${conversationId}/rate`, {
+    return await playAiRequest(`/conversations/${conversationId}/rate`, {
       method: 'POST',
       headers: playAiAuth.getAuthHeaders(),
       body: JSON.stringify({
         rating,
         feedback
-      })
+      }),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to rate conversation'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to rate conversation');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error rating conversation:', error);
     throw error;
@@ -338,5 +485,6 @@ export default {
   createConversation,
   getConversationHistory,
   getAgentConversations,
+  iterateAgentConversations,
   rateConversation
 };
@@ -19,6 +19,49 @@ export const ErrorTypes = {
   UNKNOWN: 'unknown'
 };
 
+/**
+ * Error thrown by the Play.ai API modules when a request fails
+ * @property {number} status - HTTP status (0 if no response was received)
+ * @property {string|null} code - Play.ai error code from the response body
+ * @property {string|null} requestId - Play.ai request ID, for support tickets
+ * @property {string} endpoint - API path that was called
+ * @property {string} method - HTTP method that was used
+ * @property {number|null} retryAfter - Seconds to wait before retrying, from Retry-After
+ */
+export class PlayAiApiError extends Error {
+  constructor(message, {
+    status = 0,
+    code = null,
+    requestId = null,
+    endpoint = null,
+    method = null,
+    retryAfter = null,
+    cause
+  } = {}) {
+    super(message);
+    this.name = 'PlayAiApiError';
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.retryAfter = retryAfter;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Map an HTTP status to an error type
+const classifyStatus = (status) => {
+  if (status === 401) return ErrorTypes.AUTHENTICATION;
+  if (status === 403) return ErrorTypes.PERMISSION;
+  if (status === 404) return ErrorTypes.RESOURCE_NOT_FOUND;
+  if (status === 408 || status === 504) return ErrorTypes.TIMEOUT;
+  if (status === 429) return ErrorTypes.RATE_LIMIT;
+  if (status === 400 || status === 422) return ErrorTypes.VALIDATION;
+  if (status >= 500) return ErrorTypes.SERVER;
+  return null;
+};
+
 /**
  * Classify an error based on its properties and message
  * @param {Error} error - The error to classify
@@ -30,10 +73,24 @@ export const classifyError = (error) => {
   const message = error.message || '';
   const status = error.status || error.statusCode || 0;
   
+  // Structured API errors are classified by their HTTP status
+  if (error.code === 'network_error') {
+    return ErrorTypes.NETWORK;
+  }
+  
+  if (error.code === 'timeout') {
+    return ErrorTypes.TIMEOUT;
+  }
+  
+  const statusType = classifyStatus(status);
+  if (statusType) {
+    return statusType;
+  }
+  
   // Network errors
   if (message.includes('network') || 
       message.includes('connection') || 
-      !navigator.onLine) {
+      (typeof navigator !== 'undefined' && !navigator.onLine)) {
     return ErrorTypes.NETWORK;
   }
   
@@ -96,7 +153,7 @@ export const classifyError = (error) => {
  * @param {Object} options - Retry options
  * @param {number} options.maxRetries - Maximum number of retries (default: 3)
  * @param {number} options.baseDelay - Base delay in ms (default: 1000)
- * @param {number} options.maxDelay - Maximum delay in ms (default: 10000)
+ * @param {number} options.maxDelay - Maximum delay in ms (default: 10000); a longer Retry-After from the API still applies
  * @param {Function} options.shouldRetry - Function to determine if retry should be attempted
  * @returns {Promise<any>} Result of the function
  */
@@ -120,10 +177,15 @@ export const retryWithBackoff = async (fn, {
       }
       
       // Calculate delay with exponential backoff and jitter
-      const delay = Math.min(
+      const backoffDelay = Math.min(
         maxDelay,
         baseDelay * Math.pow(2, retries) * (0.8 + Math.random() * 0.4)
       );
+
+      // Never retry before the server said we may
+      const delay = typeof error.retryAfter === 'number'
+        ? Math.max(backoffDelay, error.retryAfter * 1000)
+        : backoffDelay;
       
       console.log(`Retry ${retries + 1}/${maxRetries} after ${Math.round(delay)}ms`);
       await new Promise(resolve => setTimeout(resolve, delay));
@@ -472,6 +534,7 @@ export const createCircuitBreaker = ({
 
 export default {
   ErrorTypes,
+  PlayAiApiError,
   classifyError,
   retryWithBackoff,
   fallbackChain,
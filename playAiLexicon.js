@@ -0,0 +1,198 @@
+/**
+ * Play.ai Pronunciation Lexicon
+ *
+ * This module applies a per-agent pronunciation dictionary to text before it
+ * is synthesized. Each entry maps a word (a brand name, product SKU, street
+ * name, ...) to an alias spelling, a phonetic transcription, or both:
+ *
+ *   { word: 'Nguyen', alias: 'win', phoneme: 'wɪn', alphabet: 'ipa' }
+ *
+ * Phonetic transcriptions need SSML, so for voices without SSML support only
+ * alias spellings are applied. Lexicons of fetched agents are kept in memory
+ * so text-to-speech calls can look them up by agent ID.
+ */
+
+import { escapeSsml, isSsml } from './playAiSsml';
+
+export const PHONETIC_ALPHABETS = ['ipa', 'x-sampa'];
+
+// Lexicons by agent ID
+const agentLexicons = new Map();
+
+// Letters, digits and underscores count as part of a word; hyphens do not
+const WORD_CHARACTER = '[\\p{L}\\p{N}_]';
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize lexicon entries, dropping empty fields
+ * @param {Array<Object>} lexicon - Entries with word, alias, phoneme, alphabet and caseSensitive
+ * @returns {Array<Object>} Normalized entries
+ */
+export const normalizeLexicon = (lexicon = []) => lexicon
+  .map(entry => ({
+    word: (entry.word || '').trim(),
+    alias: (entry.alias || '').trim() || undefined,
+    phoneme: (entry.phoneme || '').trim() || undefined,
+    alphabet: entry.phoneme ? entry.alphabet || 'ipa' : undefined,
+    caseSensitive: Boolean(entry.caseSensitive)
+  }))
+  .filter(entry => entry.word);
+
+/**
+ * Check lexicon entries for mistakes
+ * @param {Array<Object>} lexicon - Lexicon entries
+ * @returns {Object} { valid, errors } where each error names the entry it applies to
+ */
+export const validateLexicon = (lexicon = []) => {
+  const errors = [];
+  const seen = new Set();
+
+  lexicon.forEach((entry, index) => {
+    const word = (entry.word || '').trim();
+    const label = word ? `"${word}"` : `Entry ${index + 1}`;
+
+    if (!word) {
+      errors.push(`${label}: a word is required`);
+    }
+    if (!(entry.alias || '').trim() && !(entry.phoneme || '').trim()) {
+      errors.push(`${label}: an alias or a phoneme is required`);
+    }
+    if (entry.phoneme && entry.alphabet && !PHONETIC_ALPHABETS.includes(entry.alphabet)) {
+      errors.push(`${label}: unsupported phonetic alphabet "${entry.alphabet}"`);
+    }
+
+    const key = entry.caseSensitive ? word : word.toLowerCase();
+    if (word && seen.has(key)) {
+      errors.push(`${label}: duplicate entry`);
+    }
+    seen.add(key);
+  });
+
+  return { valid: !errors.length, errors };
+};
+
+// Build a replacer that rewrites lexicon words in a piece of text
+const createReplacer = (entries, { allowSsml, escaped }) => {
+  const applicable = entries.filter(entry => entry.alias || (allowSsml && entry.phoneme));
+  if (!applicable.length) return null;
+
+  // Longer words first, so "Acme Pro" wins over "Acme"
+  const words = applicable
+    .map(entry => (escaped ? escapeSsml(entry.word) : entry.word))
+    .sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(
+    `(?<!${WORD_CHARACTER})(?:${words.map(escapeRegExp).join('|')})(?!${WORD_CHARACTER})`,
+    'giu'
+  );
+
+  const findEntry = (match) => {
+    const exact = applicable.find(entry => entry.caseSensitive && (escaped ? escapeSsml(entry.word) : entry.word) === match);
+    return exact || applicable.find(entry => !entry.caseSensitive &&
+      (escaped ? escapeSsml(entry.word) : entry.word).toLowerCase() === match.toLowerCase());
+  };
+
+  return (text, toMarkup) => text.replace(pattern, (match) => {
+    const entry = findEntry(match);
+    if (!entry) return match;
+
+    if (allowSsml && entry.phoneme) {
+      return toMarkup(`<phoneme alphabet="${escapeSsml(entry.alphabet || 'ipa')}" ph="${escapeSsml(entry.phoneme)}">${match}</phoneme>`);
+    }
+    if (allowSsml && escaped) {
+      return toMarkup(`<sub alias="${escapeSsml(entry.alias)}">${match}</sub>`);
+    }
+    return escaped ? escapeSsml(entry.alias) : entry.alias;
+  });
+};
+
+// Apply the lexicon to the text between the tags of an SSML document
+const applyToSsml = (markup, replace) => {
+  // Words already inside <phoneme> or <sub> keep their pronunciation
+  let protectedDepth = 0;
+
+  return markup.split(/(<[^>]*>)/).map((part) => {
+    if (part.startsWith('<')) {
+      if (/^<(phoneme|sub)\b/.test(part) && !part.endsWith('/>')) protectedDepth += 1;
+      if (/^<\/(phoneme|sub)\s*>/.test(part)) protectedDepth = Math.max(0, protectedDepth - 1);
+      return part;
+    }
+    return protectedDepth ? part : replace(part, markup => markup);
+  }).join('');
+};
+
+/**
+ * Apply a pronunciation lexicon to text or SSML
+ *
+ * Plain text stays plain text unless a matched entry needs SSML, in which case
+ * the result is an SSML document.
+ *
+ * @param {string} input - Text or SSML document
+ * @param {Array<Object>} lexicon - Lexicon entries
+ * @param {Object} options - Options
+ * @param {boolean} options.allowSsml - Whether the voice accepts SSML (default: true)
+ * @returns {string} Text or SSML with pronunciations applied
+ */
+export const applyLexicon = (input, lexicon, { allowSsml = true } = {}) => {
+  const entries = normalizeLexicon(lexicon);
+  if (!input || !entries.length) return input;
+
+  if (isSsml(input)) {
+    const replace = createReplacer(entries, { allowSsml, escaped: true });
+    return replace ? applyToSsml(input, replace) : input;
+  }
+
+  const replace = createReplacer(entries, { allowSsml, escaped: false });
+  if (!replace) return input;
+
+  // Phonemes are marked while replacing, so the text around them can be escaped afterwards
+  let needsSsml = false;
+  const marked = replace(input, (markup) => {
+    needsSsml = true;
+    return `\u0000${markup}\u0000`;
+  });
+  if (!needsSsml) return marked;
+
+  const body = marked.split('\u0000').map((part, index) => (index % 2 ? part : escapeSsml(part))).join('');
+  return `<speak>${body}</speak>`;
+};
+
+/**
+ * Remember the lexicon of an agent
+ * @param {string} agentId - ID of the voice agent
+ * @param {Array<Object>} lexicon - Lexicon entries
+ * @returns {void}
+ */
+export const setAgentLexicon = (agentId, lexicon) => {
+  agentLexicons.set(agentId, normalizeLexicon(lexicon));
+};
+
+/**
+ * Get the remembered lexicon of an agent
+ * @param {string} agentId - ID of the voice agent
+ * @returns {Array<Object>|undefined} Lexicon entries, or undefined if the agent has not been loaded
+ */
+export const getCachedAgentLexicon = agentId => agentLexicons.get(agentId);
+
+/**
+ * Forget remembered lexicons
+ * @param {string} agentId - ID of the voice agent (default: all agents)
+ * @returns {void}
+ */
+export const clearAgentLexicons = (agentId) => {
+  if (agentId) {
+    agentLexicons.delete(agentId);
+  } else {
+    agentLexicons.clear();
+  }
+};
+
+export default {
+  PHONETIC_ALPHABETS,
+  normalizeLexicon,
+  validateLexicon,
+  applyLexicon,
+  setAgentLexicon,
+  getCachedAgentLexicon,
+  clearAgentLexicons
+};
@@ -0,0 +1,791 @@
+/**
+ * Local Mock Play.ai Server
+ *
+ * A stand-in for the Play.ai API for offline development and automated tests.
+ * It implements the REST endpoints used by the Play.ai API modules and the
+ * `/conversation` and `/stt/stream` WebSocket protocols, with scripted agent
+ * replies, configurable latency and injectable failures.
+ *
+ * Run it with `npm run mock:playai` and set PLAY_AI_ENV=local and
+ * NEXT_PUBLIC_PLAY_AI_ENV=local, or start it from a test:
+ *
+ *   const { createMockPlayAiServer } = require('./playAiMockServer');
+ *   const server = createMockPlayAiServer({ port: 0, latencyMs: 0 });
+ *   const { apiUrl, wsUrl } = await server.start();
+ *   server.injectFailure({ match: '/agents', status: 429, times: 1, retryAfter: 2 });
+ *
+ * Failures can also be injected at runtime over HTTP:
+ *   POST   /__mock/failures  { match, status, times, retryAfter, method }
+ *   DELETE /__mock/failures
+ *   POST   /__mock/reset
+ * A failure with `status: 'drop'` closes matching WebSocket connections
+ * without a close frame after `afterMessages` messages (default: 0).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const API_PREFIX = '/v1';
+const SESSION_TOKEN_TTL_SECONDS = 300;
+
+// Replies the mock agent cycles through
+const DEFAULT_AGENT_SCRIPT = [
+  "Thanks for calling! I'm a mock Play.ai agent. How can I help you today?",
+  'Got it. Could you tell me a little more about what you need?',
+  'That makes sense. Let me check that for you.',
+  'All done. Is there anything else I can help with?'
+];
+
+// Transcript the mock STT endpoints return
+const MOCK_TRANSCRIPT = 'This is a mock transcript from the local Play.ai server.';
+
+// Microphone encodings accepted by the streaming endpoints
+const AUDIO_ENCODINGS = ['webm_opus', 'ogg_opus', 'mp4_aac', 'linear16'];
+
+const STOCK_VOICES = [
+  { id: 'en-US-Neural2-F', name: 'Olivia', language: 'en-US', gender: 'female', accent: 'american', style: 'conversational', type: 'stock', supports_ssml: true },
+  { id: 'en-US-Neural2-D', name: 'James', language: 'en-US', gender: 'male', accent: 'american', style: 'narration', type: 'stock', supports_ssml: true },
+  { id: 'en-GB-Neural2-A', name: 'Amelia', language: 'en-GB', gender: 'female', accent: 'british', style: 'professional', type: 'stock', supports_ssml: true },
+  { id: 'es-ES-Neural2-B', name: 'Mateo', language: 'es-ES', gender: 'male', accent: 'castilian', style: 'conversational', type: 'stock', supports_ssml: false }
+];
+
+const ERROR_MESSAGES = {
+  400: 'Bad request',
+  401: 'Invalid API key',
+  403: 'Forbidden',
+  404: 'Not found',
+  429: 'Rate limit exceeded',
+  500: 'Internal server error',
+  502: 'Bad gateway',
+  503: 'Service unavailable'
+};
+
+// Reject SSML for voices that only read plain text
+const supportsTextType = ({ text_type: textType, voice_id: voiceId }) => {
+  const voice = STOCK_VOICES.find(candidate => candidate.id === voiceId);
+  return textType !== 'ssml' || !voice || voice.supports_ssml;
+};
+
+const createId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Generate a short WAV tone so audio endpoints return playable data
+ * @param {number} durationMs - Length of the tone in ms
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} WAV file contents
+ */
+const createToneWav = (durationMs = 800, sampleRate = 16000) => {
+  const samples = Math.floor((durationMs / 1000) * sampleRate);
+  const buffer = Buffer.alloc(44 + samples * 2);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+
+  for (let i = 0; i < samples; i++) {
+    const envelope = Math.min(1, i / 400, (samples - i) / 400);
+    const value = Math.sin((2 * Math.PI * 440 * i) / sampleRate) * 0.2 * envelope;
+    buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+  }
+
+  return buffer;
+};
+
+// Rough word timings for a piece of text, ~350ms per word; 'phoneme' granularity times each letter
+const createWordTimings = (text, granularity = 'word') => {
+  let time = 0;
+  return text.split(/\s+/).filter(Boolean).map((word) => {
+    const start = time;
+    time += 350;
+    const timing = { word, start_ms: start, end_ms: time - 50 };
+    if (granularity !== 'phoneme') return timing;
+    const step = 300 / word.length;
+    return {
+      ...timing,
+      phonemes: word.split('').map((phoneme, index) => ({
+        phoneme,
+        start_ms: Math.round(start + index * step),
+        end_ms: Math.round(start + (index + 1) * step)
+      }))
+    };
+  });
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const parseJson = (buffer) => {
+  try {
+    return buffer.length ? JSON.parse(buffer.toString('utf8')) : {};
+  } catch (error) {
+    return null;
+  }
+};
+
+// Pull a plain text field out of a multipart body without a full parser
+const readMultipartField = (buffer, name) => {
+  const match = buffer.toString('latin1').match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`));
+  return match ? match[1] : null;
+};
+
+// Apply limit/offset and return a page with pagination metadata
+const paginateList = (items, query) => {
+  const limit = Math.max(1, Number(query.get('limit')) || 50);
+  const offset = Math.max(0, Number(query.get('offset')) || 0);
+  const data = items.slice(offset, offset + limit);
+
+  return {
+    data,
+    pagination: {
+      total: items.length,
+      limit,
+      offset,
+      has_more: offset + data.length < items.length,
+      next_offset: offset + data.length
+    }
+  };
+};
+
+// Filter a list by status and a date range on one of its timestamp fields
+const filterList = (items, query, dateField, afterParam, beforeParam) => {
+  const status = query.get('status');
+  const after = query.get(afterParam) ? Date.parse(query.get(afterParam)) : null;
+  const before = query.get(beforeParam) ? Date.parse(query.get(beforeParam)) : null;
+
+  return items.filter((item) => {
+    if (status && item.status !== status) return false;
+    const time = Date.parse(item[dateField]);
+    if (after !== null && time < after) return false;
+    if (before !== null && time > before) return false;
+    return true;
+  });
+};
+
+/**
+ * Create a mock Play.ai server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (default: 4010, 0 for a random port)
+ * @param {string} options.host - Host to bind (default: 'localhost')
+ * @param {number} options.latencyMs - Delay added to every response and agent reply (default: 0)
+ * @param {Array<string>} options.agentScript - Replies the agent cycles through
+ * @param {Array<Object>} options.failures - Failures to inject from the start
+ * @param {boolean} options.requireAuth - Reject requests without credentials (default: true)
+ * @returns {Object} Server controller with start, stop, injectFailure, clearFailures and reset
+ */
+const createMockPlayAiServer = ({
+  port = 4010,
+  host = 'localhost',
+  latencyMs = 0,
+  agentScript = DEFAULT_AGENT_SCRIPT,
+  failures = [],
+  requireAuth = true
+} = {}) => {
+  let state;
+  let failureRules = [];
+  let baseUrl = '';
+
+  const reset = () => {
+    state = {
+      agents: new Map(),
+      conversations: new Map(),
+      clones: new Map(),
+      audio: new Map(),
+      sessionTokens: new Map()
+    };
+    failureRules = failures.map(rule => ({ ...rule }));
+  };
+
+  /**
+   * Inject a failure for matching requests
+   * @param {Object} rule - Failure rule
+   * @param {string} rule.match - Substring (or RegExp) matched against the path below /v1
+   * @param {number|string} rule.status - HTTP status to return, or 'drop' for WebSockets
+   * @param {number} rule.times - How many requests fail before the rule expires (default: unlimited)
+   * @param {number} rule.retryAfter - Retry-After seconds for 429/503 responses
+   * @param {string} rule.method - Only fail requests with this HTTP method
+   * @param {number} rule.afterMessages - For 'drop', messages to allow before dropping the socket
+   * @returns {void}
+   */
+  const injectFailure = (rule) => {
+    failureRules.push({ ...rule });
+  };
+
+  const clearFailures = () => {
+    failureRules = [];
+  };
+
+  // Find and consume the first failure rule matching a request
+  const takeFailure = (path, method, kind) => {
+    const rule = failureRules.find((candidate) => {
+      const isDrop = candidate.status === 'drop';
+      if ((kind === 'ws') !== isDrop) return false;
+      if (candidate.method && candidate.method.toUpperCase() !== method) return false;
+      if (!candidate.match) return true;
+      return candidate.match instanceof RegExp ? candidate.match.test(path) : path.includes(candidate.match);
+    });
+
+    if (!rule) return null;
+
+    if (rule.times !== undefined) {
+      rule.times -= 1;
+      if (rule.times <= 0) {
+        failureRules = failureRules.filter(candidate => candidate !== rule);
+      }
+    }
+
+    return rule;
+  };
+
+  const sendJson = (res, status, data, headers = {}) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'X-Request-Id': createId('req'),
+      ...headers
+    });
+    res.end(JSON.stringify(data));
+  };
+
+  const sendError = (res, status, message, code, headers = {}) => {
+    sendJson(res, status, {
+      message: message || ERROR_MESSAGES[status] || 'Mock error',
+      code: code || `mock_${status}`
+    }, headers);
+  };
+
+  const storeAudio = (text) => {
+    const id = createId('audio');
+    const words = text ? text.split(/\s+/).length : 2;
+    state.audio.set(id, createToneWav(Math.min(10000, 300 + words * 350)));
+    return `${baseUrl}${API_PREFIX}/mock-audio/${id}.wav`;
+  };
+
+  const createAgentReply = (conversation, userText) => {
+    const reply = agentScript[conversation.turn % agentScript.length];
+    conversation.turn += 1;
+    conversation.messages.push({ role: 'user', content: userText, timestamp: new Date().toISOString() });
+    conversation.messages.push({ role: 'agent', content: reply, timestamp: new Date().toISOString() });
+    return reply;
+  };
+
+  // REST routes: [method, pattern, handler(params, context)]
+  const routes = [
+    ['GET', /^\/auth\/validate$/, (params, { res }) => sendJson(res, 200, { valid: true })],
+
+    ['GET', /^\/account$/, (params, { res, req }) => sendJson(res, 200, {
+      id: req.headers['x-user-id'],
+      name: 'Mock Account',
+      email: 'mock@play.ai.local',
+      plan: 'development'
+    })],
+
+    ['POST', /^\/auth\/session-tokens$/, (params, { res, json }) => {
+      const token = createId('tok');
+      const ttl = Number(json.ttl_seconds) || SESSION_TOKEN_TTL_SECONDS;
+      const expiresAt = Date.now() + ttl * 1000;
+      state.sessionTokens.set(token, { scope: json.scope, agentId: json.agent_id, expiresAt });
+      sendJson(res, 201, { token, expires_at: new Date(expiresAt).toISOString() });
+    }],
+
+    ['POST', /^\/agents$/, (params, { res, json }) => {
+      if (!json.name || !json.voice_id) {
+        sendError(res, 400, 'name and voice_id are required', 'validation_error');
+        return;
+      }
+      const agent = {
+        id: createId('agent'),
+        status: 'draft',
+        created_at: new Date().toISOString(),
+        knowledge: [],
+        ...json
+      };
+      state.agents.set(agent.id, agent);
+      sendJson(res, 201, agent);
+    }],
+
+    ['GET', /^\/agents$/, (params, { res, query }) => {
+      const agents = filterList(Array.from(state.agents.values()), query, 'created_at', 'created_after', 'created_before');
+      sendJson(res, 200, paginateList(agents, query));
+    }],
+
+    ['GET', /^\/agents\/([^/]+)$/, ([agentId], { res }) => {
+      const agent = state.agents.get(agentId);
+      if (!agent) return sendError(res, 404, 'Agent not found', 'agent_not_found');
+      sendJson(res, 200, agent);
+    }],
+
+    ['PATCH', /^\/agents\/([^/]+)$/, ([agentId], { res, json }) => {
+      const agent = state.agents.get(agentId);
+      if (!agent) return sendError(res, 404, 'Agent not found', 'agent_not_found');
+      Object.assign(agent, json, { updated_at: new Date().toISOString() });
+      sendJson(res, 200, agent);
+    }],
+
+    ['DELETE', /^\/agents\/([^/]+)$/, ([agentId], { res }) => {
+      if (!state.agents.delete(agentId)) return sendError(res, 404, 'Agent not found', 'agent_not_found');
+      res.writeHead(204);
+      res.end();
+    }],
+
+    ['POST', /^\/agents\/([^/]+)\/knowledge$/, ([agentId], { res, json }) => {
+      const agent = state.agents.get(agentId);
+      if (!agent) return sendError(res, 404, 'Agent not found', 'agent_not_found');
+      agent.knowledge.push({ id: createId('kb'), content: json.content });
+      sendJson(res, 201, { knowledge: agent.knowledge });
+    }],
+
+    ['POST', /^\/agents\/([^/]+)\/knowledge\/upload$/, ([agentId], { res, body }) => {
+      const agent = state.agents.get(agentId);
+      if (!agent) return sendError(res, 404, 'Agent not found', 'agent_not_found');
+      const file = { id: createId('file'), size: body.length, status: 'processed' };
+      agent.knowledge.push(file);
+      sendJson(res, 201, file);
+    }],
+
+    ['POST', /^\/agents\/([^/]+)\/train$/, ([agentId], { res }) => {
+      const agent = state.agents.get(agentId);
+      if (!agent) return sendError(res, 404, 'Agent not found', 'agent_not_found');
+      agent.status = 'training';
+      agent.training_started_at = Date.now();
+      sendJson(res, 202, { status: 'training', progress: 0 });
+    }],
+
+    ['GET', /^\/agents\/([^/]+)\/training-status$/, ([agentId], { res }) => {
+      const agent = state.agents.get(agentId);
+      if (!agent) return sendError(res, 404, 'Agent not found', 'agent_not_found');
+      if (agent.status === 'training') {
+        const progress = Math.min(100, Math.round((Date.now() - agent.training_started_at) / 30));
+        if (progress >= 100) agent.status = 'active';
+        return sendJson(res, 200, { status: agent.status, progress });
+      }
+      sendJson(res, 200, { status: agent.status, progress: agent.status === 'active' ? 100 : 0 });
+    }],
+
+    ['GET', /^\/agents\/([^/]+)\/conversations$/, ([agentId], { res, query }) => {
+      const conversations = Array.from(state.conversations.values())
+        .filter(conversation => conversation.agent_id === agentId)
+        .map(({ turn, ...conversation }) => conversation);
+      const filtered = filterList(conversations, query, 'started_at', 'started_after', 'started_before');
+      sendJson(res, 200, paginateList(filtered, query));
+    }],
+
+    ['GET', /^\/conversations\/([^/]+)$/, ([conversationId], { res }) => {
+      const conversation = state.conversations.get(conversationId);
+      if (!conversation) return sendError(res, 404, 'Conversation not found', 'conversation_not_found');
+      const { turn, ...history } = conversation;
+      sendJson(res, 200, history);
+    }],
+
+    ['POST', /^\/conversations\/([^/]+)\/rate$/, ([conversationId], { res, json }) => {
+      const conversation = state.conversations.get(conversationId);
+      if (!conversation) return sendError(res, 404, 'Conversation not found', 'conversation_not_found');
+      conversation.rating = { rating: json.rating, feedback: json.feedback };
+      sendJson(res, 200, conversation.rating);
+    }],
+
+    ['POST', /^\/tts\/synthesize$/, (params, { res, json }) => {
+      if (!json.text) return sendError(res, 400, 'text is required', 'validation_error');
+      if (!supportsTextType(json)) return sendError(res, 400, 'This voice does not support SSML', 'ssml_not_supported');
+      const plainText = json.text.replace(/<[^>]+>/g, ' ');
+      sendJson(res, 200, {
+        audio_url: storeAudio(plainText),
+        format: 'wav',
+        characters: json.text.length,
+        ...(json.include_timestamps ? { word_timestamps: createWordTimings(plainText, json.timestamp_granularity) } : {})
+      });
+    }],
+
+    ['POST', /^\/tts\/stream$/, async (params, { res, json }) => {
+      if (!json.text) return sendError(res, 400, 'text is required', 'validation_error');
+      if (!supportsTextType(json)) return sendError(res, 400, 'This voice does not support SSML', 'ssml_not_supported');
+      const durationMs = Math.min(10000, 300 + json.text.split(/\s+/).length * 350);
+      // Raw PCM streams are headerless 24 kHz audio; everything else is served as WAV
+      const isPcm = json.output_format === 'pcm';
+      const audio = isPcm ? createToneWav(durationMs, 24000).subarray(44) : createToneWav(durationMs);
+
+      if (json.include_timestamps) {
+        // Timestamped streams are JSON lines; words are sent once the audio reaches them
+        const words = createWordTimings(json.text.replace(/<[^>]+>/g, ' '), json.timestamp_granularity);
+        const bytesPerMs = audio.length / durationMs;
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'X-Request-Id': createId('req') });
+        for (let offset = 0; offset < audio.length; offset += 4095) {
+          const chunk = audio.subarray(offset, offset + 4095);
+          const reached = words.filter(word => word.start_ms < (offset + chunk.length) / bytesPerMs);
+          words.splice(0, reached.length);
+          res.write(`${JSON.stringify({
+            audio: Buffer.from(chunk).toString('base64'),
+            ...(reached.length ? { word_timestamps: reached } : {})
+          })}\n`);
+          await wait(20);
+        }
+        if (words.length) res.write(`${JSON.stringify({ word_timestamps: words })}\n`);
+        return res.end();
+      }
+
+      res.writeHead(200, { 'Content-Type': isPcm ? 'audio/pcm' : 'audio/wav', 'X-Request-Id': createId('req') });
+      // Send the audio in small, unaligned chunks to exercise streaming playback
+      for (let offset = 0; offset < audio.length; offset += 4095) {
+        res.write(audio.subarray(offset, offset + 4095));
+        await wait(20);
+      }
+      res.end();
+    }],
+
+    ['GET', /^\/tts\/voices$/, (params, { res }) => {
+      const clones = Array.from(state.clones.values())
+        .filter(clone => clone.status === 'ready')
+        .map(clone => ({ id: clone.voice_id, name: clone.name, language: 'en-US', type: 'cloned', supports_ssml: false }));
+      sendJson(res, 200, [...STOCK_VOICES, ...clones]);
+    }],
+
+    ['POST', /^\/tts\/voice-clone$/, (params, { res, body }) => {
+      const clone = {
+        voice_id: createId('voice'),
+        name: readMultipartField(body, 'name') || 'Mock Voice Clone',
+        consent_recorded: Boolean(readMultipartField(body, 'consent_statement')),
+        status: 'processing',
+        created_at: Date.now()
+      };
+      state.clones.set(clone.voice_id, clone);
+      sendJson(res, 202, clone);
+    }],
+
+    ['GET', /^\/tts\/voice-clone\/([^/]+)$/, ([voiceId], { res }) => {
+      const clone = state.clones.get(voiceId);
+      if (!clone) return sendError(res, 404, 'Voice clone not found', 'voice_not_found');
+      const progress = Math.min(100, Math.round((Date.now() - clone.created_at) / 50));
+      if (progress >= 100) clone.status = 'ready';
+      sendJson(res, 200, { ...clone, progress });
+    }],
+
+    ['GET', /^\/mock-audio\/([^/.]+)\.wav$/, ([audioId], { res }) => {
+      const audio = state.audio.get(audioId);
+      if (!audio) return sendError(res, 404, 'Audio not found', 'audio_not_found');
+      res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': audio.length });
+      res.end(audio);
+    }],
+
+    ['POST', /^\/stt\/transcribe$/, (params, { res, body }) => {
+      if (!body.length) return sendError(res, 400, 'audio_file is required', 'validation_error');
+      sendJson(res, 200, {
+        text: MOCK_TRANSCRIPT,
+        confidence: 0.93,
+        language: readMultipartField(body, 'language') || 'en-US',
+        words: createWordTimings(MOCK_TRANSCRIPT)
+      });
+    }],
+
+    ['POST', /^\/stt\/transcribe-url$/, (params, { res, json }) => {
+      if (!json.audio_url) return sendError(res, 400, 'audio_url is required', 'validation_error');
+      sendJson(res, 200, {
+        text: MOCK_TRANSCRIPT,
+        confidence: 0.93,
+        language: json.language || 'en-US',
+        words: createWordTimings(MOCK_TRANSCRIPT)
+      });
+    }],
+
+    ['GET', /^\/stt\/languages$/, (params, { res }) => sendJson(res, 200, [
+      { code: 'en-US', name: 'English (US)' },
+      { code: 'en-GB', name: 'English (UK)' },
+      { code: 'es-ES', name: 'Spanish (Spain)' }
+    ])]
+  ];
+
+  // Control endpoints for tests and manual failure injection
+  const handleControlRequest = (req, res, path, json) => {
+    if (path === '/__mock/failures' && req.method === 'POST') {
+      injectFailure(json);
+      return sendJson(res, 201, { failures: failureRules });
+    }
+    if (path === '/__mock/failures' && req.method === 'DELETE') {
+      clearFailures();
+      return sendJson(res, 200, { failures: [] });
+    }
+    if (path === '/__mock/reset' && req.method === 'POST') {
+      reset();
+      return sendJson(res, 200, { reset: true });
+    }
+    sendError(res, 404);
+  };
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, baseUrl);
+    const body = await readBody(req);
+    const isJson = (req.headers['content-type'] || '').includes('application/json');
+    const json = isJson ? parseJson(body) : {};
+
+    if (json === null) {
+      return sendError(res, 400, 'Malformed JSON body', 'invalid_json');
+    }
+
+    if (url.pathname.startsWith('/__mock/')) {
+      return handleControlRequest(req, res, url.pathname, json);
+    }
+
+    if (latencyMs > 0) await wait(latencyMs);
+
+    if (!url.pathname.startsWith(API_PREFIX)) {
+      return sendError(res, 404);
+    }
+
+    const path = url.pathname.slice(API_PREFIX.length);
+    const isAudioDownload = path.startsWith('/mock-audio/');
+
+    const failure = takeFailure(path, req.method, 'http');
+    if (failure) {
+      const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+      // Gateway failures come back as HTML, like a real load balancer
+      if (failure.status === 502 || failure.status === 504) {
+        res.writeHead(failure.status, { 'Content-Type': 'text/html', ...headers });
+        return res.end(`<html><body><h1>${failure.status} ${ERROR_MESSAGES[failure.status] || 'Gateway error'}</h1></body></html>`);
+      }
+      return sendError(res, failure.status, failure.message, failure.code, headers);
+    }
+
+    if (requireAuth && !isAudioDownload && (!req.headers['x-user-id'] || !req.headers['x-api-key'])) {
+      return sendError(res, 401, 'Missing X-User-ID or X-API-Key header', 'unauthorized');
+    }
+
+    for (const [method, pattern, handler] of routes) {
+      const match = req.method === method && path.match(pattern);
+      if (match) {
+        return handler(match.slice(1), { req, res, json, body, query: url.searchParams });
+      }
+    }
+
+    sendError(res, 404, `No mock route for ${req.method} ${path}`, 'not_found');
+  };
+
+  // Check a WebSocket session token; tokens are scoped and expire
+  const authorizeSocket = (query, scope) => {
+    const session = state.sessionTokens.get(query.get('token'));
+    if (!session || session.expiresAt < Date.now() || session.scope !== scope) return false;
+    if (scope === 'conversation' && session.agentId !== query.get('agent_id')) return false;
+    return true;
+  };
+
+  // Drop the socket without a close frame, as a flaky network would
+  const armDropFailure = (socket, path) => {
+    const failure = takeFailure(path, 'GET', 'ws');
+    if (!failure) return () => {};
+
+    let remaining = failure.afterMessages || 0;
+    const check = () => {
+      if (remaining <= 0) {
+        socket.terminate();
+        return true;
+      }
+      remaining -= 1;
+      return false;
+    };
+
+    if (remaining <= 0) setTimeout(() => socket.terminate(), 50);
+    return check;
+  };
+
+  const handleConversationSocket = (socket, query) => {
+    const conversation = {
+      id: createId('conv'),
+      agent_id: query.get('agent_id'),
+      status: 'active',
+      started_at: new Date().toISOString(),
+      messages: [],
+      turn: 0
+    };
+    state.conversations.set(conversation.id, conversation);
+
+    const shouldDrop = armDropFailure(socket, '/conversation');
+    let audioChunks = 0;
+
+    const send = async (message) => {
+      if (latencyMs > 0) await wait(latencyMs);
+      if (socket.readyState !== socket.OPEN || shouldDrop()) return;
+      socket.send(JSON.stringify({ conversation_id: conversation.id, ...message }));
+    };
+
+    const respond = async (userText) => {
+      const reply = createAgentReply(conversation, userText);
+      await send({ type: 'agent_response', text: reply, audio_url: storeAudio(reply) });
+    };
+
+    send({ type: 'conversation_started' });
+
+    socket.on('message', async (data, isBinary) => {
+      if (isBinary) {
+        audioChunks += 1;
+        // Pretend the caller said one sentence for every 20 chunks (~2s at 100ms)
+        if (audioChunks % 5 === 0) {
+          await send({ type: 'transcript', text: MOCK_TRANSCRIPT.slice(0, (audioChunks % 20) * 3), is_final: false });
+        }
+        if (audioChunks % 20 === 0) {
+          await send({ type: 'transcript', text: MOCK_TRANSCRIPT, is_final: true });
+          await respond(MOCK_TRANSCRIPT);
+        }
+        return;
+      }
+
+      const message = parseJson(Buffer.from(data));
+      if (!message) {
+        await send({ type: 'error', message: 'Malformed message' });
+        return;
+      }
+
+      if (message.type === 'audio_chunk') {
+        // Remember how the caller's audio is encoded, for tests
+        if (message.encoding) conversation.audio_encoding = message.encoding;
+      } else if (message.type === 'user_message') {
+        await respond(message.text);
+      } else if (message.type === 'end_of_utterance' && audioChunks % 20 !== 0) {
+        await send({ type: 'transcript', text: MOCK_TRANSCRIPT, is_final: true });
+        await respond(MOCK_TRANSCRIPT);
+        audioChunks = 0;
+      }
+    });
+
+    socket.on('close', () => {
+      conversation.status = 'completed';
+      conversation.ended_at = new Date().toISOString();
+    });
+  };
+
+  const handleSttSocket = (socket, query) => {
+    const encoding = query.get('encoding') || 'webm_opus';
+    if (!AUDIO_ENCODINGS.includes(encoding) || (encoding === 'linear16' && !query.get('sample_rate'))) {
+      socket.close(1003, 'Unsupported audio encoding');
+      return;
+    }
+
+    const words = MOCK_TRANSCRIPT.split(' ');
+    const interimResults = query.get('interim_results') !== 'false';
+    const shouldDrop = armDropFailure(socket, '/stt/stream');
+    let chunks = 0;
+
+    socket.on('message', async (data, isBinary) => {
+      if (!isBinary) {
+        // The client heard the end of an utterance: finalize what has been said so far
+        const message = parseJson(Buffer.from(data));
+        const wordCount = Math.floor(chunks / 3) % (words.length + 1);
+        if (message?.type !== 'end_of_utterance' || wordCount === 0) return;
+        chunks = 0;
+        if (latencyMs > 0) await wait(latencyMs);
+        if (socket.readyState !== socket.OPEN) return;
+        socket.send(JSON.stringify({ text: words.slice(0, wordCount).join(' '), is_final: true, confidence: 0.94 }));
+        return;
+      }
+      chunks += 1;
+
+      if (latencyMs > 0) await wait(latencyMs);
+      if (socket.readyState !== socket.OPEN || shouldDrop()) return;
+
+      // One word every 3 chunks, final result at the end of the sentence
+      const wordCount = Math.floor(chunks / 3) % (words.length + 1);
+      if (chunks % 3 !== 0 || wordCount === 0) return;
+
+      const isFinal = wordCount === words.length;
+      if (!isFinal && !interimResults) return;
+
+      socket.send(JSON.stringify({
+        text: words.slice(0, wordCount).join(' '),
+        is_final: isFinal,
+        confidence: isFinal ? 0.94 : 0.7
+      }));
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error('Mock Play.ai server error:', error);
+      if (!res.headersSent) sendError(res, 500, error.message);
+    });
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, baseUrl);
+    const path = url.pathname.slice(API_PREFIX.length);
+    const scope = path === '/conversation' ? 'conversation' : path === '/stt/stream' ? 'stt' : null;
+
+    if (!scope || !authorizeSocket(url.searchParams, scope)) {
+      socket.write(`HTTP/1.1 ${scope ? '401 Unauthorized' : '404 Not Found'}\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      if (scope === 'conversation') {
+        handleConversationSocket(ws, url.searchParams);
+      } else {
+        handleSttSocket(ws, url.searchParams);
+      }
+    });
+  });
+
+  reset();
+
+  // Start listening
+  const start = () => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      baseUrl = `http://${host}:${address.port}`;
+      resolve({
+        apiUrl: `${baseUrl}${API_PREFIX}`,
+        wsUrl: `ws://${host}:${address.port}${API_PREFIX}`,
+        port: address.port
+      });
+    });
+  });
+
+  // Stop listening and close open sockets
+  const stop = () => new Promise((resolve) => {
+    wss.clients.forEach(client => client.terminate());
+    server.close(() => resolve());
+  });
+
+  return {
+    start,
+    stop,
+    injectFailure,
+    clearFailures,
+    reset,
+    getState: () => state
+  };
+};
+
+module.exports = {
+  createMockPlayAiServer,
+  createToneWav
+};
+
+if (require.main === module) {
+  const server = createMockPlayAiServer({
+    port: Number(process.env.PLAY_AI_MOCK_PORT) || 4010,
+    host: process.env.PLAY_AI_MOCK_HOST || 'localhost',
+    latencyMs: Number(process.env.PLAY_AI_MOCK_LATENCY_MS) || 0,
+    failures: JSON.parse(process.env.PLAY_AI_MOCK_FAILURES || '[]')
+  });
+
+  server.start().then(({ apiUrl, wsUrl }) => {
+    console.log(`Mock Play.ai API listening on ${apiUrl} (WebSocket: ${wsUrl})`);
+  });
+
+  process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+}
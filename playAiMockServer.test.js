@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { createMockPlayAiServer } from './playAiMockServer';
+import { configurePlayAiClient, getPlayAiConfig, getWebSocketUrl } from './playAiClient';
+import { playAiRequest } from './playAiRequest';
+import { PlayAiApiError } from './playAiErrorHandling';
+import { createVoiceAgent, getVoiceAgents } from './playAiVoiceAgent';
+import { textToSpeech } from './playAiTextToSpeech';
+import { createSessionToken } from './playAiProxy';
+
+let server;
+
+// Open a socket and collect its messages; `next()` resolves with the next one
+const connect = (url) => {
+  const socket = new WebSocket(url);
+  const received = [];
+  const waiting = [];
+
+  socket.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    const resolve = waiting.shift();
+    if (resolve) resolve(message);
+    else received.push(message);
+  });
+
+  const next = () => (received.length
+    ? Promise.resolve(received.shift())
+    : new Promise(resolve => waiting.push(resolve)));
+  const closed = new Promise(resolve => socket.on('close', resolve));
+  const opened = new Promise((resolve, reject) => {
+    socket.on('open', resolve);
+    socket.on('error', reject);
+  });
+
+  return { socket, next, opened, closed };
+};
+
+test.before(async () => {
+  server = createMockPlayAiServer({ port: 0 });
+  const { apiUrl, wsUrl } = await server.start();
+  process.env.PLAY_AI_USER_ID = 'user';
+  process.env.PLAY_AI_API_KEY = 'key';
+  configurePlayAiClient({ apiUrl, wsUrl, credentials: { userId: 'user', apiKey: 'key' } });
+});
+
+test.after(() => server.stop());
+
+test.beforeEach(() => server.clearFailures());
+
+test('requests without credentials are rejected', async () => {
+  // Send straight to the mock with no X-User-ID or X-API-Key header
+  await assert.rejects(
+    playAiRequest('/agents', { baseUrl: getPlayAiConfig().apiUrl }),
+    (error) => {
+      assert.ok(error instanceof PlayAiApiError);
+      assert.equal(error.status, 401);
+      return true;
+    }
+  );
+});
+
+test('agents are created and listed a page at a time', async () => {
+  const agents = [];
+  for (const name of ['Support', 'Sales', 'Billing']) {
+    agents.push(await createVoiceAgent({ name, voiceId: 'en-US-Neural2-F' }));
+  }
+  assert.ok(agents.every(agent => agent.id));
+
+  const page = await getVoiceAgents({ limit: 2 });
+  assert.equal(page.data.length, 2);
+  assert.equal(page.pagination.has_more, true);
+
+  const rest = await getVoiceAgents({ limit: 2, offset: page.pagination.next_offset });
+  const listed = [...page.data, ...rest.data].map(agent => agent.id);
+  agents.forEach(agent => assert.ok(listed.includes(agent.id)));
+});
+
+test('text to speech returns downloadable audio and word timings', async () => {
+  const result = await textToSpeech({ text: 'Hello from the mock server', includeTimestamps: true });
+  assert.equal(result.wordTimestamps.length, 5);
+
+  const response = await fetch(result.audio_url);
+  assert.equal(response.status, 200);
+  const audio = Buffer.from(await response.arrayBuffer());
+  assert.equal(audio.toString('ascii', 0, 4), 'RIFF');
+});
+
+test('injected failures surface as PlayAiApiError', async () => {
+  server.injectFailure({ match: '/tts/synthesize', status: 400, times: 1 });
+  await assert.rejects(textToSpeech({ text: 'Hello' }), { name: 'PlayAiApiError', status: 400 });
+  await textToSpeech({ text: 'Hello' });
+});
+
+test('a conversation answers user messages over the socket', async () => {
+  const agent = await createVoiceAgent({ name: 'Concierge', voiceId: 'en-US-Neural2-F' });
+  const { token } = await createSessionToken({ workspaceId: 'default', scope: 'conversation', agentId: agent.id });
+  const { socket, next, opened, closed } = connect(getWebSocketUrl('/conversation', { token, agent_id: agent.id }));
+  await opened;
+
+  const started = await next();
+  assert.equal(started.type, 'conversation_started');
+
+  socket.send(JSON.stringify({ type: 'user_message', text: 'What are your opening hours?' }));
+  const reply = await next();
+  assert.equal(reply.type, 'agent_response');
+  assert.equal(reply.conversation_id, started.conversation_id);
+  assert.ok(reply.text);
+
+  socket.close();
+  await closed;
+});
+
+test('sockets need a token for their scope and agent', async () => {
+  const agent = await createVoiceAgent({ name: 'Concierge', voiceId: 'en-US-Neural2-F' });
+  const { token } = await createSessionToken({ workspaceId: 'default', scope: 'stt' });
+
+  const { opened } = connect(getWebSocketUrl('/conversation', { token, agent_id: agent.id }));
+  await assert.rejects(opened);
+});
+
+test('a dropped conversation socket closes without a close frame', async () => {
+  const agent = await createVoiceAgent({ name: 'Concierge', voiceId: 'en-US-Neural2-F' });
+  const { token } = await createSessionToken({ workspaceId: 'default', scope: 'conversation', agentId: agent.id });
+  server.injectFailure({ match: '/conversation', status: 'drop', times: 1, afterMessages: 1 });
+
+  const { socket, next, opened, closed } = connect(getWebSocketUrl('/conversation', { token, agent_id: agent.id }));
+  await opened;
+  await next();
+  socket.send(JSON.stringify({ type: 'user_message', text: 'Hello?' }));
+
+  assert.equal(await closed, 1006);
+});
+
+test('streamed audio is transcribed with a final result', async () => {
+  const { token } = await createSessionToken({ workspaceId: 'default', scope: 'stt' });
+  const { socket, next, opened, closed } = connect(getWebSocketUrl('/stt/stream', { token, encoding: 'linear16', sample_rate: 16000 }));
+  await opened;
+
+  // The mock hears a word every three chunks
+  const chunk = Buffer.alloc(3200);
+  let result;
+  do {
+    [1, 2, 3].forEach(() => socket.send(chunk));
+    result = await next();
+  } while (!result.is_final);
+
+  assert.ok(result.text.split(' ').length > 1);
+  assert.equal(result.confidence, 0.94);
+
+  socket.close();
+  await closed;
+});
@@ -0,0 +1,121 @@
+/**
+ * Play.ai Pagination Helpers
+ *
+ * This module turns the limit/offset list endpoints of the Play.ai API into
+ * async iterators. It follows the pagination metadata returned by the server
+ * (`pagination.has_more`, `pagination.next_offset`, `pagination.total`) and
+ * falls back to page size heuristics for endpoints that return bare arrays.
+ */
+
+/**
+ * Build a query string from parameters, skipping empty values
+ * @param {Object} params - Query parameters; Date values are sent as ISO strings
+ * @returns {string} Query string including the leading '?', or '' if there are no parameters
+ */
+export const toQueryString = (params = {}) => {
+  const query = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    query.append(key, value instanceof Date ? value.toISOString() : value.toString());
+  });
+
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+/**
+ * Normalize a list response into items and pagination state
+ * @param {Array|Object} response - Bare array, or { data|items, pagination|meta }
+ * @param {Object} request - The page that was requested
+ * @param {number} request.limit - Page size
+ * @param {number} request.offset - Offset of the page
+ * @returns {Object} Page with items, hasMore, nextOffset and total
+ */
+export const normalizePage = (response, { limit, offset }) => {
+  if (Array.isArray(response)) {
+    return {
+      items: response,
+      hasMore: response.length === limit,
+      nextOffset: offset + response.length,
+      total: null
+    };
+  }
+
+  const items = response?.data || response?.items || [];
+  const meta = response?.pagination || response?.meta || {};
+  const total = meta.total ?? response?.total ?? null;
+  const nextOffset = meta.next_offset ?? offset + items.length;
+
+  let hasMore;
+  if (typeof meta.has_more === 'boolean') {
+    hasMore = meta.has_more;
+  } else if (total !== null) {
+    hasMore = nextOffset < total;
+  } else {
+    hasMore = items.length === limit;
+  }
+
+  return {
+    items,
+    hasMore: hasMore && items.length > 0,
+    nextOffset,
+    total
+  };
+};
+
+/**
+ * Iterate over every item of a paginated endpoint
+ * @param {Function} fetchPage - Function ({ limit, offset }) returning a list response
+ * @param {Object} options - Pagination options
+ * @param {number} options.pageSize - Items to request per page (default: 50)
+ * @param {number} options.offset - Offset to start from (default: 0)
+ * @param {AbortSignal} options.signal - Signal to stop iterating
+ * @returns {AsyncGenerator<Object>} Async iterator over the items
+ */
+export async function* paginate(fetchPage, { pageSize = 50, offset = 0, signal } = {}) {
+  let currentOffset = offset;
+
+  while (true) {
+    if (signal?.aborted) return;
+
+    const response = await fetchPage({ limit: pageSize, offset: currentOffset });
+    const page = normalizePage(response, { limit: pageSize, offset: currentOffset });
+
+    for (const item of page.items) {
+      yield item;
+    }
+
+    // Stop if the server stops advancing, so a bad cursor can't loop forever
+    if (!page.hasMore || page.nextOffset <= currentOffset) return;
+
+    currentOffset = page.nextOffset;
+  }
+}
+
+/**
+ * Collect items from an async iterator into an array
+ * @param {AsyncIterable} iterable - Iterator such as iterateVoiceAgents()
+ * @param {Object} options - Collection options
+ * @param {number} options.max - Maximum number of items to collect (default: 1000)
+ * @returns {Promise<Array>} Promise resolving to the collected items
+ */
+export const fetchAll = async (iterable, { max = 1000 } = {}) => {
+  const items = [];
+
+  if (max <= 0) return items;
+
+  for await (const item of iterable) {
+    items.push(item);
+    if (items.length >= max) break;
+  }
+
+  return items;
+};
+
+export default {
+  toQueryString,
+  normalizePage,
+  paginate,
+  fetchAll
+};
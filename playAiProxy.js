@@ -0,0 +1,214 @@
+/**
+ * Play.ai Server-Side API Proxy
+ *
+ * This module is used only by the Next.js API routes. It forwards requests from
+ * the browser to the Play.ai API and injects the User ID and API Key of the
+ * requested workspace on the server, so the credentials never ship in the
+ * client bundle. Only signed-in users of the app get their requests forwarded,
+ * and only with the credentials of a workspace they may use (see lib/appAuth).
+ * Forwarded requests are reported to the tracing interceptors registered on
+ * the server.
+ */
+
+import { Readable } from 'stream';
+import { getPlayAiConfig } from './playAiClient';
+import { playAiRequest } from './playAiRequest';
+import { getWorkspaceCredentials } from './playAiWorkspaceStore';
+import { startTrace } from './playAiTracing';
+import { requireWorkspaceAccess } from './appAuth';
+
+// Top-level Play.ai resources the browser may reach through the proxy
+const ALLOWED_RESOURCES = ['auth', 'account', 'agents', 'tts', 'stt', 'conversations'];
+
+// Request headers passed through to Play.ai
+const FORWARDED_REQUEST_HEADERS = ['content-type', 'accept'];
+
+// Response headers passed back to the browser
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'retry-after', 'x-request-id'];
+
+/**
+ * Get the workspace a proxied request was made for
+ * @param {Object} req - Next.js API request
+ * @returns {string|undefined} Workspace ID from the X-Workspace-ID header
+ */
+export const getRequestWorkspaceId = (req) => req.headers['x-workspace-id'];
+
+/**
+ * Generate authentication headers for server-side Play.ai API requests
+ * @param {string} workspaceId - ID of the workspace whose credentials to use
+ * @returns {Object} Headers object with authentication credentials
+ * @throws {Error} If the workspace is not configured
+ */
+export const getServerAuthHeaders = (workspaceId) => {
+  const { userId, apiKey } = getWorkspaceCredentials(workspaceId);
+
+  return {
+    'X-User-ID': userId,
+    'X-API-Key': apiKey
+  };
+};
+
+// Session token scopes and how long minted tokens stay valid
+export const SESSION_TOKEN_SCOPES = ['conversation', 'stt'];
+const SESSION_TOKEN_TTL_SECONDS = 300;
+
+// Read the raw request body so JSON and multipart uploads are forwarded unchanged
+const readRequestBody = async (req) => {
+  const chunks = [];
+
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Forward an API route request to Play.ai with server-side credentials
+ *
+ * Requests without a valid session, state-changing requests from another
+ * origin and requests for a workspace the user may not use are answered with
+ * 401 or 403 and never reach Play.ai.
+ *
+ * @param {Object} req - Next.js API request
+ * @param {Object} res - Next.js API response
+ * @param {Array<string>} path - Path segments below /api/playai
+ * @returns {Promise<void>} Promise that resolves when the response has been sent
+ */
+export const proxyPlayAiRequest = async (req, res, path = []) => {
+  // Credentials are only ever added to requests from users of the workspace
+  const workspaceId = getRequestWorkspaceId(req);
+  if (!requireWorkspaceAccess(req, res, workspaceId)) return;
+
+  const [resource] = path;
+
+  if (!ALLOWED_RESOURCES.includes(resource)) {
+    res.status(404).json({ message: `Unknown Play.ai resource: ${resource}` });
+    return;
+  }
+
+  let authHeaders;
+
+  try {
+    authHeaders = getServerAuthHeaders(workspaceId);
+  } catch (error) {
+    console.error('Play.ai proxy is not configured:', error);
+    res.status(error.status || 500).json({ message: 'Play.ai credentials are not configured for this workspace' });
+    return;
+  }
+
+  let trace = null;
+
+  try {
+    const queryIndex = req.url.indexOf('?');
+    const query = queryIndex >= 0 ? req.url.slice(queryIndex) : '';
+    const endpoint = `/${path.map(encodeURIComponent).join('/')}${query}`;
+    const url = `${getPlayAiConfig().apiUrl}${endpoint}`;
+
+    const headers = { ...authHeaders };
+    FORWARDED_REQUEST_HEADERS.forEach((name) => {
+      if (req.headers[name]) {
+        headers[name] = req.headers[name];
+      }
+    });
+
+    const hasBody = !['GET', 'HEAD'].includes(req.method);
+    const body = hasBody ? await readRequestBody(req) : undefined;
+
+    trace = startTrace({ method: req.method, endpoint, url, headers, body, source: 'proxy' });
+
+    const response = await fetch(url, {
+      method: req.method,
+      headers,
+      body
+    });
+
+    trace.response(response);
+    if (!response.ok) {
+      trace.error({
+        status: response.status,
+        message: `Play.ai responded with HTTP ${response.status}`,
+        requestId: response.headers.get('x-request-id')
+      });
+    }
+
+    res.status(response.status);
+    FORWARDED_RESPONSE_HEADERS.forEach((name) => {
+      const value = response.headers.get(name);
+      if (value) {
+        res.setHeader(name, value);
+      }
+    });
+
+    if (!response.body) {
+      res.end();
+      return;
+    }
+
+    // Stream the body so TTS audio reaches the browser as it is generated
+    Readable.fromWeb(response.body).pipe(res);
+  } catch (error) {
+    console.error('Error proxying Play.ai request:', error);
+    if (trace) trace.error(error);
+    res.status(502).json({ message: 'Failed to reach the Play.ai API' });
+  }
+};
+
+/**
+ * Mint a short-lived Play.ai session token for a WebSocket connection
+ * @param {Object} options - Token options
+ * @param {string} options.workspaceId - ID of the workspace to mint the token for
+ * @param {string} options.scope - Token scope ('conversation' or 'stt')
+ * @param {string} options.agentId - Agent the token is limited to (required for 'conversation')
+ * @param {number} options.ttlSeconds - Token lifetime in seconds (default: 300)
+ * @returns {Promise<Object>} Promise resolving to { token, expiresAt }
+ * @throws {Error} If the options are invalid or the request fails
+ */
+export const createSessionToken = async ({
+  workspaceId,
+  scope,
+  agentId,
+  ttlSeconds = SESSION_TOKEN_TTL_SECONDS
+}) => {
+  if (!SESSION_TOKEN_SCOPES.includes(scope)) {
+    throw new Error(`Invalid session token scope: ${scope}`);
+  }
+
+  if (scope === 'conversation' && !agentId) {
+    throw new Error('Agent ID is required for a conversation token');
+  }
+
+  try {
+    const data = await playAiRequest('/auth/session-tokens', {
+      baseUrl: getPlayAiConfig().apiUrl,
+      method: 'POST',
+      headers: {
+        ...getServerAuthHeaders(workspaceId),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        scope,
+        agent_id: agentId,
+        ttl_seconds: ttlSeconds
+      }),
+      errorMessage: 'Failed to create session token',
+      // One workspace's 429 must not hold back token requests for the others
+      rateLimit: false
+    });
+
+    return {
+      token: data.token,
+      expiresAt: data.expires_at || new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    };
+  } catch (error) {
+    console.error('Error creating Play.ai session token:', error);
+    throw error;
+  }
+};
+
+export default {
+  getRequestWorkspaceId,
+  getServerAuthHeaders,
+  proxyPlayAiRequest,
+  createSessionToken
+};
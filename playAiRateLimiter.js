@@ -0,0 +1,314 @@
+/**
+ * Play.ai Client Rate Limiter
+ *
+ * This module queues Play.ai REST requests so the app stays inside the API's
+ * rate limits. Every request takes a token from a shared token bucket and a
+ * concurrency slot; endpoints with their own budget (such as training status
+ * polling) also draw from a bucket of their own. When the API answers 429
+ * with a Retry-After header the affected bucket is paused until the delay has
+ * passed. Queue depth and pauses can be observed so the UI can show that
+ * requests are waiting for the rate limit.
+ */
+
+// Shared limits applied to every request
+const DEFAULT_LIMITS = {
+  requestsPerSecond: 10,
+  burst: 20,
+  maxConcurrent: 6
+};
+
+// Per-endpoint budgets, matched against the request path without its query string
+const DEFAULT_BUDGETS = [
+  {
+    name: 'training-status',
+    match: /^\/agents\/[^/]+\/training-status$/,
+    requestsPerSecond: 1,
+    burst: 2,
+    maxConcurrent: 2
+  },
+  {
+    name: 'tts',
+    match: '/tts/',
+    requestsPerSecond: 3,
+    burst: 5,
+    maxConcurrent: 3
+  },
+  {
+    name: 'uploads',
+    match: /\/(voice-clone|knowledge\/upload|stt\/transcribe)$/,
+    requestsPerSecond: 1,
+    burst: 2,
+    maxConcurrent: 2
+  }
+];
+
+const GLOBAL_BUCKET = 'global';
+
+const createBucket = (name, { requestsPerSecond, burst, maxConcurrent }) => ({
+  name,
+  requestsPerSecond,
+  capacity: burst ?? Math.max(1, requestsPerSecond),
+  tokens: burst ?? Math.max(1, requestsPerSecond),
+  maxConcurrent: maxConcurrent ?? Infinity,
+  active: 0,
+  pausedUntil: 0,
+  updatedAt: Date.now()
+});
+
+let buckets = {};
+let budgets = [];
+let queue = [];
+let wakeTimer = null;
+const listeners = new Set();
+
+// Add the tokens earned since the bucket was last updated
+const refill = (bucket, now) => {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.requestsPerSecond);
+  bucket.updatedAt = now;
+};
+
+// Milliseconds until the bucket can take another request, 0 if it can now, Infinity if only a release helps
+const getWaitTime = (bucket, now) => {
+  if (bucket.pausedUntil > now) return bucket.pausedUntil - now;
+  if (bucket.active >= bucket.maxConcurrent) return Infinity;
+  if (bucket.tokens >= 1) return 0;
+  return Math.ceil(((1 - bucket.tokens) / bucket.requestsPerSecond) * 1000);
+};
+
+// Find the budget for an endpoint, if it has one
+const findBudget = (endpoint) => {
+  const path = endpoint.split('?')[0];
+  return budgets.find(({ match }) => (match instanceof RegExp ? match.test(path) : path.includes(match)));
+};
+
+// Buckets a request to an endpoint draws from
+const getBucketNames = (endpoint) => {
+  const budget = findBudget(endpoint);
+  return budget ? [GLOBAL_BUCKET, budget.name] : [GLOBAL_BUCKET];
+};
+
+/**
+ * Get the current rate limiter state
+ * @returns {Object} State with total queued and active requests, whether any request is waiting,
+ *   the end of the longest pause, and per-bucket queued, active, tokens and pausedUntil values
+ */
+export const getRateLimitState = () => {
+  const now = Date.now();
+  const bucketStates = {};
+
+  Object.values(buckets).forEach((bucket) => {
+    refill(bucket, now);
+    bucketStates[bucket.name] = {
+      queued: queue.filter(entry => entry.bucketNames.includes(bucket.name)).length,
+      active: bucket.active,
+      tokens: Math.floor(bucket.tokens),
+      pausedUntil: bucket.pausedUntil > now ? bucket.pausedUntil : null
+    };
+  });
+
+  const pausedUntil = Object.values(bucketStates).reduce(
+    (latest, bucket) => Math.max(latest, bucket.pausedUntil || 0),
+    0
+  );
+
+  return {
+    queued: queue.length,
+    active: bucketStates[GLOBAL_BUCKET]?.active || 0,
+    isWaiting: queue.length > 0,
+    pausedUntil: pausedUntil || null,
+    buckets: bucketStates
+  };
+};
+
+const notify = () => {
+  if (!listeners.size) return;
+  const state = getRateLimitState();
+  listeners.forEach((listener) => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error('Error in rate limit listener:', error);
+    }
+  });
+};
+
+// Start every queued request that fits within its buckets, in FIFO order per bucket
+const drainQueue = () => {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  const now = Date.now();
+  const blocked = new Set();
+  let nextWake = Infinity;
+  let changed = false;
+
+  Object.values(buckets).forEach(bucket => refill(bucket, now));
+
+  queue = queue.filter((entry) => {
+    // Keep later requests behind an earlier one waiting on the same bucket
+    if (entry.bucketNames.some(name => blocked.has(name))) {
+      return true;
+    }
+
+    const entryBuckets = entry.bucketNames.map(name => buckets[name]);
+    const waitTime = Math.max(...entryBuckets.map(bucket => getWaitTime(bucket, now)));
+
+    if (waitTime > 0) {
+      entry.bucketNames.forEach(name => blocked.add(name));
+      nextWake = Math.min(nextWake, waitTime);
+      return true;
+    }
+
+    entryBuckets.forEach((bucket) => {
+      bucket.tokens -= 1;
+      bucket.active += 1;
+    });
+    entry.start();
+    changed = true;
+    return false;
+  });
+
+  if (nextWake !== Infinity) {
+    wakeTimer = setTimeout(drainQueue, nextWake);
+  }
+
+  if (changed) notify();
+};
+
+/**
+ * Configure the rate limits
+ * @param {Object} options - Rate limit options
+ * @param {number} options.requestsPerSecond - Sustained request rate shared by all endpoints (default: 10)
+ * @param {number} options.burst - Requests allowed in a burst before the rate applies (default: 20)
+ * @param {number} options.maxConcurrent - Maximum requests in flight (default: 6)
+ * @param {Array<Object>} options.budgets - Per-endpoint budgets ({ name, match, requestsPerSecond, burst, maxConcurrent });
+ *   `match` is a path substring or RegExp
+ * @returns {void}
+ */
+export const configureRateLimiter = ({ budgets: budgetOptions = DEFAULT_BUDGETS, ...limits } = {}) => {
+  const previous = buckets;
+
+  budgets = budgetOptions;
+  buckets = {
+    [GLOBAL_BUCKET]: createBucket(GLOBAL_BUCKET, { ...DEFAULT_LIMITS, ...limits })
+  };
+  budgets.forEach((budget) => {
+    buckets[budget.name] = createBucket(budget.name, budget);
+  });
+
+  // Carry in-flight requests and pauses over to the new buckets
+  Object.values(buckets).forEach((bucket) => {
+    if (previous[bucket.name]) {
+      bucket.active = previous[bucket.name].active;
+      bucket.pausedUntil = previous[bucket.name].pausedUntil;
+    }
+  });
+
+  // Queued requests may now use different budgets
+  queue.forEach((entry) => {
+    entry.bucketNames = getBucketNames(entry.endpoint);
+  });
+
+  drainQueue();
+};
+
+/**
+ * Wait for a rate limit slot for a request
+ * @param {string} endpoint - Request path (e.g. '/agents/123/training-status')
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Signal to stop waiting; the promise then rejects with an AbortError
+ * @returns {Promise<Function>} Promise resolving to a release function to call once the request has finished
+ */
+export const acquireRateLimit = (endpoint, { signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+      return;
+    }
+
+    const entry = {
+      endpoint,
+      bucketNames: getBucketNames(endpoint),
+      start: null
+    };
+
+    const onAbort = () => {
+      queue = queue.filter(candidate => candidate !== entry);
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+      drainQueue();
+      notify();
+    };
+
+    entry.start = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+
+      let released = false;
+      const bucketNames = entry.bucketNames;
+
+      resolve(() => {
+        if (released) return;
+        released = true;
+        bucketNames.forEach((name) => {
+          if (buckets[name]) buckets[name].active = Math.max(0, buckets[name].active - 1);
+        });
+        drainQueue();
+        notify();
+      });
+    };
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    queue.push(entry);
+    drainQueue();
+    if (queue.includes(entry)) notify();
+  });
+};
+
+/**
+ * Pause requests after the API reported a rate limit
+ * @param {string} endpoint - Path of the request that was rate limited
+ * @param {number} retryAfterSeconds - Delay from the Retry-After header
+ * @returns {void}
+ */
+export const pauseRateLimit = (endpoint, retryAfterSeconds) => {
+  if (!(retryAfterSeconds > 0)) return;
+
+  // Endpoints with their own budget only pause that budget; others pause everything
+  const budget = findBudget(endpoint);
+  const bucket = buckets[budget ? budget.name : GLOBAL_BUCKET];
+  const pausedUntil = Date.now() + retryAfterSeconds * 1000;
+
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, pausedUntil);
+  console.warn(`Play.ai rate limit reached, pausing ${bucket.name} requests for ${retryAfterSeconds}s`);
+
+  drainQueue();
+  notify();
+
+  // Let subscribers know when the pause is over even if nothing is queued
+  setTimeout(notify, retryAfterSeconds * 1000);
+};
+
+/**
+ * Subscribe to rate limiter state changes
+ * @param {Function} listener - Called with the state from getRateLimitState() whenever it changes
+ * @returns {Function} Function to unsubscribe
+ */
+export const subscribeToRateLimit = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+configureRateLimiter();
+
+export default {
+  configureRateLimiter,
+  acquireRateLimit,
+  pauseRateLimit,
+  getRateLimitState,
+  subscribeToRateLimit
+};
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockPlayAiServer } from './playAiMockServer';
+import { configurePlayAiClient } from './playAiClient';
+import { playAiRequest } from './playAiRequest';
+import {
+  configureRateLimiter,
+  acquireRateLimit,
+  pauseRateLimit,
+  getRateLimitState
+} from './playAiRateLimiter';
+
+const TRAINING_STATUS = '/agents/agent-1/training-status';
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test.afterEach(() => configureRateLimiter());
+
+test('requests beyond maxConcurrent wait for a release', async () => {
+  configureRateLimiter({ requestsPerSecond: 100, burst: 100, maxConcurrent: 2, budgets: [] });
+
+  const [releaseFirst, releaseSecond] = await Promise.all([acquireRateLimit('/agents'), acquireRateLimit('/agents')]);
+  let started = false;
+  const third = acquireRateLimit('/agents').then((release) => {
+    started = true;
+    return release;
+  });
+
+  await nextTick();
+  assert.equal(started, false);
+  assert.equal(getRateLimitState().queued, 1);
+
+  releaseFirst();
+  (await third)();
+  releaseSecond();
+  assert.equal(started, true);
+  assert.equal(getRateLimitState().queued, 0);
+});
+
+test('requests beyond the burst wait for the bucket to refill', async () => {
+  configureRateLimiter({ requestsPerSecond: 10, burst: 2, budgets: [] });
+
+  const startedAt = Date.now();
+  const releases = await Promise.all([1, 2, 3].map(() => acquireRateLimit('/agents')));
+  releases.forEach(release => release());
+
+  assert.ok(Date.now() - startedAt >= 80, 'the third request should wait about 100 ms');
+});
+
+test('endpoint budgets limit only their own endpoints', async () => {
+  configureRateLimiter({
+    budgets: [{ name: 'training-status', match: /\/training-status$/, requestsPerSecond: 1, burst: 1, maxConcurrent: 1 }]
+  });
+
+  const releaseStatus = await acquireRateLimit(TRAINING_STATUS);
+
+  // Other endpoints do not draw from the busy budget
+  (await acquireRateLimit('/agents'))();
+
+  let statusStarted = false;
+  const secondStatus = acquireRateLimit(TRAINING_STATUS).then((release) => {
+    statusStarted = true;
+    return release;
+  });
+  await nextTick();
+  assert.equal(statusStarted, false);
+  assert.equal(getRateLimitState().buckets['training-status'].queued, 1);
+
+  releaseStatus();
+  configureRateLimiter();
+  (await secondStatus)();
+  assert.equal(statusStarted, true);
+});
+
+test('a pause holds requests until Retry-After has passed', async () => {
+  configureRateLimiter({ budgets: [] });
+  pauseRateLimit('/agents', 0.2);
+  assert.ok(getRateLimitState().pausedUntil > Date.now());
+
+  const startedAt = Date.now();
+  (await acquireRateLimit('/agents'))();
+  assert.ok(Date.now() - startedAt >= 150);
+});
+
+test('aborting a waiting request leaves the queue', async () => {
+  configureRateLimiter({ maxConcurrent: 1, budgets: [] });
+  const release = await acquireRateLimit('/agents');
+  const controller = new AbortController();
+  const waiting = acquireRateLimit('/agents', { signal: controller.signal });
+
+  controller.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.equal(getRateLimitState().queued, 0);
+  release();
+});
+
+test('a 429 from the API pauses the limiter, unless the request opts out', async () => {
+  const server = createMockPlayAiServer({ port: 0 });
+  const { apiUrl, wsUrl } = await server.start();
+  const credentials = { userId: 'user', apiKey: 'key' };
+  const headers = { 'X-User-ID': 'user', 'X-API-Key': 'key' };
+  configurePlayAiClient({ apiUrl, wsUrl, credentials });
+
+  try {
+    server.injectFailure({ match: '/account', status: 429, retryAfter: 1, times: 1 });
+    await assert.rejects(playAiRequest('/account', { headers, credentials, rateLimit: false }), { status: 429 });
+    assert.equal(getRateLimitState().pausedUntil, null);
+
+    server.injectFailure({ match: '/account', status: 429, retryAfter: 1, times: 1 });
+    await assert.rejects(playAiRequest('/account', { headers, credentials }), { status: 429, retryAfter: 1 });
+    assert.ok(getRateLimitState().pausedUntil > Date.now());
+
+    const startedAt = Date.now();
+    await playAiRequest('/account', { headers, credentials });
+    assert.ok(Date.now() - startedAt >= 800, 'the next request should wait for the pause');
+  } finally {
+    await server.stop();
+  }
+});
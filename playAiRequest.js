@@ -0,0 +1,248 @@
+/**
+ * Play.ai REST Request Helper
+ *
+ * This module sends every REST request made by the Play.ai API modules. It
+ * resolves the base URL from the client configuration and turns failed
+ * responses into PlayAiApiError instances carrying the HTTP status, Play.ai
+ * error code, request ID, endpoint and Retry-After delay, including when the
+ * error body is not JSON (e.g. an HTML page from a gateway).
+ * 
+ * Every request can be cancelled with an AbortSignal and is aborted after a
+ * timeout, so a hung request never leaves the UI waiting forever. Requests
+ * wait for the client rate limiter before they are sent, and a 429 response
+ * with Retry-After pauses the limiter. The limiter is shared by the whole
+ * process, so server-side requests made for many workspaces opt out of it.
+ * Requests, responses and failures are reported to the tracing interceptors.
+ */
+
+import { getPlayAiConfig, getRestBaseUrl } from './playAiClient';
+import { PlayAiApiError } from './playAiErrorHandling';
+import { acquireRateLimit, pauseRateLimit } from './playAiRateLimiter';
+import { startTrace, getPayloadSize } from './playAiTracing';
+
+// Longest plain-text error body used as an error message
+const MAX_TEXT_MESSAGE_LENGTH = 200;
+
+/**
+ * Parse a Retry-After header value
+ * @param {string} value - Header value, either seconds or an HTTP date
+ * @returns {number|null} Delay in seconds, or null if absent or invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  return null;
+};
+
+// Read an error body as JSON when possible, falling back to plain text
+const readErrorBody = async (response) => {
+  let text = '';
+
+  try {
+    text = await response.text();
+  } catch (error) {
+    return { data: null, text: '' };
+  }
+
+  try {
+    return { data: text ? JSON.parse(text) : null, text };
+  } catch (error) {
+    return { data: null, text };
+  }
+};
+
+// Build a PlayAiApiError from a failed response
+const createApiError = async (response, { endpoint, method, errorMessage }) => {
+  const { data, text } = await readErrorBody(response);
+  const errorBody = data && typeof data.error === 'object' ? data.error : data || {};
+
+  // Only use short plain-text bodies as messages; HTML error pages are not useful
+  const isPlainText = text && !/^\s*</.test(text) && text.length <= MAX_TEXT_MESSAGE_LENGTH;
+  const message = errorBody.message
+    || (typeof data?.error === 'string' ? data.error : null)
+    || (isPlainText ? text.trim() : null)
+    || `${errorMessage} (HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''})`;
+
+  return new PlayAiApiError(message, {
+    status: response.status,
+    code: errorBody.code || errorBody.error_code || null,
+    requestId: response.headers.get('x-request-id') || errorBody.request_id || null,
+    endpoint,
+    method,
+    retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+  });
+};
+
+/**
+ * Send a request to the Play.ai REST API
+ * @param {string} path - Endpoint path (e.g. '/agents')
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.headers - Request headers
+ * @param {string|FormData} options.body - Request body
+ * @param {Object} options.credentials - Explicit credentials; requests with credentials go directly to Play.ai
+ * @param {string} options.baseUrl - Base URL override (default: derived from the client configuration)
+ * @param {string} options.responseType - 'json' (default), 'response' for the raw Response, or 'none'
+ * @param {string} options.errorMessage - Message used when the error body has none
+ * @param {boolean} options.rateLimit - Wait for the client rate limiter and pause it on 429 (default: true);
+ *   set to false on the server, where each workspace has its own Play.ai limits
+ * @param {AbortSignal} options.signal - Signal to cancel the request, including while it waits for the rate limiter
+ * @param {number} options.timeoutMs - Timeout in ms (default: the configured request timeout, or the
+ *   upload timeout for FormData bodies); for 'response' it only covers waiting for the response headers.
+ *   Time spent waiting for the rate limiter does not count
+ * @returns {Promise<any>} Promise resolving to the parsed response
+ * @throws {PlayAiApiError} If the request fails, times out or returns an error status
+ */
+export const playAiRequest = async (path, {
+  method = 'GET',
+  headers = {},
+  body,
+  credentials,
+  baseUrl = getRestBaseUrl(credentials),
+  responseType = 'json',
+  errorMessage = 'Play.ai API request failed',
+  rateLimit = true,
+  signal,
+  timeoutMs
+} = {}) => {
+  const { timeouts } = getPlayAiConfig();
+  const isUpload = typeof FormData !== 'undefined' && body instanceof FormData;
+  const timeout = timeoutMs ?? (isUpload ? timeouts.upload : timeouts.request);
+
+  const releaseRateLimit = rateLimit ? await acquireRateLimit(path, { signal }) : () => {};
+
+  // Abort on either the caller's signal or the timeout
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout)
+    : null;
+  const abortFromCaller = () => controller.abort();
+
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', abortFromCaller, { once: true });
+    }
+  }
+
+  const cleanup = () => {
+    if (timer) clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abortFromCaller);
+    releaseRateLimit();
+  };
+
+  // Timeouts become PlayAiApiErrors; caller aborts keep their AbortError
+  const toRequestError = (error) => {
+    if (timedOut) {
+      return new PlayAiApiError(`Request timed out after ${timeout}ms`, {
+        status: 0,
+        code: 'timeout',
+        endpoint: path,
+        method,
+        cause: error
+      });
+    }
+
+    if (error.name === 'AbortError' || error instanceof PlayAiApiError) {
+      return error;
+    }
+
+    return null;
+  };
+
+  const url = `${baseUrl}${path}`;
+  const trace = startTrace({ method, endpoint: path, url, headers, body });
+
+  let response;
+
+  try {
+    response = await fetch(url, {
+      method,
+      headers,
+      body,
+      signal: controller.signal
+    });
+  } catch (error) {
+    cleanup();
+
+    // fetch only rejects when the request never got a response
+    const requestError = toRequestError(error) || new PlayAiApiError(`Network error: ${error.message}`, {
+      status: 0,
+      code: 'network_error',
+      endpoint: path,
+      method,
+      cause: error
+    });
+    trace.error(requestError);
+    throw requestError;
+  }
+
+  try {
+    if (!response.ok) {
+      const error = await createApiError(response, { endpoint: path, method, errorMessage });
+      trace.response(response);
+      if (error.status === 429 && rateLimit) {
+        pauseRateLimit(path, error.retryAfter);
+      }
+      throw error;
+    }
+
+    if (responseType === 'response') {
+      trace.response(response);
+      return response;
+    }
+
+    if (responseType === 'none') {
+      trace.response(response);
+      return null;
+    }
+
+    const text = await response.text();
+    trace.response(response, { responseSize: getPayloadSize(text) });
+
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      throw new PlayAiApiError(`Invalid JSON response from ${method} ${path}`, {
+        status: response.status,
+        code: 'invalid_response',
+        requestId: response.headers.get('x-request-id'),
+        endpoint: path,
+        method,
+        cause: error
+      });
+    }
+  } catch (error) {
+    const requestError = toRequestError(error) || error;
+    trace.error(requestError);
+    throw requestError;
+  } finally {
+    // Streamed bodies stay cancellable by the caller while they are being read
+    if (responseType === 'response') {
+      if (timer) clearTimeout(timer);
+      releaseRateLimit();
+    } else {
+      cleanup();
+    }
+  }
+};
+
+export default {
+  playAiRequest,
+  parseRetryAfter
+};
@@ -7,6 +7,11 @@
  */
 
 import playAiAuth from './playAiAuth';
+import { getWebSocketUrl } from './playAiClient';
+import { playAiRequest } from './playAiRequest';
+import { getCaptureFormat, toEncodingParams, createAudioCapture } from './playAiAudioCapture';
+import { monitorVoiceActivity } from './playAiVoiceActivity';
+import { createTranscriptAssembler } from './playAiTranscriptAssembler';
 
 /**
  * Convert audio file to text using Play.ai API
@@ -15,6 +20,8 @@ import playAiAuth from './playAiAuth';
  * @param {string} options.language - Language code (default: 'en-US')
  * @param {boolean} options.punctuate - Whether to add punctuation (default: true)
  * @param {boolean} options.filterProfanity - Whether to filter profanity (default: false)
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to transcription result
  * @throws {Error} If the request fails
  */
@@ -22,7 +29,9 @@ export const audioToText = async ({
   audioFile,
   language = 'en-US',
   punctuate = true,
-  filterProfanity = false
+  filterProfanity = false,
+  signal,
+  timeoutMs
 }) => {
   if (!audioFile) {
     throw new Error('Audio file is required');
@@ -35,21 +44,14 @@ export const audioToText = async ({
     formData.append('punctuate', punctuate.toString());
     formData.append('filter_profanity', filterProfanity.toString());
 
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/stt/transcribe`, {
+    return await playAiRequest('/stt/transcribe', {
       method: 'POST',
-      headers: {
-        'X-User-ID': playAiAuth.PLAY_AI_USER_ID,
-        'X-API-Key': playAiAuth.PLAY_AI_API_KEY
-      },
-      body: formData
+      headers: playAiAuth.getUploadHeaders(),
+      body: formData,
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to convert audio to text'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to convert audio to text');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error in speech-to-text conversion:', error);
     throw error;
@@ -58,22 +60,21 @@ export const audioToText = async ({
 
 /**
  * Get supported languages for speech-to-text
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Array>} Promise resolving to array of supported languages
  * @throws {Error} If the request fails
  */
-export const getSupportedLanguages = async () => {
+export const getSupportedLanguages = async ({ signal, timeoutMs } = {}) => {
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/stt/languages`, {
+    return await playAiRequest('/stt/languages', {
       method: 'GET',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get supported languages'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to get supported languages');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error getting supported languages:', error);
     throw error;
@@ -86,15 +87,31 @@ export const getSupportedLanguages = async () => {
  * @param {MediaStream} options.mediaStream - Media stream from microphone
  * @param {string} options.language - Language code (default: 'en-US')
  * @param {boolean} options.interimResults - Whether to return interim results (default: true)
+ * @param {Object} options.captureFormat - Format from getCaptureFormat in playAiAudioCapture
+ *   (default: the best format the browser supports, PCM where possible with vad)
+ * @param {boolean|Object} options.vad - Only send audio while the user speaks, and signal the end of each
+ *   utterance; pass thresholds for createVoiceActivityDetector as an object, or false to send everything (default: true)
+ * @param {Object} options.transcriptAssembler - Assembler from playAiTranscriptAssembler to collect the results in
+ *   (default: a new one)
  * @param {Function} options.onTranscript - Callback for transcript updates
+ * @param {Function} options.onSpeechStart - Callback when the user starts speaking
+ * @param {Function} options.onSpeechEnd - Callback when the user stops speaking
+ * @param {Function} options.onEndOfUtterance - Callback when the end of an utterance has been sent
  * @param {Function} options.onError - Callback for errors
- * @returns {Object} Controller object with start, stop, and pause methods
+ * @returns {Object} Controller object with start, stop, and pause methods, and the assembled transcript
+ *   as a store in transcript
  */
 export const streamSpeechToText = ({
   mediaStream,
   language = 'en-US',
   interimResults = true,
+  captureFormat,
+  vad = true,
+  transcriptAssembler = createTranscriptAssembler(),
   onTranscript,
+  onSpeechStart,
+  onSpeechEnd,
+  onEndOfUtterance,
   onError
 }) => {
   if (!mediaStream) {
@@ -103,57 +120,135 @@ export const streamSpeechToText = ({
     throw error;
   }
 
+  // Gated recordings lose the start of each utterance, so VAD captures PCM where it can
+  const format = captureFormat || getCaptureFormat({ gated: Boolean(vad) });
   let isStreaming = false;
   let socket = null;
-  let mediaRecorder = null;
+  let capture = null;
+  let voiceActivity = null;
+  let hasStarted = false;
+  // Set by stop, so a start waiting for its token or socket knows it was cancelled
+  let isStopped = false;
   
-  // Create WebSocket URL with authentication
-  const createWebSocketUrl = () => {
-    const wsUrl = new URL(`${playAiAuth.PLAY_AI_BASE_URL.replace('https://', 'wss://')}/stt/stream`);
-    wsUrl.searchParams.append('user_id', playAiAuth.PLAY_AI_USER_ID);
-    wsUrl.searchParams.append('api_key', playAiAuth.PLAY_AI_API_KEY);
-    wsUrl.searchParams.append('language', language);
-    wsUrl.searchParams.append('interim_results', interimResults.toString());
-    return wsUrl.toString();
+  // Create WebSocket URL authenticated with a short-lived session token
+  const createWebSocketUrl = (token) => {
+    return getWebSocketUrl('/stt/stream', {
+      token,
+      language,
+      interim_results: interimResults,
+      // Tell the server how the audio is encoded
+      ...toEncodingParams(format)
+    });
+  };
+
+  // Open the capture while the user speaks and tell the server when an utterance ends
+  const startVoiceActivity = () => {
+    try {
+      voiceActivity = monitorVoiceActivity({
+        ...(typeof vad === 'object' ? vad : {}),
+        mediaStream,
+        onSpeechStart: () => {
+          capture.setGateOpen(true);
+          if (onSpeechStart) onSpeechStart();
+        },
+        onSpeechEnd: () => {
+          capture.setGateOpen(false);
+          if (onSpeechEnd) onSpeechEnd();
+        },
+        onEndOfUtterance: () => {
+          if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'end_of_utterance' }));
+          }
+          if (onEndOfUtterance) onEndOfUtterance();
+        }
+      });
+    } catch (error) {
+      console.warn('Voice activity detection is unavailable, streaming all audio:', error);
+      capture.setGateOpen(true);
+    }
+  };
+
+  const stopVoiceActivity = () => {
+    if (voiceActivity) {
+      voiceActivity.stop();
+      voiceActivity = null;
+    }
   };
 
   // Start streaming
-  const start = () => {
+  const start = async () => {
+    isStopped = false;
+
     try {
+      // Restarts mint a fresh token in case the previous one has expired
+      const token = await playAiAuth.getSessionToken({
+        scope: 'stt',
+        forceRefresh: hasStarted
+      });
+      hasStarted = true;
+
+      // Stopped while the token was on its way
+      if (isStopped) {
+        return false;
+      }
+      
       // Create WebSocket connection
-      socket = new WebSocket(createWebSocketUrl());
+      socket = new WebSocket(createWebSocketUrl(token));
       
       // Set up WebSocket event handlers
-      socket.onopen = () => {
+      socket.onopen = async () => {
         console.log('WebSocket connection established for speech-to-text');
+
+        // Stopped while the socket was connecting
+        if (isStopped) {
+          socket.close(1000, 'User initiated stop');
+          return;
+        }
         
-        // Create media recorder
-        mediaRecorder = new MediaRecorder(mediaStream, {
-          mimeType: 'audio/webm'
+        // Capture in the negotiated format, sending chunks every 100ms
+        capture = createAudioCapture({
+          mediaStream,
+          format,
+          timeslice: 100,
+          gateOpen: !vad,
+          onData: (chunk) => {
+            if (socket && socket.readyState === WebSocket.OPEN) {
+              socket.send(chunk);
+            }
+          },
+          onError
         });
         
-        // Set up media recorder event handlers
-        mediaRecorder.ondataavailable = (event) => {
-          if (event.data.size > 0 && socket && socket.readyState === WebSocket.OPEN) {
-            socket.send(event.data);
+        try {
+          await capture.start();
+          // Stopped while the microphone was starting
+          if (isStopped) {
+            capture.stop();
+            return;
           }
-        };
-        
-        // Start recording
-        mediaRecorder.start(100); // Collect data every 100ms
-        isStreaming = true;
+          if (vad) startVoiceActivity();
+          isStreaming = true;
+        } catch (error) {
+          if (onError) onError(error);
+          socket.close(1000, 'Audio capture failed');
+        }
       };
       
       socket.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
+          const result = {
+            text: data.text,
+            isFinal: data.is_final,
+            confidence: data.confidence,
+            // Times from the server are exact; without them the assembler times the segment itself
+            startMs: data.start_ms,
+            endMs: data.end_ms
+          };
           
+          transcriptAssembler.handleResult(result);
           if (onTranscript) {
-            onTranscript({
-              text: data.text,
-              isFinal: data.is_final,
-              confidence: data.confidence
-            });
+            onTranscript(result);
           }
         } catch (err) {
           console.error('Error parsing WebSocket message:', err);
@@ -169,9 +264,10 @@ export const streamSpeechToText = ({
       socket.onclose = (event) => {
         console.log('WebSocket connection closed:', event.code, event.reason);
         isStreaming = false;
+        stopVoiceActivity();
         
-        if (mediaRecorder && mediaRecorder.state === 'recording') {
-          mediaRecorder.stop();
+        if (capture) {
+          capture.stop();
         }
       };
       
@@ -183,12 +279,14 @@ export const streamSpeechToText = ({
     }
   };
 
-  // Stop streaming
-  const stop = () => {
+  // Stop streaming; the socket stays open until the last captured audio has been sent
+  const stop = async () => {
+    isStopped = true;
     isStreaming = false;
+    stopVoiceActivity();
     
-    if (mediaRecorder && mediaRecorder.state === 'recording') {
-      mediaRecorder.stop();
+    if (capture) {
+      await capture.stop();
     }
     
     if (socket) {
@@ -200,20 +298,12 @@ export const streamSpeechToText = ({
 
   // Pause streaming
   const pause = () => {
-    if (mediaRecorder && mediaRecorder.state === 'recording') {
-      mediaRecorder.pause();
-      return true;
-    }
-    return false;
+    return capture ? capture.pause() : false;
   };
 
   // Resume streaming
   const resume = () => {
-    if (mediaRecorder && mediaRecorder.state === 'paused') {
-      mediaRecorder.resume();
-      return true;
-    }
-    return false;
+    return capture ? capture.resume() : false;
   };
 
   // Return controller object
@@ -222,7 +312,8 @@ export const streamSpeechToText = ({
     stop,
     pause,
     resume,
-    isStreaming: () => isStreaming
+    isStreaming: () => isStreaming,
+    transcript: transcriptAssembler
   };
 };
 
@@ -232,35 +323,35 @@ export const streamSpeechToText = ({
  * @param {string} options.audioUrl - URL of the audio file to transcribe
  * @param {string} options.language - Language code (default: 'en-US')
  * @param {boolean} options.punctuate - Whether to add punctuation (default: true)
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to transcription result
  * @throws {Error} If the request fails
  */
 export const transcribeAudioUrl = async ({
   audioUrl,
   language = 'en-US',
-  punctuate = true
+  punctuate = true,
+  signal,
+  timeoutMs
 }) => {
   if (!audioUrl) {
     throw new Error('Audio URL is required');
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/stt/transcribe-url`, {
+    return await playAiRequest('/stt/transcribe-url', {
       method: 'POST',
       headers: playAiAuth.getAuthHeaders(),
       body: JSON.stringify({
         audio_url: audioUrl,
         language,
         punctuate
-      })
+      }),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to transcribe audio URL'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to transcribe audio URL');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error transcribing audio URL:', error);
     throw error;
@@ -0,0 +1,411 @@
+/**
+ * Play.ai SSML Support
+ *
+ * This module helps scripts control how agents speak. It provides a small
+ * builder that compiles pauses, emphasis, spelled-out text, phone numbers and
+ * per-phrase prosody to SSML, a validator that reports markup errors before a
+ * request is sent, and a converter to plain text for voices without SSML
+ * support.
+ *
+ * Example:
+ *   const markup = ssml()
+ *     .text('Please call us at')
+ *     .phone('+1 555 010 2030')
+ *     .pause(500)
+ *     .prosody('We are open around the clock.', { rate: 'slow' })
+ *     .build();
+ */
+
+// Elements and the attributes each one allows
+const ALLOWED_ELEMENTS = {
+  speak: ['version', 'xmlns', 'xml:lang'],
+  p: [],
+  s: [],
+  break: ['time', 'strength'],
+  emphasis: ['level'],
+  'say-as': ['interpret-as', 'format', 'detail'],
+  prosody: ['rate', 'pitch', 'volume'],
+  sub: ['alias'],
+  phoneme: ['alphabet', 'ph'],
+  lang: ['xml:lang']
+};
+
+const SELF_CLOSING_ELEMENTS = ['break'];
+
+export const BREAK_STRENGTHS = ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'];
+export const EMPHASIS_LEVELS = ['strong', 'moderate', 'reduced', 'none'];
+export const SAY_AS_TYPES = ['characters', 'spell-out', 'cardinal', 'number', 'ordinal', 'digits', 'fraction', 'unit', 'date', 'time', 'telephone', 'address', 'expletive'];
+const RATE_KEYWORDS = ['x-slow', 'slow', 'medium', 'fast', 'x-fast', 'default'];
+const PITCH_KEYWORDS = ['x-low', 'low', 'medium', 'high', 'x-high', 'default'];
+const VOLUME_KEYWORDS = ['silent', 'x-soft', 'soft', 'medium', 'loud', 'x-loud', 'default'];
+
+// Longest pause most engines accept
+const MAX_BREAK_MS = 10000;
+
+const TIME_PATTERN = /^(\d+(?:\.\d+)?)(ms|s)$/;
+const PERCENT_PATTERN = /^[+-]?\d+(?:\.\d+)?%$/;
+const RELATIVE_PITCH_PATTERN = /^[+-]\d+(?:\.\d+)?(?:Hz|st)$/;
+const RELATIVE_VOLUME_PATTERN = /^[+-]\d+(?:\.\d+)?dB$/;
+
+/**
+ * Error thrown when SSML markup is invalid
+ */
+export class SsmlValidationError extends Error {
+  /**
+   * @param {Array<string>} errors - Validation error messages
+   */
+  constructor(errors) {
+    super(`Invalid SSML: ${errors.join('; ')}`);
+    this.name = 'SsmlValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Escape text for use in SSML
+ * @param {string} text - Plain text
+ * @returns {string} Text with XML special characters escaped
+ */
+export const escapeSsml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const unescapeSsml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Check whether text is an SSML document
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text is wrapped in a <speak> element
+ */
+export const isSsml = (text) => typeof text === 'string' && /^\s*<speak[\s>]/.test(text);
+
+// Validate the value of one attribute; returns an error message or null
+const validateAttribute = (element, name, value) => {
+  switch (`${element}.${name}`) {
+    case 'break.time': {
+      const match = value.match(TIME_PATTERN);
+      if (!match) return `<break> time "${value}" must look like "500ms" or "2s"`;
+      const ms = Number(match[1]) * (match[2] === 's' ? 1000 : 1);
+      return ms > MAX_BREAK_MS ? `<break> time "${value}" is longer than ${MAX_BREAK_MS / 1000}s` : null;
+    }
+    case 'break.strength':
+      return BREAK_STRENGTHS.includes(value) ? null : `<break> strength "${value}" must be one of ${BREAK_STRENGTHS.join(', ')}`;
+    case 'emphasis.level':
+      return EMPHASIS_LEVELS.includes(value) ? null : `<emphasis> level "${value}" must be one of ${EMPHASIS_LEVELS.join(', ')}`;
+    case 'say-as.interpret-as':
+      return SAY_AS_TYPES.includes(value) ? null : `<say-as> interpret-as "${value}" is not supported`;
+    case 'prosody.rate':
+      return RATE_KEYWORDS.includes(value) || PERCENT_PATTERN.test(value)
+        ? null
+        : `<prosody> rate "${value}" must be a keyword such as "slow" or a percentage such as "85%"`;
+    case 'prosody.pitch':
+      return PITCH_KEYWORDS.includes(value) || PERCENT_PATTERN.test(value) || RELATIVE_PITCH_PATTERN.test(value)
+        ? null
+        : `<prosody> pitch "${value}" must be a keyword, a percentage or a relative value such as "+2st"`;
+    case 'prosody.volume':
+      return VOLUME_KEYWORDS.includes(value) || RELATIVE_VOLUME_PATTERN.test(value)
+        ? null
+        : `<prosody> volume "${value}" must be a keyword or a relative value such as "+6dB"`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate SSML markup
+ * @param {string} markup - SSML document
+ * @returns {Object} { valid, errors } where errors lists every problem found
+ */
+export const validateSsml = (markup) => {
+  const errors = [];
+
+  if (!isSsml(markup)) {
+    return { valid: false, errors: ['SSML must be wrapped in a <speak> element'] };
+  }
+
+  const stack = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<[^>]*>?/g;
+  let match;
+  let lastIndex = 0;
+
+  while ((match = tagPattern.exec(markup)) !== null) {
+    const textBetween = markup.slice(lastIndex, match.index);
+    lastIndex = tagPattern.lastIndex;
+
+    if (/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/.test(textBetween)) {
+      errors.push('Unescaped "&" in text; use &amp;');
+    }
+
+    const [tag, closing, name, attributeText, selfClosing] = match;
+
+    if (!name) {
+      errors.push(`Malformed tag: ${tag}`);
+      continue;
+    }
+
+    if (closing) {
+      if (!stack.includes(name)) {
+        errors.push(`</${name}> has no opening tag`);
+        continue;
+      }
+      // Elements left open inside this one were never closed
+      while (stack[stack.length - 1] !== name) {
+        errors.push(`<${stack.pop()}> is never closed`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (!ALLOWED_ELEMENTS[name]) {
+      errors.push(`Unsupported element <${name}>`);
+    }
+
+    if (name === 'speak' && stack.length) {
+      errors.push('<speak> cannot be nested');
+    }
+
+    const attributes = {};
+    (attributeText.match(/[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*')/g) || []).forEach((attribute) => {
+      const [, attributeName, value] = attribute.match(/([\w:-]+)\s*=\s*["']([^"']*)["']/);
+      attributes[attributeName] = value;
+    });
+
+    Object.entries(attributes).forEach(([attributeName, value]) => {
+      if (ALLOWED_ELEMENTS[name] && !ALLOWED_ELEMENTS[name].includes(attributeName)) {
+        errors.push(`<${name}> does not support the "${attributeName}" attribute`);
+        return;
+      }
+      const error = validateAttribute(name, attributeName, value);
+      if (error) errors.push(error);
+    });
+
+    if (name === 'say-as' && !attributes['interpret-as']) {
+      errors.push('<say-as> requires an interpret-as attribute');
+    }
+    if (name === 'sub' && !attributes.alias) {
+      errors.push('<sub> requires an alias attribute');
+    }
+    if (name === 'phoneme' && !attributes.ph) {
+      errors.push('<phoneme> requires a ph attribute');
+    }
+
+    if (!selfClosing && !SELF_CLOSING_ELEMENTS.includes(name)) {
+      stack.push(name);
+    }
+  }
+
+  if (markup.slice(lastIndex).trim()) {
+    errors.push('Text after the closing </speak> tag');
+  }
+
+  stack.forEach((name) => {
+    errors.push(`<${name}> is never closed`);
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Throw if SSML markup is invalid
+ * @param {string} markup - SSML document
+ * @returns {string} The markup, if it is valid
+ * @throws {SsmlValidationError} If the markup is invalid
+ */
+export const assertValidSsml = (markup) => {
+  const { valid, errors } = validateSsml(markup);
+  if (!valid) {
+    throw new SsmlValidationError(errors);
+  }
+  return markup;
+};
+
+/**
+ * Convert SSML to plain text for voices that do not support SSML
+ * @param {string} markup - SSML document
+ * @returns {string} Text with markup removed; pauses become punctuation and spelled-out text is spaced
+ */
+export const ssmlToPlainText = (markup) => {
+  return unescapeSsml(markup
+    // Spoken aliases replace the written text
+    .replace(/<sub\b[^>]*\balias\s*=\s*["']([^"']*)["'][^>]*>[\s\S]*?<\/sub>/g, ' $1 ')
+    // Spell characters out one by one
+    .replace(/<say-as\b[^>]*interpret-as\s*=\s*["'](?:characters|spell-out)["'][^>]*>([\s\S]*?)<\/say-as>/g,
+      (tag, content) => ` ${content.replace(/\s+/g, '').split('').join(' ')} `)
+    // Read phone numbers digit by digit in groups
+    .replace(/<say-as\b[^>]*interpret-as\s*=\s*["']telephone["'][^>]*>([\s\S]*?)<\/say-as>/g,
+      (tag, content) => ` ${content.split(/\D+/).filter(Boolean).map(group => group.split('').join(' ')).join(', ')} `)
+    // Long pauses and paragraph ends become sentence breaks
+    .replace(/<break\b[^>]*(?:strength\s*=\s*["'](?:strong|x-strong)["']|time\s*=\s*["'](?:[1-9]\d*(?:\.\d+)?s|\d{4,}ms)["'])[^>]*\/?>/g, '. ')
+    .replace(/<break\b[^>]*\/?>/g, ', ')
+    .replace(/<\/(p|s)>/g, '. ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+([,.])/g, '$1')
+    .replace(/([,.])(?:\s*[,.])+/g, '$1')
+    .replace(/^[\s,.]+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const toAttributes = (attributes) => Object.entries(attributes)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => ` ${name}="${escapeSsml(value)}"`)
+  .join('');
+
+// Content may be plain text or a function that adds to a nested builder
+const renderContent = (content) => {
+  if (typeof content === 'function') {
+    const nested = createBuilder();
+    content(nested);
+    return nested.toFragment();
+  }
+  return escapeSsml(content);
+};
+
+const createBuilder = () => {
+  const parts = [];
+
+  const builder = {
+    /**
+     * Add plain text
+     * @param {string} text - Text to speak
+     * @returns {Object} The builder
+     */
+    text: (text) => {
+      parts.push(escapeSsml(text));
+      return builder;
+    },
+
+    /**
+     * Add a pause
+     * @param {number|string} duration - Pause in ms, or a strength such as 'strong'
+     * @returns {Object} The builder
+     */
+    pause: (duration) => {
+      parts.push(typeof duration === 'number'
+        ? `<break time="${Math.round(duration)}ms"/>`
+        : `<break strength="${escapeSsml(duration)}"/>`);
+      return builder;
+    },
+
+    /**
+     * Add emphasized text
+     * @param {string|Function} content - Text, or a function receiving a nested builder
+     * @param {string} level - Emphasis level (default: 'moderate')
+     * @returns {Object} The builder
+     */
+    emphasis: (content, level = 'moderate') => {
+      parts.push(`<emphasis${toAttributes({ level })}>${renderContent(content)}</emphasis>`);
+      return builder;
+    },
+
+    /**
+     * Add text with an explicit interpretation
+     * @param {string} text - Text to speak
+     * @param {string} interpretAs - Interpretation such as 'date', 'cardinal' or 'characters'
+     * @param {string} format - Optional format hint (e.g. 'mdy' for dates)
+     * @returns {Object} The builder
+     */
+    sayAs: (text, interpretAs, format) => {
+      parts.push(`<say-as${toAttributes({ 'interpret-as': interpretAs, format })}>${escapeSsml(text)}</say-as>`);
+      return builder;
+    },
+
+    /**
+     * Add text spelled out character by character
+     * @param {string} text - Text to spell
+     * @returns {Object} The builder
+     */
+    spell: text => builder.sayAs(text, 'characters'),
+
+    /**
+     * Add a phone number, read in digit groups
+     * @param {string} number - Phone number
+     * @returns {Object} The builder
+     */
+    phone: number => builder.sayAs(number, 'telephone'),
+
+    /**
+     * Add text with changed rate, pitch or volume
+     * @param {string|Function} content - Text, or a function receiving a nested builder
+     * @param {Object} options - Prosody options ({ rate, pitch, volume }), e.g. { rate: '85%' }
+     * @returns {Object} The builder
+     */
+    prosody: (content, { rate, pitch, volume } = {}) => {
+      parts.push(`<prosody${toAttributes({ rate, pitch, volume })}>${renderContent(content)}</prosody>`);
+      return builder;
+    },
+
+    /**
+     * Add text that is written one way but spoken another
+     * @param {string} text - Written text
+     * @param {string} alias - Spoken text
+     * @returns {Object} The builder
+     */
+    sub: (text, alias) => {
+      parts.push(`<sub${toAttributes({ alias })}>${escapeSsml(text)}</sub>`);
+      return builder;
+    },
+
+    /**
+     * Add a paragraph
+     * @param {string|Function} content - Text, or a function receiving a nested builder
+     * @returns {Object} The builder
+     */
+    paragraph: (content) => {
+      parts.push(`<p>${renderContent(content)}</p>`);
+      return builder;
+    },
+
+    /**
+     * Add a sentence
+     * @param {string|Function} content - Text, or a function receiving a nested builder
+     * @returns {Object} The builder
+     */
+    sentence: (content) => {
+      parts.push(`<s>${renderContent(content)}</s>`);
+      return builder;
+    },
+
+    toFragment: () => parts.join(' '),
+
+    /**
+     * Compile to an SSML document
+     * @returns {string} Validated SSML wrapped in <speak>
+     * @throws {SsmlValidationError} If any value is invalid
+     */
+    build: () => assertValidSsml(`<speak>${builder.toFragment()}</speak>`),
+
+    /**
+     * Compile to plain text
+     * @returns {string} The text without markup
+     */
+    toPlainText: () => ssmlToPlainText(`<speak>${builder.toFragment()}</speak>`)
+  };
+
+  return builder;
+};
+
+/**
+ * Start building SSML
+ * @returns {Object} Chainable builder with text, pause, emphasis, sayAs, spell, phone, prosody,
+ *   sub, paragraph, sentence, build and toPlainText methods
+ */
+export const ssml = () => createBuilder();
+
+export default {
+  ssml,
+  isSsml,
+  escapeSsml,
+  validateSsml,
+  assertValidSsml,
+  ssmlToPlainText,
+  SsmlValidationError
+};
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ssml, validateSsml, assertValidSsml, ssmlToPlainText, SsmlValidationError } from './playAiSsml';
+
+test('the builder escapes text and produces valid SSML', () => {
+  const markup = ssml()
+    .text('Call us at')
+    .phone('+1 555-010-2030')
+    .pause(800)
+    .emphasis('today', 'strong')
+    .text('& save.')
+    .sub('Dr.', 'Doctor')
+    .text('Smith')
+    .build();
+
+  assert.match(markup, /^<speak>.*<\/speak>$/);
+  assert.match(markup, /<break time="800ms"\/>/);
+  assert.match(markup, /&amp; save\./);
+  assert.deepEqual(validateSsml(markup), { valid: true, errors: [] });
+});
+
+test('every problem in a document is reported', () => {
+  const { valid, errors } = validateSsml(
+    '<speak><break time="20s"/><emphasis level="huge">x</emphasis><prosody rate="fastish">y</prosody><foo>z</foo></speak>'
+  );
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    '<break> time "20s" is longer than 10s',
+    '<emphasis> level "huge" must be one of strong, moderate, reduced, none',
+    '<prosody> rate "fastish" must be a keyword such as "slow" or a percentage such as "85%"',
+    'Unsupported element <foo>'
+  ]);
+});
+
+test('structure and escaping are checked', () => {
+  assert.deepEqual(validateSsml('hello').errors, ['SSML must be wrapped in a <speak> element']);
+  assert.deepEqual(validateSsml('<speak><p>unclosed <s>a</p></speak>').errors, ['<s> is never closed']);
+  assert.deepEqual(validateSsml('<speak>a & b</speak>').errors, ['Unescaped "&" in text; use &amp;']);
+});
+
+test('invalid markup throws SsmlValidationError', () => {
+  assert.throws(() => assertValidSsml('<speak><foo/></speak>'), SsmlValidationError);
+  assert.throws(() => ssml().pause('huge').build(), (error) => {
+    assert.ok(error instanceof SsmlValidationError);
+    assert.deepEqual(error.errors, ['<break> strength "huge" must be one of none, x-weak, weak, medium, strong, x-strong']);
+    return true;
+  });
+});
+
+test('SSML converts to plain text for voices without SSML support', () => {
+  const markup = ssml().sub('Dr.', 'Doctor').text('Smith').spell('AB12').build();
+  assert.equal(ssmlToPlainText(markup), 'Doctor Smith A B 1 2');
+});
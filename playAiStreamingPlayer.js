@@ -0,0 +1,643 @@
+/**
+ * Play.ai Streaming Audio Player
+ *
+ * This module plays text-to-speech audio while it is still streaming in.
+ * Compressed streams (MP3) are appended to a MediaSource so the browser can
+ * decode partial frames itself; raw PCM and WAV streams are converted to
+ * AudioBuffers and scheduled back to back on an AudioContext. Either way the
+ * chunks play in order without gaps and playback starts with the first
+ * decodable audio. The player reports `firstAudioAt` so the time to first
+ * audio can be measured. Playback follows the output device, volume, rate
+ * and mute settings of the audio output manager.
+ */
+
+import { streamTextToSpeech } from './playAiTextToSpeech';
+import { attachMediaElement, getOutputNode, getAudioOutputSettings } from './playAiAudioOutput';
+
+// Player states
+export const PlayerStates = {
+  IDLE: 'idle',
+  BUFFERING: 'buffering',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  ENDED: 'ended',
+  STOPPED: 'stopped'
+};
+
+// MIME types for formats played through MediaSource
+const MEDIA_SOURCE_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/webm; codecs="opus"',
+  aac: 'audio/aac'
+};
+
+// How far ahead of the current time the first PCM buffer is scheduled, in seconds
+const SCHEDULE_LEAD_TIME = 0.05;
+
+const WAV_HEADER_MIN_LENGTH = 44;
+
+// Check whether a chunk starts with a RIFF/WAVE header
+const isWavHeader = (bytes) => (
+  bytes.length >= 12
+  && String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === 'RIFF'
+  && String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === 'WAVE'
+);
+
+const concatBytes = (a, b) => {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a, 0);
+  result.set(b, a.length);
+  return result;
+};
+
+/**
+ * Parse the header of a WAV stream
+ * @param {Uint8Array} bytes - Bytes from the start of the stream
+ * @returns {Object|null} { sampleRate, channels, bitsPerSample, dataOffset }, or null if the
+ *   header is not complete yet
+ */
+export const parseWavHeader = (bytes) => {
+  if (bytes.length < WAV_HEADER_MIN_LENGTH) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let format = null;
+  let offset = 12;
+
+  // Walk the chunks until the data chunk, which may follow LIST or other metadata chunks
+  while (offset + 8 <= bytes.length) {
+    const chunkId = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const chunkSize = view.getUint32(offset + 4, true);
+
+    if (chunkId === 'fmt ') {
+      if (offset + 24 > bytes.length) return null;
+      format = {
+        channels: view.getUint16(offset + 10, true),
+        sampleRate: view.getUint32(offset + 12, true),
+        bitsPerSample: view.getUint16(offset + 22, true)
+      };
+    } else if (chunkId === 'data') {
+      return format ? { ...format, dataOffset: offset + 8 } : null;
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+};
+
+/**
+ * Convert interleaved 16-bit little-endian PCM to one Float32Array per channel
+ * @param {Uint8Array} bytes - PCM bytes; must contain whole frames
+ * @param {number} channels - Number of interleaved channels
+ * @returns {Array<Float32Array>} Samples for each channel
+ */
+export const pcm16ToFloat32 = (bytes, channels = 1) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const frames = Math.floor(bytes.byteLength / (2 * channels));
+  const output = Array.from({ length: channels }, () => new Float32Array(frames));
+
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      output[channel][frame] = view.getInt16((frame * channels + channel) * 2, true) / 32768;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Check whether a format can be streamed through MediaSource in this browser
+ * @param {string} format - Audio format ('mp3', 'opus' or 'aac')
+ * @returns {boolean} True if MediaSource playback is supported
+ */
+export const isMediaSourceSupported = (format) => {
+  const mimeType = MEDIA_SOURCE_TYPES[format];
+  return Boolean(
+    mimeType
+    && typeof window !== 'undefined'
+    && window.MediaSource
+    && window.MediaSource.isTypeSupported(mimeType)
+  );
+};
+
+/**
+ * Create a player for streamed audio
+ * @param {Object} options - Player options
+ * @param {string} options.format - Stream format: 'mp3' (default), 'opus', 'aac', 'pcm' or 'wav';
+ *   streams that start with a WAV header are detected automatically
+ * @param {number} options.sampleRate - Sample rate of raw PCM streams in Hz (default: 24000)
+ * @param {number} options.channels - Channel count of raw PCM streams (default: 1)
+ * @param {boolean} options.autoPlay - Start playing as soon as audio is available (default: true)
+ * @param {AudioContext} options.audioContext - AudioContext for PCM playback (default: a new one owned by the player)
+ * @param {AudioNode} options.destination - Node PCM audio is connected to (default: the audio output manager's node)
+ * @param {number} options.requestedAt - Time the audio was requested, for latency metrics (default: now)
+ * @param {Function} options.onStateChange - Callback when the player state changes
+ * @param {Function} options.onFirstAudio - Callback with the latency in ms when audio first plays
+ * @param {Function} options.onEnded - Callback when all audio has played
+ * @param {Function} options.onError - Callback for playback errors
+ * @returns {Object} Player with appendChunk, end, play, pause, stop, getMetrics, getCurrentTime and state
+ */
+export const createStreamingPlayer = ({
+  format = 'mp3',
+  sampleRate = 24000,
+  channels = 1,
+  autoPlay = true,
+  audioContext,
+  destination,
+  requestedAt = Date.now(),
+  onStateChange,
+  onFirstAudio,
+  onEnded,
+  onError
+} = {}) => {
+  let state = PlayerStates.IDLE;
+  let mode = null; // 'media-source', 'pcm' or 'buffered'
+  let isEnding = false;
+  let shouldPlay = autoPlay;
+  let firstChunkAt = null;
+  let firstAudioAt = null;
+  let headerBytes = new Uint8Array(0);
+
+  // PCM playback
+  let context = audioContext || null;
+  const ownsContext = !audioContext;
+  let pcmFormat = { sampleRate, channels };
+  let leftover = new Uint8Array(0);
+  let nextStartTime = 0;
+  const scheduledSources = new Set();
+  // Where each scheduled buffer starts, in context time and in stream time
+  const timeline = [];
+  let scheduledDuration = 0;
+
+  // MediaSource playback
+  let audioElement = null;
+  let mediaSource = null;
+  let sourceBuffer = null;
+  let objectUrl = null;
+  let detachOutput = null;
+  const pendingChunks = [];
+
+  // Compressed audio that has to be decoded in one piece
+  const bufferedChunks = [];
+
+  const setState = (nextState) => {
+    if (state === nextState) return;
+    state = nextState;
+    if (onStateChange) onStateChange(nextState);
+  };
+
+  const fail = (error) => {
+    console.error('Error in streaming audio playback:', error);
+    if (onError) onError(error);
+  };
+
+  const markFirstAudio = () => {
+    if (firstAudioAt !== null) return;
+    firstAudioAt = Date.now();
+    if (onFirstAudio) onFirstAudio(firstAudioAt - requestedAt);
+  };
+
+  const finish = () => {
+    if (state === PlayerStates.STOPPED || state === PlayerStates.ENDED) return;
+    if (detachOutput) detachOutput();
+    setState(PlayerStates.ENDED);
+    if (onEnded) onEnded();
+    if (ownsContext && context) {
+      context.close().catch(() => {});
+    }
+  };
+
+  const getContext = () => {
+    if (!context) {
+      context = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return context;
+  };
+
+  // Schedule decoded audio right after the previously scheduled buffer
+  const scheduleBuffer = (audioBuffer) => {
+    const ctx = getContext();
+    const source = ctx.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(destination || getOutputNode(ctx));
+
+    // A rate change applies from the next buffer on
+    const { playbackRate } = getAudioOutputSettings();
+    source.playbackRate.value = playbackRate;
+
+    // Keep the schedule frozen until play() when the player is paused
+    if (!shouldPlay && ctx.state === 'running') {
+      ctx.suspend().catch(fail);
+    }
+
+    // After an underrun, restart slightly ahead of the current time
+    const startTime = Math.max(nextStartTime, ctx.currentTime + SCHEDULE_LEAD_TIME);
+    source.start(startTime);
+    nextStartTime = startTime + audioBuffer.duration / playbackRate;
+    timeline.push({ startTime, offset: scheduledDuration, duration: audioBuffer.duration, playbackRate });
+    scheduledDuration += audioBuffer.duration;
+
+    if (firstAudioAt === null && shouldPlay) {
+      setTimeout(markFirstAudio, Math.max(0, (startTime - ctx.currentTime) * 1000));
+    }
+
+    scheduledSources.add(source);
+    source.onended = () => {
+      scheduledSources.delete(source);
+      if (isEnding && scheduledSources.size === 0) finish();
+    };
+
+    if (shouldPlay && state !== PlayerStates.PAUSED) {
+      if (ctx.state === 'suspended') ctx.resume().catch(fail);
+      setState(PlayerStates.PLAYING);
+    }
+  };
+
+  const appendPcm = (bytes) => {
+    const frameSize = 2 * pcmFormat.channels;
+    const data = leftover.length ? concatBytes(leftover, bytes) : bytes;
+    const usableLength = data.length - (data.length % frameSize);
+
+    // Keep partial frames for the next chunk
+    leftover = data.slice(usableLength);
+    if (!usableLength) return;
+
+    const ctx = getContext();
+    const samples = pcm16ToFloat32(data.subarray(0, usableLength), pcmFormat.channels);
+    const audioBuffer = ctx.createBuffer(pcmFormat.channels, samples[0].length, pcmFormat.sampleRate);
+    samples.forEach((channelData, channel) => audioBuffer.copyToChannel(channelData, channel));
+
+    scheduleBuffer(audioBuffer);
+  };
+
+  // Feed queued chunks to the SourceBuffer one at a time
+  const flushMediaSource = () => {
+    if (!sourceBuffer || sourceBuffer.updating || mediaSource.readyState !== 'open') return;
+
+    if (pendingChunks.length) {
+      try {
+        sourceBuffer.appendBuffer(pendingChunks.shift());
+      } catch (error) {
+        fail(error);
+      }
+      return;
+    }
+
+    if (isEnding) {
+      mediaSource.endOfStream();
+    }
+  };
+
+  const startMediaSource = () => {
+    const mimeType = MEDIA_SOURCE_TYPES[format];
+    audioElement = new Audio();
+    detachOutput = attachMediaElement(audioElement);
+    mediaSource = new window.MediaSource();
+    objectUrl = URL.createObjectURL(mediaSource);
+    audioElement.src = objectUrl;
+
+    audioElement.addEventListener('playing', () => {
+      markFirstAudio();
+      setState(PlayerStates.PLAYING);
+    });
+    audioElement.addEventListener('ended', finish);
+    audioElement.addEventListener('error', () => fail(audioElement.error || new Error('Audio playback failed')));
+
+    mediaSource.addEventListener('sourceopen', () => {
+      try {
+        sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+        sourceBuffer.mode = 'sequence';
+        sourceBuffer.addEventListener('updateend', () => {
+          // Start on the first appended frames; the element waits for enough data itself
+          if (shouldPlay && audioElement.paused && state !== PlayerStates.PAUSED) {
+            audioElement.play().catch(fail);
+          }
+          flushMediaSource();
+        });
+        flushMediaSource();
+      } catch (error) {
+        fail(error);
+      }
+    });
+  };
+
+  // Pick a playback mode from the configured format and the first bytes of the stream
+  const selectMode = (bytes) => {
+    if (format === 'wav' || isWavHeader(bytes)) {
+      mode = 'pcm';
+      return;
+    }
+
+    if (format === 'pcm') {
+      mode = 'pcm';
+      headerBytes = null;
+      return;
+    }
+
+    if (isMediaSourceSupported(format)) {
+      mode = 'media-source';
+      startMediaSource();
+      return;
+    }
+
+    mode = 'buffered';
+  };
+
+  // Decode a compressed stream in one piece when MediaSource is unavailable
+  const playBuffered = async () => {
+    try {
+      const ctx = getContext();
+      const bytes = bufferedChunks.reduce((all, chunk) => concatBytes(all, chunk), new Uint8Array(0));
+      const audioBuffer = await ctx.decodeAudioData(bytes.buffer);
+      if (state === PlayerStates.STOPPED) return;
+      scheduleBuffer(audioBuffer);
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  /**
+   * Add a chunk of the audio stream
+   * @param {Uint8Array|ArrayBuffer} chunk - Next bytes of the stream, in order
+   * @returns {void}
+   */
+  const appendChunk = (chunk) => {
+    if (state === PlayerStates.STOPPED || isEnding) return;
+
+    const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+    if (!bytes.length) return;
+
+    if (firstChunkAt === null) {
+      firstChunkAt = Date.now();
+      setState(shouldPlay ? PlayerStates.BUFFERING : PlayerStates.PAUSED);
+    }
+
+    if (!mode) {
+      selectMode(bytes);
+    }
+
+    try {
+      if (mode === 'pcm') {
+        // Hold bytes back until the WAV header is complete
+        if (headerBytes) {
+          headerBytes = concatBytes(headerBytes, bytes);
+          if (!isWavHeader(headerBytes)) {
+            if (headerBytes.length < 12) return;
+            const data = headerBytes;
+            headerBytes = null;
+            appendPcm(data);
+            return;
+          }
+
+          const header = parseWavHeader(headerBytes);
+          if (!header) return;
+
+          pcmFormat = { sampleRate: header.sampleRate, channels: header.channels };
+          const data = headerBytes.subarray(header.dataOffset);
+          headerBytes = null;
+          if (data.length) appendPcm(data);
+          return;
+        }
+
+        appendPcm(bytes);
+      } else if (mode === 'media-source') {
+        pendingChunks.push(bytes);
+        flushMediaSource();
+      } else {
+        bufferedChunks.push(bytes);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  /**
+   * Signal that the stream is complete; playback ends after the buffered audio
+   * @returns {void}
+   */
+  const end = () => {
+    if (isEnding || state === PlayerStates.STOPPED) return;
+    isEnding = true;
+
+    if (!mode) {
+      finish();
+    } else if (mode === 'media-source') {
+      flushMediaSource();
+    } else if (mode === 'buffered') {
+      playBuffered();
+    } else if (scheduledSources.size === 0) {
+      finish();
+    }
+  };
+
+  /**
+   * Start or resume playback
+   * @returns {Promise<void>} Promise that resolves once playback has resumed
+   */
+  const play = async () => {
+    if (state === PlayerStates.STOPPED || state === PlayerStates.ENDED) return;
+    shouldPlay = true;
+
+    if (mode === 'media-source') {
+      if (sourceBuffer && sourceBuffer.buffered.length) {
+        await audioElement.play();
+      }
+    } else if (context) {
+      await context.resume();
+      if (scheduledSources.size) {
+        markFirstAudio();
+        setState(PlayerStates.PLAYING);
+      }
+    }
+
+    if (state === PlayerStates.PAUSED) {
+      setState(PlayerStates.BUFFERING);
+    }
+  };
+
+  /**
+   * Pause playback; streamed chunks keep buffering
+   * @returns {Promise<void>} Promise that resolves once playback has paused
+   */
+  const pause = async () => {
+    if (state === PlayerStates.STOPPED || state === PlayerStates.ENDED) return;
+    shouldPlay = false;
+
+    if (mode === 'media-source') {
+      audioElement.pause();
+    } else if (context) {
+      // Suspending the context freezes the schedule, so resuming stays gapless
+      await context.suspend();
+    }
+
+    setState(PlayerStates.PAUSED);
+  };
+
+  /**
+   * Stop playback and release the audio resources
+   * @returns {void}
+   */
+  const stop = () => {
+    if (state === PlayerStates.STOPPED) return;
+
+    scheduledSources.forEach((source) => {
+      source.onended = null;
+      try {
+        source.stop();
+      } catch (error) {
+        // Sources that never started cannot be stopped
+      }
+    });
+    scheduledSources.clear();
+    pendingChunks.length = 0;
+    bufferedChunks.length = 0;
+
+    if (audioElement) {
+      audioElement.pause();
+      audioElement.removeAttribute('src');
+      audioElement.load();
+    }
+    if (detachOutput) detachOutput();
+    if (objectUrl) {
+      URL.revokeObjectURL(objectUrl);
+      objectUrl = null;
+    }
+    if (ownsContext && context && context.state !== 'closed') {
+      context.close().catch(() => {});
+    }
+
+    setState(PlayerStates.STOPPED);
+  };
+
+  /**
+   * Get playback latency metrics
+   * @returns {Object} { requestedAt, firstChunkAt, firstAudioAt, firstAudioLatencyMs } in ms timestamps
+   */
+  const getMetrics = () => ({
+    requestedAt,
+    firstChunkAt,
+    firstAudioAt,
+    firstAudioLatencyMs: firstAudioAt !== null ? firstAudioAt - requestedAt : null
+  });
+
+  /**
+   * Get the position in the stream that is playing now
+   * @returns {number} Seconds of the stream played so far, for following along with word timestamps
+   */
+  const getCurrentTime = () => {
+    if (mode === 'media-source') return audioElement ? audioElement.currentTime : 0;
+    if (!context || !timeline.length) return 0;
+
+    // Find the buffer playing now; the schedule stands still while the context is suspended
+    let index = timeline.length - 1;
+    while (index > 0 && timeline[index].startTime > context.currentTime) index--;
+    const { startTime, offset, duration, playbackRate } = timeline[index];
+    const played = Math.max(0, (context.currentTime - startTime) * playbackRate);
+    return offset + Math.min(played, duration);
+  };
+
+  return {
+    appendChunk,
+    end,
+    play,
+    pause,
+    stop,
+    getMetrics,
+    getCurrentTime,
+    get state() {
+      return state;
+    },
+    get firstAudioAt() {
+      return firstAudioAt;
+    },
+    get audioElement() {
+      return audioElement;
+    },
+    get audioContext() {
+      return context;
+    }
+  };
+};
+
+/**
+ * Stream text-to-speech and play it as it arrives
+ * @param {Object} options - Text-to-speech options; other options are passed to createStreamingPlayer
+ * @param {string} options.text - The text to convert to speech
+ * @param {string|Object} options.ssml - SSML document or builder, used instead of text
+ * @param {string} options.voiceId - The voice ID to use
+ * @param {number} options.speed - Speech speed factor
+ * @param {number} options.pitch - Speech pitch factor
+ * @param {string} options.format - Stream format ('mp3', 'pcm' or 'wav', default: 'mp3')
+ * @param {Array<Object>} options.lexicon - Pronunciation lexicon entries to apply
+ * @param {string} options.agentId - Agent whose pronunciation lexicon to apply when no lexicon is given
+ * @param {boolean} options.includeTimestamps - Request word timestamps for captions (default: false)
+ * @param {string} options.timestampGranularity - 'word' or 'phoneme' (default: 'word')
+ * @param {Function} options.onTimestamps - Callback with each batch of words; follow them with player.getCurrentTime
+ * @param {AbortSignal} options.signal - Signal to cancel the stream
+ * @param {number} options.timeoutMs - Timeout for the response to start in ms
+ * @returns {Object} The streaming player; stopping it also cancels the stream
+ */
+export const playTextToSpeechStream = ({
+  text,
+  ssml,
+  voiceId,
+  speed,
+  pitch,
+  format = 'mp3',
+  lexicon,
+  agentId,
+  includeTimestamps,
+  timestampGranularity,
+  onTimestamps,
+  signal,
+  timeoutMs,
+  ...playerOptions
+}) => {
+  const controller = new AbortController();
+  const player = createStreamingPlayer({
+    ...playerOptions,
+    format,
+    onStateChange: (state) => {
+      // Stopping the player cancels the rest of the stream
+      if (state === PlayerStates.STOPPED) controller.abort();
+      if (playerOptions.onStateChange) playerOptions.onStateChange(state);
+    }
+  });
+
+  if (signal) {
+    signal.addEventListener('abort', player.stop, { once: true });
+  }
+
+  streamTextToSpeech({
+    text,
+    ssml,
+    voiceId,
+    speed,
+    pitch,
+    format,
+    lexicon,
+    agentId,
+    includeTimestamps,
+    timestampGranularity,
+    signal: controller.signal,
+    timeoutMs,
+    onAudioChunk: player.appendChunk,
+    onTimestamps,
+    onComplete: player.end
+  }).catch((error) => {
+    if (error.name === 'AbortError') return;
+    player.stop();
+    if (playerOptions.onError) playerOptions.onError(error);
+  });
+
+  return player;
+};
+
+export default {
+  PlayerStates,
+  createStreamingPlayer,
+  playTextToSpeechStream,
+  isMediaSourceSupported,
+  parseWavHeader,
+  pcm16ToFloat32
+};
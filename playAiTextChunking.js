@@ -0,0 +1,125 @@
+/**
+ * Play.ai Text Chunking
+ *
+ * This module splits long text into pieces that fit within the text-to-speech
+ * request limit. It prefers paragraph and sentence boundaries so every chunk
+ * sounds natural on its own, and only falls back to clause or word
+ * boundaries for sentences that are too long by themselves.
+ */
+
+// Maximum characters per text-to-speech request
+export const MAX_TTS_CHARACTERS = 2000;
+
+// Sentences, including trailing punctuation, closing quotes/brackets and whitespace
+const SENTENCE_PATTERN = /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g;
+
+// Clause boundaries used to split sentences that are too long
+const CLAUSE_PATTERN = /[^,;:—]+(?:[,;:—]+|$)\s*/g;
+
+// Split text into consecutive parts with a pattern, keeping everything it does not match
+const splitKeepingText = (text, pattern) => {
+  const parts = text.match(pattern) || [];
+  const matched = parts.join('');
+  return matched.length === text.length ? parts : [text];
+};
+
+// Split text at word boundaries into pieces of at most maxChars
+const splitWords = (text, maxChars) => {
+  const pieces = [];
+  let current = '';
+
+  text.split(/(\s+)/).forEach((word) => {
+    if ((current + word).length <= maxChars) {
+      current += word;
+      return;
+    }
+
+    if (current) pieces.push(current);
+
+    // A single word longer than the limit has to be cut
+    let remaining = word;
+    while (remaining.length > maxChars) {
+      pieces.push(remaining.slice(0, maxChars));
+      remaining = remaining.slice(maxChars);
+    }
+    current = remaining;
+  });
+
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+// Break a piece of text into units no longer than maxChars, at the most natural boundary available
+const splitIntoUnits = (text, maxChars) => {
+  if (text.length <= maxChars) return [text];
+
+  const sentences = splitKeepingText(text, SENTENCE_PATTERN);
+  if (sentences.length > 1) {
+    return sentences.flatMap(sentence => splitIntoUnits(sentence, maxChars));
+  }
+
+  const clauses = splitKeepingText(text, CLAUSE_PATTERN);
+  if (clauses.length > 1) {
+    return clauses.flatMap(clause => (clause.length <= maxChars ? [clause] : splitWords(clause, maxChars)));
+  }
+
+  return splitWords(text, maxChars);
+};
+
+/**
+ * Split text into chunks for text-to-speech
+ * @param {string} text - Text to split
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxChars - Maximum characters per chunk (default: MAX_TTS_CHARACTERS)
+ * @returns {Array<Object>} Chunks with index, text and charOffset (position in the original text)
+ */
+export const splitTextForSpeech = (text, { maxChars = MAX_TTS_CHARACTERS } = {}) => {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Text is required and must be a string');
+  }
+
+  if (maxChars < 1) {
+    throw new Error('maxChars must be at least 1');
+  }
+
+  // Paragraphs keep their trailing blank lines so offsets stay exact
+  const paragraphs = text.match(/[\s\S]*?(?:\n\s*\n|$)/g).filter(Boolean);
+  const units = paragraphs.flatMap(paragraph => splitIntoUnits(paragraph, maxChars));
+
+  // Pack consecutive units into chunks as large as the limit allows
+  const chunks = [];
+  let current = '';
+  let currentOffset = 0;
+  let offset = 0;
+
+  const pushChunk = () => {
+    const trimmed = current.trim();
+    if (trimmed) {
+      chunks.push({
+        index: chunks.length,
+        text: trimmed,
+        charOffset: currentOffset + (current.length - current.trimStart().length)
+      });
+    }
+  };
+
+  units.forEach((unit) => {
+    if (current && (current + unit).trim().length > maxChars) {
+      pushChunk();
+      current = '';
+    }
+
+    if (!current) currentOffset = offset;
+    current += unit;
+    offset += unit.length;
+  });
+
+  pushChunk();
+
+  return chunks;
+};
+
+export default {
+  MAX_TTS_CHARACTERS,
+  splitTextForSpeech
+};
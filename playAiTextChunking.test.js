@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { splitTextForSpeech, MAX_TTS_CHARACTERS } from './playAiTextChunking';
+
+const TEXT = 'First paragraph. It has two sentences!\n\nSecond paragraph is "quoted." And a question? '
+  + 'Long clause, another clause; yet another: done. '.repeat(5)
+  + '\n\n'
+  + 'x'.repeat(130)
+  + ' tail';
+
+test('short text is a single chunk', () => {
+  assert.deepEqual(splitTextForSpeech('Hi.'), [{ index: 0, text: 'Hi.', charOffset: 0 }]);
+});
+
+test('chunks fit the limit and point back into the original text', () => {
+  [40, 60, MAX_TTS_CHARACTERS].forEach((maxChars) => {
+    const chunks = splitTextForSpeech(TEXT, { maxChars });
+
+    chunks.forEach((chunk, index) => {
+      assert.equal(chunk.index, index);
+      assert.ok(chunk.text.length <= maxChars, `chunk ${index} is ${chunk.text.length} characters`);
+      assert.equal(TEXT.slice(chunk.charOffset, chunk.charOffset + chunk.text.length), chunk.text);
+    });
+  });
+});
+
+test('text is split at paragraphs and sentences before clauses', () => {
+  const sentences = splitTextForSpeech(TEXT, { maxChars: 60 }).map(chunk => chunk.text);
+  assert.deepEqual(sentences.slice(0, 3), [
+    'First paragraph. It has two sentences!',
+    'Second paragraph is "quoted." And a question?',
+    'Long clause, another clause; yet another: done.'
+  ]);
+
+  const clauses = splitTextForSpeech(TEXT, { maxChars: 40 }).map(chunk => chunk.text);
+  assert.equal(clauses[3], 'another clause; yet another: done.');
+});
+
+test('empty or non-string text is rejected', () => {
+  assert.throws(() => splitTextForSpeech(''), /Text is required/);
+  assert.throws(() => splitTextForSpeech(42), /Text is required/);
+});
@@ -3,153 +3,463 @@
  * 
  * This module handles text-to-speech functionality using the Play.ai API.
  * It provides functions for converting text to speech with various voice options
- * and customization parameters.
+ * and customization parameters. Text can also be given as SSML (or built with
+ * the builder from playAiSsml); it is validated before the request and sent as
+ * plain text to voices that do not support SSML.
  */
 
 import playAiAuth from './playAiAuth';
+import { playAiRequest } from './playAiRequest';
+import { retryWithBackoff } from './playAiErrorHandling';
+import { splitTextForSpeech, MAX_TTS_CHARACTERS } from './playAiTextChunking';
+import { decodeAudio, fetchAudioBuffer, concatAudioBuffers, encodeWav } from './playAiAudioUtils';
+import { isSsml, assertValidSsml, ssmlToPlainText } from './playAiSsml';
+import { applyLexicon } from './playAiLexicon';
+import { getAgentLexicon } from './playAiVoiceAgent';
+import { normalizeWordTimestamps } from './playAiWordTiming';
+
+// Voice lists per workspace, used to look up SSML support
+const voiceListCache = new Map();
+
+// Shortest sample Play.ai accepts for voice cloning
+export const VOICE_CLONE_MIN_SECONDS = 30;
+
+// Audio types accepted as voice cloning samples
+export const VOICE_CLONE_AUDIO_TYPES = [
+  'audio/wav',
+  'audio/x-wav',
+  'audio/wave',
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/mp4',
+  'audio/x-m4a',
+  'audio/aac',
+  'audio/ogg',
+  'audio/webm',
+  'audio/flac'
+];
+
+/**
+ * Check whether a voice supports SSML
+ * @param {string} voiceId - The voice ID to check
+ * @returns {Promise<boolean>} Promise resolving to false only if the voice list says SSML is unsupported
+ */
+export const voiceSupportsSsml = async (voiceId) => {
+  const workspaceId = playAiAuth.getActiveWorkspaceId();
+
+  try {
+    if (!voiceListCache.has(workspaceId)) {
+      // Forget failed lookups so the next call tries again
+      voiceListCache.set(workspaceId, getAvailableVoices().catch((error) => {
+        voiceListCache.delete(workspaceId);
+        throw error;
+      }));
+    }
+
+    const response = await voiceListCache.get(workspaceId);
+    const voices = Array.isArray(response) ? response : response?.voices || [];
+    const voice = voices.find(candidate => (candidate.id || candidate.voice_id) === voiceId);
+
+    return voice?.supports_ssml !== false;
+  } catch (error) {
+    // Without a voice list, let the API decide
+    return true;
+  }
+};
+
+/**
+ * Resolve the pronunciation lexicon for a request
+ * @param {Object} options - Lexicon options
+ * @param {Array<Object>} options.lexicon - Lexicon entries, used as given
+ * @param {string} options.agentId - Agent whose lexicon to use when no lexicon is given
+ * @param {AbortSignal} options.signal - Signal to cancel loading the agent
+ * @returns {Promise<Array<Object>>} Promise resolving to lexicon entries (empty when there are none)
+ */
+export const resolveLexicon = async ({ lexicon, agentId, signal }) => {
+  if (lexicon) return lexicon;
+  if (!agentId) return [];
+
+  try {
+    return await getAgentLexicon(agentId, { signal });
+  } catch (error) {
+    // Speak without custom pronunciations rather than not at all
+    console.error('Error loading pronunciation lexicon:', error);
+    return [];
+  }
+};
+
+// Resolve text or SSML options into the text and text type to send
+const resolveSpeechInput = async ({ text, ssml, voiceId, lexicon, agentId, signal }) => {
+  let input = ssml !== undefined && ssml !== null
+    ? (typeof ssml === 'string' ? ssml : ssml.build())
+    : text;
+
+  if (!input || typeof input !== 'string') {
+    throw new Error('Text is required and must be a string');
+  }
+
+  const entries = await resolveLexicon({ lexicon, agentId, signal });
+  if (entries.length) {
+    input = applyLexicon(input, entries, { allowSsml: await voiceSupportsSsml(voiceId) });
+  }
+
+  if (!isSsml(input)) {
+    return { text: input };
+  }
+
+  assertValidSsml(input);
+
+  if (await voiceSupportsSsml(voiceId)) {
+    return { text: input, text_type: 'ssml' };
+  }
+
+  console.warn(`Voice ${voiceId} does not support SSML, sending plain text`);
+  return { text: ssmlToPlainText(input) };
+};
 
 /**
  * Convert text to speech using Play.ai API
+ * 
+ * The text is sent in a single request; use textToSpeechLongForm for text
+ * longer than MAX_TTS_CHARACTERS.
+ * 
  * @param {Object} options - Text-to-speech options
- * @param {string} options.text - The text to convert to speech
+ * @param {string} options.text - The text to convert to speech; text wrapped in <speak> is treated as SSML
+ * @param {string|Object} options.ssml - SSML document or builder from playAiSsml, used instead of text
  * @param {string} options.voiceId - The voice ID to use (default: 'en-US-Neural2-F')
  * @param {number} options.speed - Speech speed factor (0.5 to 2.0, default: 1.0)
  * @param {number} options.pitch - Speech pitch factor (0.5 to 2.0, default: 1.0)
  * @param {string} options.format - Audio format ('mp3' or 'wav', default: 'mp3')
- * @returns {Promise<Object>} Promise resolving to response with audio URL
+ * @param {Array<Object>} options.lexicon - Pronunciation lexicon entries to apply
+ * @param {string} options.agentId - Agent whose pronunciation lexicon to apply when no lexicon is given
+ * @param {boolean} options.includeTimestamps - Request word timestamps for captions (default: false)
+ * @param {string} options.timestampGranularity - 'word' or 'phoneme' to also time each phoneme (default: 'word')
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<Object>} Promise resolving to response with audio URL; with includeTimestamps, also
+ *   wordTimestamps as normalized by playAiWordTiming
+ * @throws {SsmlValidationError} If the SSML is invalid
  * @throws {Error} If the request fails
  */
 export const textToSpeech = async ({
   text,
+  ssml,
   voiceId = 'en-US-Neural2-F',
   speed = 1.0,
   pitch = 1.0,
-  format = 'mp3'
+  format = 'mp3',
+  lexicon,
+  agentId,
+  includeTimestamps = false,
+  timestampGranularity = 'word',
+  signal,
+  timeoutMs
 }) => {
-  if (!text || typeof text !== 'string') {
-    throw new Error('Text is required and must be a string');
-  }
+  const input = await resolveSpeechInput({ text, ssml, voiceId, lexicon, agentId, signal });
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/tts/synthesize`, {
+    const response = await playAiRequest('/tts/synthesize', {
       method: 'POST',
       headers: playAiAuth.getAuthHeaders(),
       body: JSON.stringify({
-        text,
+        ...input,
         voice_id: voiceId,
         speed_factor: speed,
         pitch_factor: pitch,
-        output_format: format
-      })
+        output_format: format,
+        ...(includeTimestamps && { include_timestamps: true, timestamp_granularity: timestampGranularity })
+      }),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to convert text to speech'
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to convert text to speech');
+    if (!includeTimestamps) return response;
+    return { ...response, wordTimestamps: normalizeWordTimestamps(response.word_timestamps) };
+  } catch (error) {
+    console.error('Error in text-to-speech conversion:', error);
+    throw error;
+  }
+};
+
+// Run an async function over items with at most `limit` calls in flight, keeping result order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    // Stop picking up new items once one has failed
+    while (nextIndex < items.length && !failed) {
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
     }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Convert long text to speech as a single audio file
+ * 
+ * The text is split on paragraph and sentence boundaries into chunks within
+ * the request limit, the chunks are synthesized with bounded concurrency and
+ * the results are stitched into one WAV file. Runs in the browser only.
+ * SSML is not supported, since chunk boundaries would split its elements.
+ * 
+ * @param {Object} options - Text-to-speech options
+ * @param {string} options.text - The text to convert to speech
+ * @param {string} options.voiceId - The voice ID to use (default: 'en-US-Neural2-F')
+ * @param {number} options.speed - Speech speed factor (0.5 to 2.0, default: 1.0)
+ * @param {number} options.pitch - Speech pitch factor (0.5 to 2.0, default: 1.0)
+ * @param {string} options.format - Audio format requested per chunk ('mp3' or 'wav', default: 'mp3')
+ * @param {Array<Object>} options.lexicon - Pronunciation lexicon entries, applied to each chunk
+ * @param {string} options.agentId - Agent whose pronunciation lexicon to apply when no lexicon is given
+ * @param {number} options.maxChars - Maximum characters per chunk (default: MAX_TTS_CHARACTERS)
+ * @param {number} options.concurrency - Maximum chunks synthesized at once (default: 3)
+ * @param {number} options.gapMs - Silence inserted between chunks in ms (default: 0)
+ * @param {Function} options.onProgress - Callback with { completed, total } after each chunk
+ * @param {AbortSignal} options.signal - Signal to cancel the synthesis
+ * @param {number} options.timeoutMs - Timeout per request in ms (default: from the client configuration)
+ * @returns {Promise<Object>} Promise resolving to { audioBlob, audioUrl, duration, sampleRate, chunks },
+ *   where each chunk has index, text, charOffset, sourceUrl, startTime and duration
+ * @throws {Error} If any chunk fails after retries
+ */
+export const textToSpeechLongForm = async ({
+  text,
+  voiceId = 'en-US-Neural2-F',
+  speed = 1.0,
+  pitch = 1.0,
+  format = 'mp3',
+  lexicon,
+  agentId,
+  maxChars = MAX_TTS_CHARACTERS,
+  concurrency = 3,
+  gapMs = 0,
+  onProgress,
+  signal,
+  timeoutMs
+}) => {
+  if (isSsml(text)) {
+    throw new Error('Long-form text-to-speech does not support SSML');
+  }
+
+  const chunks = splitTextForSpeech(text, { maxChars });
+  const entries = await resolveLexicon({ lexicon, agentId, signal });
+  let completed = 0;
+
+  try {
+    const synthesized = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+      const result = await retryWithBackoff(
+        () => textToSpeech({ text: chunk.text, voiceId, speed, pitch, format, lexicon: entries, signal, timeoutMs })
+      );
+      const audioBuffer = await fetchAudioBuffer(result.audio_url, { signal });
+
+      completed += 1;
+      if (onProgress) onProgress({ completed, total: chunks.length });
+
+      return { sourceUrl: result.audio_url, audioBuffer };
+    });
+
+    const { audioBuffer, offsets } = concatAudioBuffers(
+      synthesized.map(chunk => chunk.audioBuffer),
+      { gapSeconds: gapMs / 1000 }
+    );
+    const audioBlob = encodeWav(audioBuffer);
 
-    return await response.json();
+    return {
+      audioBlob,
+      audioUrl: URL.createObjectURL(audioBlob),
+      duration: audioBuffer.duration,
+      sampleRate: audioBuffer.sampleRate,
+      chunks: chunks.map((chunk, index) => ({
+        ...chunk,
+        sourceUrl: synthesized[index].sourceUrl,
+        startTime: offsets[index],
+        duration: synthesized[index].audioBuffer.duration
+      }))
+    };
   } catch (error) {
-    console.error('Error in text-to-speech conversion:', error);
+    console.error('Error in long-form text-to-speech conversion:', error);
     throw error;
   }
 };
 
 /**
  * Get available voices from Play.ai API
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Array>} Promise resolving to array of available voices
  * @throws {Error} If the request fails
  */
-export const getAvailableVoices = async () => {
+export const getAvailableVoices = async ({ signal, timeoutMs } = {}) => {
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/tts/voices`, {
+    return await playAiRequest('/tts/voices', {
       method: 'GET',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get available voices'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to get available voices');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error getting available voices:', error);
     throw error;
   }
 };
 
+// Decode base64 audio from a timestamped stream
+const decodeBase64 = (value) => {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Accept headers for streamed audio formats
+const STREAM_CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/webm',
+  aac: 'audio/aac',
+  pcm: 'audio/pcm',
+  wav: 'audio/wav'
+};
+
 /**
  * Stream text-to-speech audio for real-time playback
+ * 
+ * Chunks are raw bytes of the encoded stream in arrival order; they may end
+ * mid-frame, so play them with createStreamingPlayer from playAiStreamingPlayer
+ * rather than decoding them one by one.
+ * 
+ * With includeTimestamps the server answers with newline-delimited JSON
+ * instead of raw audio: each line carries base64 audio, word timestamps for
+ * the audio sent so far, or both. The audio is passed on as bytes just the same.
+ * 
  * @param {Object} options - Text-to-speech options
- * @param {string} options.text - The text to convert to speech
+ * @param {string} options.text - The text to convert to speech; text wrapped in <speak> is treated as SSML
+ * @param {string|Object} options.ssml - SSML document or builder from playAiSsml, used instead of text
  * @param {string} options.voiceId - The voice ID to use
  * @param {number} options.speed - Speech speed factor
  * @param {number} options.pitch - Speech pitch factor
- * @param {Function} options.onAudioChunk - Callback for each audio chunk
+ * @param {string} options.format - Stream format ('mp3', 'opus', 'aac', 'pcm' or 'wav', default: 'mp3')
+ * @param {Array<Object>} options.lexicon - Pronunciation lexicon entries to apply
+ * @param {string} options.agentId - Agent whose pronunciation lexicon to apply when no lexicon is given
+ * @param {boolean} options.includeTimestamps - Request word timestamps for captions (default: false)
+ * @param {string} options.timestampGranularity - 'word' or 'phoneme' to also time each phoneme (default: 'word')
+ * @param {Function} options.onAudioChunk - Callback for each chunk of audio bytes (Uint8Array)
+ * @param {Function} options.onTimestamps - Callback with each batch of words, normalized by playAiWordTiming
  * @param {Function} options.onComplete - Callback when streaming is complete
  * @param {Function} options.onError - Callback for errors
- * @returns {Promise<void>} Promise that resolves when streaming is complete
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<Object>} Promise resolving to { wordTimestamps } (empty without includeTimestamps)
+ *   when streaming is complete
  */
 export const streamTextToSpeech = async ({
   text,
+  ssml,
   voiceId = 'en-US-Neural2-F',
   speed = 1.0,
   pitch = 1.0,
+  format = 'mp3',
+  lexicon,
+  agentId,
+  includeTimestamps = false,
+  timestampGranularity = 'word',
   onAudioChunk,
+  onTimestamps,
   onComplete,
-  onError
+  onError,
+  signal,
+  timeoutMs
 }) => {
-  if (!text || typeof text !== 'string') {
-    const error = new Error('Text is required and must be a string');
+  let input;
+
+  try {
+    input = await resolveSpeechInput({ text, ssml, voiceId, lexicon, agentId, signal });
+  } catch (error) {
     if (onError) onError(error);
     throw error;
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/tts/stream`, {
+    const response = await playAiRequest('/tts/stream', {
       method: 'POST',
       headers: {
         ...playAiAuth.getAuthHeaders(),
-        'Accept': 'audio/mpeg'
+        'Accept': includeTimestamps ? 'application/x-ndjson' : STREAM_CONTENT_TYPES[format] || 'audio/mpeg'
       },
       body: JSON.stringify({
-        text,
+        ...input,
         voice_id: voiceId,
         speed_factor: speed,
-        pitch_factor: pitch
-      })
+        pitch_factor: pitch,
+        output_format: format,
+        ...(includeTimestamps && { include_timestamps: true, timestamp_granularity: timestampGranularity })
+      }),
+      responseType: 'response',
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to stream text to speech'
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      const error = new Error(errorText || 'Failed to stream text to speech');
-      if (onError) onError(error);
-      throw error;
-    }
+    const wordTimestamps = [];
+    const handleAudio = (bytes) => {
+      if (bytes && bytes.length > 0 && onAudioChunk) {
+        onAudioChunk(bytes);
+      }
+    };
+    const handleMessage = (line) => {
+      if (!line.trim()) return;
+      const message = JSON.parse(line);
+      if (message.audio) handleAudio(decodeBase64(message.audio));
+      if (message.word_timestamps?.length) {
+        const words = normalizeWordTimestamps(message.word_timestamps);
+        wordTimestamps.push(...words);
+        if (onTimestamps) onTimestamps(words);
+      }
+    };
 
     // Handle streaming response
     const reader = response.body.getReader();
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    // Servers without timestamp support answer with plain audio
+    const isJsonStream = (response.headers.get('content-type') || '').includes('ndjson');
+    const decoder = new TextDecoder();
+    let partialLine = '';
     
-    // Process the stream
+    // Pass the bytes on in order; decoding happens in the player
     while (true) {
       const { done, value } = await reader.read();
       
       if (done) break;
       
-      // Process audio chunk
-      if (value && value.length > 0) {
-        // Decode audio data
-        const audioBuffer = await audioContext.decodeAudioData(value.buffer);
-        
-        // Call callback with audio chunk
-        if (onAudioChunk) onAudioChunk(audioBuffer);
+      if (!isJsonStream) {
+        handleAudio(value);
+        continue;
       }
+
+      // JSON lines can be split across network chunks
+      const lines = (partialLine + decoder.decode(value, { stream: true })).split('\n');
+      partialLine = lines.pop();
+      lines.forEach(handleMessage);
     }
+
+    if (isJsonStream) handleMessage(partialLine + decoder.decode());
     
     // Streaming complete
     if (onComplete) onComplete();
+
+    return { wordTimestamps };
     
   } catch (error) {
     console.error('Error streaming text to speech:', error);
@@ -158,16 +468,56 @@ export const streamTextToSpeech = async ({
   }
 };
 
+/**
+ * Check that an audio sample can be used for voice cloning
+ * @param {Blob|File} file - Recorded or uploaded audio sample
+ * @param {Object} options - Validation options
+ * @param {number} options.minSeconds - Minimum sample length in seconds (default: 30)
+ * @returns {Promise<Object>} Promise resolving to { valid, errors, duration }
+ */
+export const validateVoiceCloneSample = async (file, { minSeconds = VOICE_CLONE_MIN_SECONDS } = {}) => {
+  if (!file) {
+    return { valid: false, errors: ['An audio sample is required'], duration: 0 };
+  }
+
+  // MediaRecorder types carry codec parameters, e.g. audio/webm;codecs=opus
+  const type = (file.type || '').split(';')[0].trim().toLowerCase();
+  if (!VOICE_CLONE_AUDIO_TYPES.includes(type)) {
+    return {
+      valid: false,
+      errors: [`Unsupported audio format${type ? ` (${type})` : ''}. Use WAV, MP3, M4A, OGG, WebM or FLAC.`],
+      duration: 0
+    };
+  }
+
+  let duration;
+  try {
+    // Recorded WebM files often report no duration, so decode to measure it
+    duration = (await decodeAudio(await file.arrayBuffer())).duration;
+  } catch (error) {
+    return { valid: false, errors: ['The audio sample could not be read'], duration: 0 };
+  }
+
+  const errors = duration < minSeconds
+    ? [`The sample is ${Math.floor(duration)} seconds long; at least ${minSeconds} seconds are required`]
+    : [];
+
+  return { valid: !errors.length, errors, duration };
+};
+
 /**
  * Create a custom voice clone using Play.ai API
  * @param {Object} options - Voice cloning options
  * @param {string} options.name - Name for the custom voice
  * @param {File} options.audioFile - Audio file for voice cloning (min 30 seconds)
  * @param {string} options.description - Optional description of the voice
+ * @param {Object} options.consent - Speaker consent: { speakerName, statement, acceptedAt }
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to voice clone information
  * @throws {Error} If the request fails
  */
-export const createVoiceClone = async ({ name, audioFile, description = '' }) => {
+export const createVoiceClone = async ({ name, audioFile, description = '', consent, signal, timeoutMs }) => {
   if (!name || !audioFile) {
     throw new Error('Name and audio file are required for voice cloning');
   }
@@ -178,30 +528,116 @@ export const createVoiceClone = async ({ name, audioFile, description = '' }) =>
     formData.append('audio_file', audioFile);
     formData.append('description', description);
 
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/tts/voice-clone`, {
+    if (consent) {
+      formData.append('consent_speaker_name', consent.speakerName);
+      formData.append('consent_statement', consent.statement);
+      formData.append('consent_accepted_at', consent.acceptedAt || new Date().toISOString());
+    }
+
+    return await playAiRequest('/tts/voice-clone', {
       method: 'POST',
-      headers: {
-        'X-User-ID': playAiAuth.PLAY_AI_USER_ID,
-        'X-API-Key': playAiAuth.PLAY_AI_API_KEY
-      },
-      body: formData
+      headers: playAiAuth.getUploadHeaders(),
+      body: formData,
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to create voice clone'
     });
+  } catch (error) {
+    console.error('Error creating voice clone:', error);
+    throw error;
+  }
+};
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to create voice clone');
-    }
+/**
+ * Get the status of a voice clone
+ * @param {string} voiceId - ID of the cloned voice
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<Object>} Promise resolving to the clone with its status and progress
+ * @throws {Error} If the request fails
+ */
+export const getVoiceCloneStatus = async (voiceId, { signal, timeoutMs } = {}) => {
+  if (!voiceId) {
+    throw new Error('Voice ID is required');
+  }
 
-    return await response.json();
+  try {
+    return await playAiRequest(`/tts/voice-clone/${voiceId}`, {
+      method: 'GET',
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get voice clone status'
+    });
   } catch (error) {
-    console.error('Error creating voice clone:', error);
+    console.error('Error getting voice clone status:', error);
     throw error;
   }
 };
 
+/**
+ * Poll a voice clone until it is ready
+ * @param {string} voiceId - ID of the cloned voice
+ * @param {Object} options - Polling options
+ * @param {number} options.intervalMs - Delay between status checks (default: 3000)
+ * @param {number} options.maxWaitMs - Give up after this long (default: 10 minutes)
+ * @param {Function} options.onProgress - Called with each status response
+ * @param {AbortSignal} options.signal - Signal to stop polling
+ * @returns {Promise<Object>} Promise resolving to the ready clone
+ * @throws {Error} If cloning fails, takes too long or is aborted
+ */
+export const waitForVoiceClone = async (voiceId, {
+  intervalMs = 3000,
+  maxWaitMs = 10 * 60 * 1000,
+  onProgress,
+  signal
+} = {}) => {
+  const startedAt = Date.now();
+
+  while (true) {
+    const clone = await getVoiceCloneStatus(voiceId, { signal });
+    if (onProgress) onProgress(clone);
+
+    if (clone.status === 'ready') {
+      // The new voice is missing from any cached voice list
+      voiceListCache.clear();
+      return clone;
+    }
+
+    if (clone.status === 'failed') {
+      const error = new Error(clone.error || 'Voice cloning failed');
+      error.clone = clone;
+      throw error;
+    }
+
+    if (Date.now() - startedAt + intervalMs > maxWaitMs) {
+      throw new Error('Timed out waiting for the voice clone to finish');
+    }
+
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, intervalMs);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+};
+
 export default {
   textToSpeech,
+  textToSpeechLongForm,
+  voiceSupportsSsml,
+  resolveLexicon,
   getAvailableVoices,
   streamTextToSpeech,
-  createVoiceClone
+  createVoiceClone,
+  validateVoiceCloneSample,
+  getVoiceCloneStatus,
+  waitForVoiceClone
 };
@@ -0,0 +1,288 @@
+/**
+ * Play.ai Request Tracing
+ *
+ * This module lets the app observe every Play.ai REST request through
+ * interceptors. Each request emits structured trace events (endpoint, status,
+ * duration, request ID and payload sizes) that can be shipped to a log
+ * collector. Secrets are redacted before interceptors see them: the X-API-Key
+ * header, `api_key` and token query parameters and credential fields in JSON
+ * bodies are masked, and audio payloads are replaced by a size summary.
+ *
+ * Example:
+ *   addPlayAiInterceptor({
+ *     onResponse: (event) => logCollector.send(event),
+ *     onError: (event) => logCollector.send(event)
+ *   });
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Headers whose values are never passed to interceptors
+const SENSITIVE_HEADERS = ['x-api-key', 'authorization', 'cookie', 'set-cookie'];
+
+// Query parameters whose values are never passed to interceptors
+const SENSITIVE_QUERY_PARAMS = ['api_key', 'apikey', 'key', 'token', 'access_token'];
+
+// JSON body fields holding secrets or audio data
+const SENSITIVE_FIELD_PATTERN = /^(api_?key|(access_|refresh_|session_)?token|(client_)?secret|password)$/i;
+const AUDIO_FIELD_PATTERN = /^(audio|audio_data|audio_base64|audio_content|audio_file|sample|samples)$/i;
+
+const interceptors = new Set();
+let traceCounter = 0;
+
+const createTraceId = () => {
+  traceCounter += 1;
+  return `trace_${Date.now().toString(36)}_${traceCounter}`;
+};
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Redact secret headers
+ * @param {Object|Headers} headers - Request or response headers
+ * @returns {Object} Plain headers object with secret values replaced
+ */
+export const redactHeaders = (headers = {}) => {
+  const entries = typeof headers.entries === 'function' && !Array.isArray(headers)
+    ? Array.from(headers.entries())
+    : Object.entries(headers);
+
+  return entries.reduce((redacted, [name, value]) => {
+    redacted[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+    return redacted;
+  }, {});
+};
+
+/**
+ * Redact secret query parameters from a URL
+ * @param {string} url - Absolute or relative URL
+ * @returns {string} URL with secret query parameter values replaced
+ */
+export const redactUrl = (url = '') => {
+  const queryIndex = url.indexOf('?');
+  if (queryIndex < 0) return url;
+
+  const params = new URLSearchParams(url.slice(queryIndex + 1));
+  Array.from(params.keys()).forEach((key) => {
+    if (SENSITIVE_QUERY_PARAMS.includes(key.toLowerCase())) {
+      params.set(key, REDACTED);
+    }
+  });
+
+  // Keep the placeholder readable instead of percent-encoded
+  return `${url.slice(0, queryIndex)}?${params.toString().split(encodeURIComponent(REDACTED)).join(REDACTED)}`;
+};
+
+/**
+ * Get the size of a request or response payload in bytes
+ * @param {any} payload - String, Blob, ArrayBuffer, typed array or FormData
+ * @returns {number|null} Size in bytes, or null if it cannot be determined
+ */
+export const getPayloadSize = (payload) => {
+  if (payload === undefined || payload === null) return 0;
+  if (typeof payload === 'string') return new TextEncoder().encode(payload).length;
+  if (typeof Blob !== 'undefined' && payload instanceof Blob) return payload.size;
+  if (payload instanceof ArrayBuffer || ArrayBuffer.isView(payload)) return payload.byteLength;
+
+  if (typeof FormData !== 'undefined' && payload instanceof FormData) {
+    let size = 0;
+    payload.forEach((value) => {
+      size += getPayloadSize(value) || 0;
+    });
+    return size;
+  }
+
+  return null;
+};
+
+// Describe binary data without its contents
+const describeBinary = (value) => {
+  const type = value?.type ? `${value.type}, ` : '';
+  return `[audio payload, ${type}${getPayloadSize(value)} bytes]`;
+};
+
+const isBinary = (value) => (
+  (typeof Blob !== 'undefined' && value instanceof Blob)
+  || value instanceof ArrayBuffer
+  || ArrayBuffer.isView(value)
+);
+
+// Mask secret and audio fields in parsed JSON
+const redactJson = (value, key = '') => {
+  if (SENSITIVE_FIELD_PATTERN.test(key)) return REDACTED;
+
+  if (AUDIO_FIELD_PATTERN.test(key) && value) {
+    return typeof value === 'string' && /^https?:\/\//.test(value)
+      ? value
+      : `[audio payload, ${typeof value === 'string' ? value.length : getPayloadSize(value)} bytes]`;
+  }
+
+  if (Array.isArray(value)) return value.map(item => redactJson(item));
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value).reduce((redacted, [field, fieldValue]) => {
+      redacted[field] = redactJson(fieldValue, field);
+      return redacted;
+    }, {});
+  }
+
+  return value;
+};
+
+/**
+ * Redact a request body for tracing
+ * @param {any} body - Request body (JSON string, FormData, Blob or binary data)
+ * @param {string} contentType - Content-Type of the body, used for binary JSON bodies
+ * @returns {any} Redacted copy of the body, or a size summary for audio payloads
+ */
+export const redactBody = (body, contentType = '') => {
+  if (body === undefined || body === null) return null;
+
+  if (isBinary(body)) {
+    // The proxy forwards JSON bodies as raw bytes
+    if (contentType.includes('application/json') && ArrayBuffer.isView(body)) {
+      return redactBody(new TextDecoder().decode(body));
+    }
+    return describeBinary(body);
+  }
+
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    const fields = {};
+    body.forEach((value, field) => {
+      fields[field] = isBinary(value) ? describeBinary(value) : redactJson(value, field);
+    });
+    return fields;
+  }
+
+  if (typeof body === 'string') {
+    try {
+      return redactJson(JSON.parse(body));
+    } catch (error) {
+      return `[${getPayloadSize(body)} bytes]`;
+    }
+  }
+
+  return `[${getPayloadSize(body) ?? 'unknown'} bytes]`;
+};
+
+/**
+ * Register request/response interceptors
+ * @param {Object} interceptor - Interceptor callbacks, each receiving a redacted trace event
+ * @param {Function} interceptor.onRequest - Called before a request is sent
+ * @param {Function} interceptor.onResponse - Called when a response arrives, including error statuses
+ * @param {Function} interceptor.onError - Called when a request fails, times out or returns an error status
+ * @returns {Function} Function to remove the interceptor
+ */
+export const addPlayAiInterceptor = (interceptor) => {
+  interceptors.add(interceptor);
+  return () => {
+    interceptors.delete(interceptor);
+  };
+};
+
+/**
+ * Remove all interceptors
+ * @returns {void}
+ */
+export const clearPlayAiInterceptors = () => {
+  interceptors.clear();
+};
+
+// Call one hook on every interceptor; a failing interceptor never breaks a request
+const emit = (hook, event) => {
+  interceptors.forEach((interceptor) => {
+    if (typeof interceptor[hook] !== 'function') return;
+    try {
+      interceptor[hook](event);
+    } catch (error) {
+      console.error(`Error in Play.ai ${hook} interceptor:`, error);
+    }
+  });
+};
+
+const NOOP_TRACE = {
+  traceId: null,
+  response: () => {},
+  error: () => {}
+};
+
+/**
+ * Start tracing a request
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.endpoint - Play.ai endpoint path (e.g. '/agents')
+ * @param {string} request.url - Full request URL
+ * @param {Object} request.headers - Request headers
+ * @param {any} request.body - Request body
+ * @param {string} request.source - Where the request was made ('client' or 'proxy')
+ * @returns {Object} Trace with response(response, { responseSize }) and error(error) methods
+ */
+export const startTrace = ({ method = 'GET', endpoint, url, headers = {}, body, source = 'client' }) => {
+  if (!interceptors.size) return NOOP_TRACE;
+
+  const traceId = createTraceId();
+  const startedAt = now();
+  const contentType = headers['Content-Type'] || headers['content-type'] || '';
+  const base = {
+    traceId,
+    source,
+    method,
+    endpoint: endpoint ? redactUrl(endpoint) : endpoint,
+    url: redactUrl(url)
+  };
+
+  emit('onRequest', {
+    ...base,
+    type: 'request',
+    timestamp: new Date().toISOString(),
+    headers: redactHeaders(headers),
+    body: redactBody(body, contentType),
+    requestSize: getPayloadSize(body)
+  });
+
+  const elapsed = () => Math.round(now() - startedAt);
+
+  return {
+    traceId,
+
+    response: (response, { responseSize } = {}) => {
+      const contentLength = response.headers.get('content-length');
+
+      emit('onResponse', {
+        ...base,
+        type: 'response',
+        timestamp: new Date().toISOString(),
+        status: response.status,
+        ok: response.ok,
+        durationMs: elapsed(),
+        requestId: response.headers.get('x-request-id'),
+        contentType: response.headers.get('content-type'),
+        responseSize: responseSize ?? (contentLength !== null ? Number(contentLength) : null)
+      });
+    },
+
+    error: (error) => {
+      emit('onError', {
+        ...base,
+        type: 'error',
+        timestamp: new Date().toISOString(),
+        status: error.status ?? null,
+        code: error.code ?? null,
+        message: redactUrl(error.message || ''),
+        aborted: error.name === 'AbortError',
+        durationMs: elapsed(),
+        requestId: error.requestId ?? null
+      });
+    }
+  };
+};
+
+export default {
+  addPlayAiInterceptor,
+  clearPlayAiInterceptors,
+  startTrace,
+  redactHeaders,
+  redactUrl,
+  redactBody,
+  getPayloadSize
+};
@@ -0,0 +1,132 @@
+/**
+ * Play.ai Transcript Assembler
+ *
+ * Streaming speech-to-text sends a series of interim hypotheses for each
+ * utterance, each one replacing the last, followed by a final result. This
+ * module folds those results into a transcript of segments with stable IDs:
+ * interim text replaces the open segment's text in place and a final result
+ * commits the segment, so the next result starts a new one.
+ *
+ * The assembler is an observable store. Its snapshot only changes when the
+ * transcript does, so it can be read from React with useTranscript or
+ * useSyncExternalStore.
+ */
+
+const EMPTY_SNAPSHOT = {
+  segments: [],
+  text: '',
+  finalText: '',
+  interimText: ''
+};
+
+const joinText = segments => segments.map(segment => segment.text).filter(Boolean).join(' ');
+
+/**
+ * Create a transcript assembler
+ * @param {Object} options - Assembler options
+ * @param {Function} options.now - Clock in ms, for segment timing (default: Date.now)
+ * @returns {Object} Store with handleResult, getSnapshot, subscribe and reset
+ */
+export const createTranscriptAssembler = ({ now = Date.now } = {}) => {
+  let snapshot = EMPTY_SNAPSHOT;
+  let startedAt = null;
+  let nextId = 1;
+  const listeners = new Set();
+
+  const publish = (segments) => {
+    const finals = segments.filter(segment => segment.isFinal);
+    const interim = segments.find(segment => !segment.isFinal);
+
+    snapshot = {
+      segments,
+      text: joinText(segments),
+      finalText: joinText(finals),
+      interimText: interim ? interim.text : ''
+    };
+    listeners.forEach(listener => listener(snapshot));
+  };
+
+  /**
+   * Add a speech-to-text result
+   *
+   * Segment times are in ms from the first result, or from the given
+   * startMs and endMs when the server reports them.
+   *
+   * @param {Object} result - Result as passed to streamSpeechToText's onTranscript
+   * @param {string} result.text - Hypothesis for the current utterance so far
+   * @param {boolean} result.isFinal - Whether the utterance is complete
+   * @param {number} result.confidence - Confidence from 0 to 1
+   * @param {number} result.startMs - Start of the utterance in the audio, in ms, if known
+   * @param {number} result.endMs - End of the utterance in the audio, in ms, if known
+   * @returns {Object|null} The updated segment, or null if the result was empty
+   */
+  const handleResult = ({ text = '', isFinal = false, confidence, startMs, endMs }) => {
+    const time = now();
+    if (startedAt === null) startedAt = time;
+    const elapsed = time - startedAt;
+
+    const segments = snapshot.segments;
+    const open = segments.length && !segments[segments.length - 1].isFinal ? segments[segments.length - 1] : null;
+    const trimmed = text.trim();
+
+    if (!trimmed) {
+      // An empty final withdraws the utterance
+      if (open && isFinal) publish(segments.slice(0, -1));
+      return null;
+    }
+
+    const segment = {
+      id: open ? open.id : `segment-${nextId++}`,
+      text: trimmed,
+      isFinal: Boolean(isFinal),
+      confidence: typeof confidence === 'number' ? confidence : null,
+      startMs: startMs ?? (open ? open.startMs : elapsed),
+      endMs: endMs ?? elapsed,
+      revision: open ? open.revision + 1 : 0
+    };
+
+    publish(open ? [...segments.slice(0, -1), segment] : [...segments, segment]);
+    return segment;
+  };
+
+  /**
+   * Get the current transcript
+   * @returns {Object} { segments, text, finalText, interimText }; the same object until the transcript changes
+   */
+  const getSnapshot = () => snapshot;
+
+  /**
+   * Subscribe to transcript changes
+   * @param {Function} listener - Called with the new snapshot
+   * @returns {Function} Function that unsubscribes
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  /**
+   * Clear the transcript and restart segment timing
+   * @returns {void}
+   */
+  const reset = () => {
+    startedAt = null;
+    if (snapshot !== EMPTY_SNAPSHOT) {
+      snapshot = EMPTY_SNAPSHOT;
+      listeners.forEach(listener => listener(snapshot));
+    }
+  };
+
+  return {
+    handleResult,
+    getSnapshot,
+    subscribe,
+    reset
+  };
+};
+
+export default {
+  createTranscriptAssembler
+};
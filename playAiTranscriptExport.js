@@ -0,0 +1,432 @@
+/**
+ * Play.ai Transcript Export
+ *
+ * This module turns transcripts into files: SRT and WebVTT captions, plain
+ * text with speaker labels, and JSON. It accepts the transcripts the app
+ * already has — results from audioToText and transcribeAudioUrl, snapshots
+ * from the transcript assembler, and conversation messages — and first
+ * normalizes them to one schema, with times in seconds from the start of
+ * the audio:
+ *
+ *   {
+ *     version: 1,
+ *     language: 'en-US',
+ *     duration: 12.4,
+ *     text: 'Hello there. How can I help?',
+ *     segments: [{ id, speaker, start, end, text, confidence, words: [{ word, start, end }] }]
+ *   }
+ *
+ * Captions need times; segments without them (e.g. messages with no
+ * timestamps) can still be exported as text and JSON.
+ */
+
+import { normalizeWordTimestamps } from './playAiWordTiming';
+import { downloadBlob } from './playAiAudioExport';
+
+export const TRANSCRIPT_SCHEMA_VERSION = 1;
+
+export const TRANSCRIPT_EXPORT_FORMATS = {
+  srt: { label: 'SRT captions', extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'WebVTT captions', extension: 'vtt', mimeType: 'text/vtt' },
+  txt: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+// Common broadcast caption limits
+export const DEFAULT_CAPTION_OPTIONS = {
+  maxLineLength: 42,
+  maxLines: 2,
+  minDuration: 1,
+  maxDuration: 7
+};
+
+// Speaking rate used to time messages that only have a start time
+const WORDS_PER_SECOND = 2.5;
+
+const SENTENCE_END = /[.!?…]["'”’)]*$/;
+
+const isTime = value => typeof value === 'number' && Number.isFinite(value);
+
+const toTime = (item, name) => {
+  if (isTime(item[`${name}Ms`])) return item[`${name}Ms`] / 1000;
+  if (isTime(item[`${name}_ms`])) return item[`${name}_ms`] / 1000;
+  return isTime(item[name]) ? item[name] : null;
+};
+
+const toEpochMs = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string') return Date.parse(value);
+  return value;
+};
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+const speakerLabel = (speaker, speakerLabels) => {
+  if (!speaker) return null;
+  return speakerLabels[speaker] || capitalize(String(speaker));
+};
+
+// Split timed words into sentences, one segment each
+const segmentsFromWords = (words) => {
+  const segments = [];
+  let current = [];
+
+  words.forEach((word, index) => {
+    current.push(word);
+    if (SENTENCE_END.test(word.word) || index === words.length - 1) {
+      segments.push(current);
+      current = [];
+    }
+  });
+
+  return segments.map(sentence => ({
+    start: sentence[0].start,
+    end: sentence[sentence.length - 1].end,
+    text: sentence.map(word => word.word).join(' '),
+    words: sentence
+  }));
+};
+
+// Time conversation messages from their timestamps, relative to the first one
+const segmentsFromMessages = (messages) => {
+  const times = messages.map(message => toEpochMs(message.timestamp));
+  const timed = times.every(isTime);
+
+  return messages.map((message, index) => {
+    const text = message.content || message.text || '';
+    if (!timed) return { speaker: message.role, start: null, end: null, text };
+
+    const start = (times[index] - times[0]) / 1000;
+    const spoken = Math.max(1, text.split(/\s+/).filter(Boolean).length / WORDS_PER_SECOND);
+    const next = index + 1 < times.length ? (times[index + 1] - times[0]) / 1000 : Infinity;
+    return { speaker: message.role, start, end: Math.max(start, Math.min(start + spoken, next)), text };
+  });
+};
+
+const normalizeSegment = (segment, index, speakerLabels) => {
+  const words = Array.isArray(segment.words) && segment.words.length
+    ? normalizeWordTimestamps(segment.words)
+    : null;
+  const start = toTime(segment, 'start') ?? (words ? words[0].start : null);
+  const end = toTime(segment, 'end') ?? (words ? words[words.length - 1].end : null);
+
+  return {
+    id: segment.id || `segment-${index + 1}`,
+    speaker: speakerLabel(segment.speaker, speakerLabels),
+    start,
+    end,
+    text: (segment.text || (words ? words.map(word => word.word).join(' ') : '')).trim(),
+    confidence: isTime(segment.confidence) ? segment.confidence : null,
+    ...(words && { words })
+  };
+};
+
+/**
+ * Normalize a transcript to the export schema
+ * @param {Object|Array<Object>} transcript - An audioToText or transcribeAudioUrl result, a transcript
+ *   assembler snapshot, conversation messages ({ role, content, timestamp }), or segments
+ * @param {Object} options - Normalize options
+ * @param {Object} options.speakerLabels - Display names by speaker or role, e.g. { user: 'Caller' }
+ *   (default: the capitalized role)
+ * @param {string} options.language - Language code, if the transcript does not give one
+ * @returns {Object} Transcript with version, language, duration, text and segments
+ * @throws {Error} If the transcript is not in a supported form
+ */
+export const normalizeTranscript = (transcript, { speakerLabels = {}, language = null } = {}) => {
+  if (!transcript) {
+    throw new Error('Transcript is required');
+  }
+
+  let segments;
+  if (Array.isArray(transcript)) {
+    segments = transcript.length && transcript.every(item => item && item.role)
+      ? segmentsFromMessages(transcript)
+      : transcript;
+  } else if (Array.isArray(transcript.segments)) {
+    segments = transcript.segments;
+  } else if (typeof transcript.text === 'string') {
+    const words = normalizeWordTimestamps(transcript.words || []);
+    segments = words.length
+      ? segmentsFromWords(words)
+      : [{ text: transcript.text, confidence: transcript.confidence }];
+  } else {
+    throw new Error('Unsupported transcript format');
+  }
+
+  const normalized = segments
+    .map((segment, index) => normalizeSegment(segment, index, speakerLabels))
+    .filter(segment => segment.text);
+  const ends = normalized.map(segment => segment.end).filter(isTime);
+
+  return {
+    version: TRANSCRIPT_SCHEMA_VERSION,
+    language: transcript.language || language,
+    duration: ends.length ? Math.max(...ends) : null,
+    text: normalized.map(segment => segment.text).join(' '),
+    segments: normalized
+  };
+};
+
+/**
+ * Check whether every segment of a normalized transcript has start and end times
+ * @param {Object} transcript - Normalized transcript
+ * @returns {boolean} True if the transcript can be exported as captions
+ */
+export const hasTranscriptTiming = transcript => transcript.segments.length > 0 &&
+  transcript.segments.every(segment => isTime(segment.start) && isTime(segment.end));
+
+/**
+ * Wrap text into lines no longer than a maximum, breaking between words
+ * @param {string} text - Text to wrap
+ * @param {number} maxLineLength - Maximum characters per line; longer words get a line of their own
+ * @returns {Array<string>} Lines
+ */
+export const wrapCaptionText = (text, maxLineLength) => text
+  .split(/\s+/)
+  .filter(Boolean)
+  .reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && last.length + 1 + word.length <= maxLineLength) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+
+// Give words to a segment that has none, sharing its time by word length
+const estimateWords = (segment) => {
+  const tokens = segment.text.split(/\s+/).filter(Boolean);
+  const totalLength = tokens.reduce((sum, token) => sum + token.length + 1, 0);
+  const span = segment.end - segment.start;
+  let time = segment.start;
+
+  return tokens.map((token) => {
+    const start = time;
+    time += (span * (token.length + 1)) / totalLength;
+    return { word: token, start, end: time };
+  });
+};
+
+/**
+ * Split a timed transcript into caption cues
+ *
+ * Cues break between words so each fits in maxLines lines of maxLineLength
+ * characters and lasts no longer than maxDuration. Short cues are held for
+ * minDuration where the next cue leaves room, and cues never overlap.
+ *
+ * @param {Object} transcript - Normalized transcript, with timing
+ * @param {Object} options - Caption rules, see DEFAULT_CAPTION_OPTIONS
+ * @param {number} options.maxLineLength - Characters per line (default: 42)
+ * @param {number} options.maxLines - Lines per cue (default: 2)
+ * @param {number} options.minDuration - Shortest time a cue stays up, in seconds (default: 1)
+ * @param {number} options.maxDuration - Longest time a cue stays up, in seconds (default: 7)
+ * @param {boolean} options.labelSpeakers - Whether to start each speaker's first cue with "Speaker: "
+ *   (default: false)
+ * @returns {Array<Object>} Cues with start, end, speaker and lines
+ * @throws {Error} If the transcript has no timing
+ */
+export const buildCaptionCues = (transcript, options = {}) => {
+  const { maxLineLength, maxLines, minDuration, maxDuration, labelSpeakers = false } = {
+    ...DEFAULT_CAPTION_OPTIONS,
+    ...options
+  };
+  if (!hasTranscriptTiming(transcript)) {
+    throw new Error('Captions need a transcript with start and end times');
+  }
+
+  const cues = [];
+  let previousSpeaker = null;
+
+  transcript.segments.forEach((segment) => {
+    const words = segment.words || estimateWords(segment);
+    // Only the first cue of a new speaker is labelled
+    let prefix = labelSpeakers && segment.speaker && segment.speaker !== previousSpeaker
+      ? `${segment.speaker}: `
+      : '';
+    previousSpeaker = segment.speaker;
+
+    let cueWords = [];
+    const flush = () => {
+      if (!cueWords.length) return;
+      const text = cueWords.map(word => word.word).join(' ');
+      cues.push({
+        start: cueWords[0].start,
+        end: cueWords[cueWords.length - 1].end,
+        speaker: segment.speaker,
+        lines: wrapCaptionText(`${prefix}${text}`, maxLineLength)
+      });
+      cueWords = [];
+      prefix = '';
+    };
+
+    words.forEach((word) => {
+      if (cueWords.length) {
+        const candidate = [...cueWords, word].map(item => item.word).join(' ');
+        const fits = wrapCaptionText(`${prefix}${candidate}`, maxLineLength).length <= maxLines;
+        if (!fits || word.end - cueWords[0].start > maxDuration) flush();
+      }
+      cueWords.push(word);
+    });
+    flush();
+  });
+
+  // Hold short cues up, without running into the next one
+  return cues.map((cue, index) => {
+    const next = cues[index + 1];
+    const latest = next ? next.start : Infinity;
+    const end = Math.min(Math.max(cue.end, cue.start + minDuration), latest);
+    return { ...cue, end: Math.max(end, cue.start) };
+  });
+};
+
+/**
+ * Format a time for captions
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Separator before the milliseconds: ',' for SRT, '.' for WebVTT
+ * @returns {string} Time as HH:MM:SS,mmm
+ */
+export const formatCaptionTime = (seconds, separator = ',') => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * Export a transcript as SRT captions
+ * @param {Object} transcript - Normalized transcript, with timing
+ * @param {Object} options - Caption rules, see buildCaptionCues; speakers are labelled unless
+ *   labelSpeakers is false
+ * @returns {string} SRT file contents
+ * @throws {Error} If the transcript has no timing
+ */
+export const toSrt = (transcript, options = {}) => buildCaptionCues(transcript, { labelSpeakers: true, ...options })
+  .map((cue, index) => [
+    index + 1,
+    `${formatCaptionTime(cue.start)} --> ${formatCaptionTime(cue.end)}`,
+    ...cue.lines
+  ].join('\n'))
+  .join('\n\n')
+  .concat('\n');
+
+const escapeVtt = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Export a transcript as WebVTT captions
+ *
+ * Speakers are marked with voice tags (<v Agent>), which players can style
+ * or show, rather than in the caption text.
+ *
+ * @param {Object} transcript - Normalized transcript, with timing
+ * @param {Object} options - Caption rules, see buildCaptionCues
+ * @returns {string} WebVTT file contents
+ * @throws {Error} If the transcript has no timing
+ */
+export const toWebVtt = (transcript, options = {}) => {
+  const cues = buildCaptionCues(transcript, { ...options, labelSpeakers: false }).map((cue) => {
+    const text = cue.lines.map(escapeVtt).join('\n');
+    return [
+      `${formatCaptionTime(cue.start, '.')} --> ${formatCaptionTime(cue.end, '.')}`,
+      cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${text}` : text
+    ].join('\n');
+  });
+
+  return ['WEBVTT', ...cues].join('\n\n').concat('\n');
+};
+
+/**
+ * Export a transcript as plain text, one line per segment
+ * @param {Object} transcript - Normalized transcript
+ * @param {Object} options - Text options
+ * @param {boolean} options.includeTimestamps - Whether to start timed lines with [HH:MM:SS] (default: true)
+ * @returns {string} Text file contents
+ */
+export const toPlainText = (transcript, { includeTimestamps = true } = {}) => transcript.segments
+  .map((segment) => {
+    const time = includeTimestamps && isTime(segment.start)
+      ? `[${formatCaptionTime(segment.start).slice(0, 8)}] `
+      : '';
+    const speaker = segment.speaker ? `${segment.speaker}: ` : '';
+    return `${time}${speaker}${segment.text}`;
+  })
+  .join('\n')
+  .concat('\n');
+
+/**
+ * Export a transcript as JSON in the normalized schema
+ * @param {Object} transcript - Normalized transcript
+ * @returns {string} JSON file contents
+ */
+export const toJson = transcript => `${JSON.stringify(transcript, null, 2)}\n`;
+
+const EXPORTERS = {
+  srt: toSrt,
+  vtt: toWebVtt,
+  txt: toPlainText,
+  json: toJson
+};
+
+/**
+ * Export a transcript in one of TRANSCRIPT_EXPORT_FORMATS
+ * @param {Object|Array<Object>} transcript - Transcript in any form normalizeTranscript accepts
+ * @param {string} format - 'srt', 'vtt', 'txt' or 'json'
+ * @param {Object} options - Options for normalizeTranscript and the exporter
+ * @returns {Object} { content, blob, extension, mimeType }
+ * @throws {Error} If the format is not supported or captions are asked for without timing
+ */
+export const exportTranscript = (transcript, format, { speakerLabels, language, ...options } = {}) => {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported transcript format: ${format}`);
+  }
+
+  try {
+    const normalized = normalizeTranscript(transcript, { speakerLabels, language });
+    const content = exporter(normalized, options);
+    const { extension, mimeType } = TRANSCRIPT_EXPORT_FORMATS[format];
+    return {
+      content,
+      blob: new Blob([content], { type: `${mimeType};charset=utf-8` }),
+      extension,
+      mimeType
+    };
+  } catch (error) {
+    console.error('Error exporting transcript:', error);
+    throw error;
+  }
+};
+
+/**
+ * Export a transcript and download it
+ * @param {Object|Array<Object>} transcript - Transcript in any form normalizeTranscript accepts
+ * @param {Object} options - Options for exportTranscript, plus:
+ * @param {string} options.format - Export format (default: 'txt')
+ * @param {string} options.filename - File name without extension (default: 'transcript')
+ * @returns {Object} The exportTranscript result
+ * @throws {Error} If the export fails
+ */
+export const downloadTranscript = (transcript, { format = 'txt', filename = 'transcript', ...options } = {}) => {
+  const result = exportTranscript(transcript, format, options);
+  downloadBlob(result.blob, `${filename}.${result.extension}`);
+  return result;
+};
+
+export default {
+  TRANSCRIPT_SCHEMA_VERSION,
+  TRANSCRIPT_EXPORT_FORMATS,
+  DEFAULT_CAPTION_OPTIONS,
+  normalizeTranscript,
+  hasTranscriptTiming,
+  wrapCaptionText,
+  buildCaptionCues,
+  formatCaptionTime,
+  toSrt,
+  toWebVtt,
+  toPlainText,
+  toJson,
+  exportTranscript,
+  downloadTranscript
+};
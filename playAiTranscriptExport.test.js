@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeTranscript,
+  buildCaptionCues,
+  formatCaptionTime,
+  toSrt,
+  toWebVtt,
+  toPlainText
+} from './playAiTranscriptExport';
+
+const TEXT = 'Thanks for calling Acme support. My name is Jordan and I will be helping you today '
+  + 'with your billing question about the invoice from last month! Is that right?';
+
+// A speech-to-text result with a word every 350 ms
+const sttResult = () => {
+  let time = 0;
+  const words = TEXT.split(' ').map((word) => {
+    const start = time;
+    time += 350;
+    return { word, start_ms: start, end_ms: time - 50 };
+  });
+  return { text: TEXT, confidence: 0.9, language: 'en-US', words };
+};
+
+test('words are grouped into sentence segments', () => {
+  const transcript = normalizeTranscript(sttResult());
+  assert.deepEqual(transcript.segments.map(segment => segment.text), [
+    'Thanks for calling Acme support.',
+    'My name is Jordan and I will be helping you today with your billing question about the invoice from last month!',
+    'Is that right?'
+  ]);
+});
+
+test('cues fit the line limits and never overlap', () => {
+  const cues = buildCaptionCues(normalizeTranscript(sttResult()), { maxLineLength: 32, maxLines: 2, maxDuration: 3 });
+
+  assert.ok(cues.length > 3);
+  cues.forEach((cue, index) => {
+    assert.ok(cue.lines.length <= 2);
+    cue.lines.forEach(line => assert.ok(line.length <= 32, `"${line}" is too long`));
+    assert.ok(cue.end - cue.start <= 3);
+    if (cues[index + 1]) assert.ok(cue.end <= cues[index + 1].start);
+  });
+});
+
+test('short cues are held for minDuration', () => {
+  const transcript = normalizeTranscript({ text: 'Hi.', words: [{ word: 'Hi.', start_ms: 0, end_ms: 200 }] });
+  const [cue] = buildCaptionCues(transcript);
+  assert.equal(cue.end - cue.start, 1);
+});
+
+test('SRT labels speakers and WebVTT uses voice tags', () => {
+  const messages = [
+    { role: 'agent', content: 'Hello! How can I help?', timestamp: 1000 },
+    { role: 'user', content: 'A question about a <bill> & stuff.', timestamp: 2500 }
+  ];
+  const transcript = normalizeTranscript(messages, { speakerLabels: { agent: 'Agent', user: 'Caller' } });
+
+  const srt = toSrt(transcript);
+  assert.match(srt, /^1\n00:00:00,000 --> 00:00:01,500\nAgent: Hello! How can I help\?\n/);
+  assert.match(srt, /Caller: A question about a <bill> & stuff\./);
+
+  const vtt = toWebVtt(transcript);
+  assert.match(vtt, /^WEBVTT\n/);
+  assert.match(vtt, /<v Caller>A question about a &lt;bill&gt; &amp; stuff\./);
+
+  assert.equal(toPlainText(transcript, { includeTimestamps: false }), 'Agent: Hello! How can I help?\nCaller: A question about a <bill> & stuff.\n');
+});
+
+test('untimed transcripts cannot be captioned', () => {
+  assert.throws(() => buildCaptionCues(normalizeTranscript([{ role: 'agent', content: 'Hey' }])), /start and end times/);
+});
+
+test('caption times are formatted for SRT and WebVTT', () => {
+  assert.equal(formatCaptionTime(3725.0456), '01:02:05,046');
+  assert.equal(formatCaptionTime(1.5, '.'), '00:00:01.500');
+});
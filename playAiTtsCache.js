@@ -0,0 +1,455 @@
+/**
+ * Play.ai Text-to-Speech Cache
+ *
+ * This module keeps synthesized audio so fixed phrases such as agent greetings
+ * and fallback responses are only paid for once. Entries are keyed by a hash
+ * of the text and voice settings (voice, speed, pitch and format) and stored
+ * in IndexedDB in the browser. On the server, pass the filesystem store from
+ * playAiTtsFileCache to configureTtsCache. The cache is bounded by total size
+ * and entry count, and evicts the least recently used entries first.
+ */
+
+import { textToSpeech, resolveLexicon } from './playAiTextToSpeech';
+
+// Bump to invalidate every entry when the key or entry format changes
+const CACHE_VERSION = 1;
+
+const DEFAULT_LIMITS = {
+  maxBytes: 50 * 1024 * 1024, // 50 MB
+  maxEntries: 500
+};
+
+const DB_NAME = 'playai-tts-cache';
+const AUDIO_STORE = 'audio';
+const ENTRY_STORE = 'entries';
+
+let cacheConfig = {
+  ...DEFAULT_LIMITS,
+  enabled: true,
+  store: null
+};
+
+// Synthesis requests in flight, so concurrent requests for one phrase share a call
+const pending = new Map();
+
+// Object URLs handed out per key, so repeated plays reuse one URL
+const objectUrls = new Map();
+
+const toArrayBuffer = (data) => (
+  data instanceof ArrayBuffer
+    ? data
+    : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+);
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Create a cache store backed by IndexedDB (browser only)
+ * @param {Object} options - Store options
+ * @param {string} options.dbName - Database name (default: 'playai-tts-cache')
+ * @returns {Object} Cache store
+ */
+export const createIndexedDbTtsCacheStore = ({ dbName = DB_NAME } = {}) => {
+  let dbPromise = null;
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          // Audio and metadata live apart so eviction never loads audio
+          request.result.createObjectStore(AUDIO_STORE);
+          request.result.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  const transaction = async (mode, fn) => {
+    const db = await getDb();
+    const tx = db.transaction([AUDIO_STORE, ENTRY_STORE], mode);
+    const result = await fn(tx.objectStore(AUDIO_STORE), tx.objectStore(ENTRY_STORE));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  };
+
+  return {
+    get: key => transaction('readonly', async (audioStore, entryStore) => {
+      const entry = await promisifyRequest(entryStore.get(key));
+      if (!entry) return null;
+      const audio = await promisifyRequest(audioStore.get(key));
+      return audio ? { entry, audio } : null;
+    }),
+
+    put: (entry, audio) => transaction('readwrite', async (audioStore, entryStore) => {
+      audioStore.put(audio, entry.key);
+      entryStore.put(entry);
+    }),
+
+    touch: (key, lastAccessedAt) => transaction('readwrite', async (audioStore, entryStore) => {
+      const entry = await promisifyRequest(entryStore.get(key));
+      if (entry) entryStore.put({ ...entry, lastAccessedAt });
+    }),
+
+    delete: key => transaction('readwrite', async (audioStore, entryStore) => {
+      audioStore.delete(key);
+      entryStore.delete(key);
+    }),
+
+    list: () => transaction('readonly', async (audioStore, entryStore) => promisifyRequest(entryStore.getAll())),
+
+    clear: () => transaction('readwrite', async (audioStore, entryStore) => {
+      audioStore.clear();
+      entryStore.clear();
+    })
+  };
+};
+
+/**
+ * Create a cache store that keeps entries in memory
+ * @returns {Object} Cache store
+ */
+export const createMemoryTtsCacheStore = () => {
+  const entries = new Map();
+
+  return {
+    get: async key => entries.get(key) || null,
+    put: async (entry, audio) => {
+      entries.set(entry.key, { entry, audio });
+    },
+    touch: async (key, lastAccessedAt) => {
+      const cached = entries.get(key);
+      if (cached) cached.entry = { ...cached.entry, lastAccessedAt };
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    list: async () => Array.from(entries.values()).map(({ entry }) => entry),
+    clear: async () => {
+      entries.clear();
+    }
+  };
+};
+
+const getStore = () => {
+  if (!cacheConfig.store) {
+    cacheConfig.store = typeof window !== 'undefined' && window.indexedDB
+      ? createIndexedDbTtsCacheStore()
+      : createMemoryTtsCacheStore();
+  }
+  return cacheConfig.store;
+};
+
+/**
+ * Configure the text-to-speech cache
+ * @param {Object} options - Cache options
+ * @param {Object} options.store - Cache store (default: IndexedDB in the browser, memory elsewhere)
+ * @param {number} options.maxBytes - Maximum total audio size in bytes (default: 50 MB)
+ * @param {number} options.maxEntries - Maximum number of entries (default: 500)
+ * @param {boolean} options.enabled - Set to false to bypass the cache (default: true)
+ * @returns {void}
+ */
+export const configureTtsCache = (options = {}) => {
+  cacheConfig = { ...cacheConfig, ...options };
+};
+
+/**
+ * Compute the cache key for a synthesis request
+ * @param {Object} options - Text-to-speech options
+ * @param {string} options.text - Text or SSML to speak
+ * @param {string} options.voiceId - The voice ID
+ * @param {number} options.speed - Speech speed factor
+ * @param {number} options.pitch - Speech pitch factor
+ * @param {string} options.format - Audio format
+ * @param {Array<Object>} options.lexicon - Pronunciation lexicon entries
+ * @returns {Promise<string>} Promise resolving to a hex SHA-256 key
+ */
+export const getTtsCacheKey = async ({ text, voiceId, speed, pitch, format, lexicon = [] }) => {
+  const source = JSON.stringify([CACHE_VERSION, text, voiceId, Number(speed), Number(pitch), format, lexicon]);
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Remove least recently used entries until the cache is within its limits
+const evict = async (store) => {
+  const entries = (await store.list()).sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+  let totalBytes = entries.reduce((total, entry) => total + entry.size, 0);
+  let count = entries.length;
+
+  for (const entry of entries) {
+    if (totalBytes <= cacheConfig.maxBytes && count <= cacheConfig.maxEntries) break;
+
+    await store.delete(entry.key);
+    totalBytes -= entry.size;
+    count -= 1;
+
+    if (objectUrls.has(entry.key)) {
+      URL.revokeObjectURL(objectUrls.get(entry.key));
+      objectUrls.delete(entry.key);
+    }
+  }
+};
+
+// Build the result returned for cached audio
+const toResult = (key, entry, audio, cached) => {
+  let audioUrl = entry.sourceUrl;
+
+  if (typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function' && typeof Blob !== 'undefined') {
+    if (!objectUrls.has(key)) {
+      objectUrls.set(key, URL.createObjectURL(new Blob([audio], { type: entry.contentType })));
+    }
+    audioUrl = objectUrls.get(key);
+  }
+
+  return {
+    ...entry.response,
+    audio_url: audioUrl,
+    audioData: audio,
+    contentType: entry.contentType,
+    cacheKey: key,
+    cached
+  };
+};
+
+// Settle with the promise, or reject with an AbortError as soon as the signal aborts
+const raceAbort = (promise, signal) => {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .finally(() => signal.removeEventListener('abort', onAbort))
+      .then(resolve, reject);
+  });
+};
+
+// Synthesize, download and store one phrase
+const synthesizeAndStore = async (key, options) => {
+  const { audio_url: sourceUrl, ...response } = await textToSpeech(options);
+
+  const audioResponse = await fetch(sourceUrl, { signal: options.signal });
+  if (!audioResponse.ok) {
+    throw new Error(`Failed to download synthesized audio (HTTP ${audioResponse.status})`);
+  }
+
+  const audio = toArrayBuffer(await audioResponse.arrayBuffer());
+  const now = Date.now();
+  const entry = {
+    key,
+    size: audio.byteLength,
+    contentType: audioResponse.headers.get('content-type') || `audio/${options.format === 'wav' ? 'wav' : 'mpeg'}`,
+    sourceUrl,
+    response,
+    createdAt: now,
+    lastAccessedAt: now
+  };
+
+  // A broken cache must never break speech
+  try {
+    const store = getStore();
+    await store.put(entry, audio);
+    await evict(store);
+  } catch (error) {
+    console.error('Error writing to TTS cache:', error);
+  }
+
+  return toResult(key, entry, audio, false);
+};
+
+/**
+ * Convert text to speech, reusing cached audio for identical requests
+ * @param {Object} options - Text-to-speech options, as for textToSpeech
+ * @param {string} options.text - The text to convert to speech
+ * @param {string|Object} options.ssml - SSML document or builder, used instead of text
+ * @param {string} options.voiceId - The voice ID to use (default: 'en-US-Neural2-F')
+ * @param {number} options.speed - Speech speed factor (default: 1.0)
+ * @param {number} options.pitch - Speech pitch factor (default: 1.0)
+ * @param {string} options.format - Audio format ('mp3' or 'wav', default: 'mp3')
+ * @param {Array<Object>} options.lexicon - Pronunciation lexicon entries to apply
+ * @param {string} options.agentId - Agent whose pronunciation lexicon to apply when no lexicon is given
+ * @param {boolean} options.includeTimestamps - Request word timestamps for captions; cached audio without
+ *   them is synthesized again (default: false)
+ * @param {boolean} options.refresh - Synthesize again even if the phrase is cached (default: false)
+ * @param {AbortSignal} options.signal - Signal to stop waiting; the synthesis, which other callers may
+ *   share, still finishes and is cached
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<Object>} Promise resolving to the textToSpeech response with audio_url pointing at
+ *   the cached audio (an object URL in the browser), plus audioData, contentType, cacheKey and cached
+ * @throws {Error} If the request fails
+ */
+export const cachedTextToSpeech = async ({
+  text,
+  ssml,
+  voiceId = 'en-US-Neural2-F',
+  speed = 1.0,
+  pitch = 1.0,
+  format = 'mp3',
+  lexicon,
+  agentId,
+  includeTimestamps = false,
+  refresh = false,
+  signal,
+  timeoutMs
+}) => {
+  const source = ssml !== undefined && ssml !== null
+    ? (typeof ssml === 'string' ? ssml : ssml.build())
+    : text;
+  // The lexicon changes the audio, so it is part of the key
+  const entries = await resolveLexicon({ lexicon, agentId, signal });
+  const options = { text: source, voiceId, speed, pitch, format, lexicon: entries, includeTimestamps, signal, timeoutMs };
+
+  if (!cacheConfig.enabled) {
+    return { ...(await textToSpeech(options)), cached: false };
+  }
+
+  if (!source || typeof source !== 'string') {
+    throw new Error('Text is required and must be a string');
+  }
+
+  const key = await getTtsCacheKey(options);
+
+  if (!refresh) {
+    try {
+      const store = getStore();
+      const hit = await store.get(key);
+      if (hit && (!includeTimestamps || hit.entry.response.wordTimestamps)) {
+        const lastAccessedAt = Date.now();
+        await store.touch(key, lastAccessedAt);
+        return toResult(key, { ...hit.entry, lastAccessedAt }, hit.audio, true);
+      }
+    } catch (error) {
+      console.error('Error reading from TTS cache:', error);
+    }
+  }
+
+  // Requests with and without timestamps get different responses, so they are not shared
+  const pendingKey = includeTimestamps ? `${key}:timestamps` : key;
+  if (!pending.has(pendingKey)) {
+    // The synthesis is shared, so no one caller's signal may cancel it
+    const shared = synthesizeAndStore(key, { ...options, signal: undefined });
+    pending.set(pendingKey, shared.finally(() => pending.delete(pendingKey)));
+  }
+
+  try {
+    return await raceAbort(pending.get(pendingKey), signal);
+  } catch (error) {
+    console.error('Error in cached text-to-speech conversion:', error);
+    throw error;
+  }
+};
+
+/**
+ * Synthesize phrases ahead of time so later requests are served from the cache
+ * @param {Array<string|Object>} phrases - Texts, or option objects for cachedTextToSpeech
+ * @param {Object} options - Voice settings shared by all phrases, plus:
+ * @param {number} options.concurrency - Maximum phrases synthesized at once (default: 2)
+ * @returns {Promise<Object>} Promise resolving to { cached, synthesized, failed } counts
+ */
+export const prewarmTtsCache = async (phrases, { concurrency = 2, ...voiceSettings } = {}) => {
+  const queue = phrases
+    .map(phrase => (typeof phrase === 'string' ? { text: phrase } : phrase))
+    .filter(phrase => phrase.text || phrase.ssml);
+  const summary = { cached: 0, synthesized: 0, failed: 0 };
+
+  const worker = async () => {
+    while (queue.length) {
+      const phrase = queue.shift();
+      try {
+        const result = await cachedTextToSpeech({ ...voiceSettings, ...phrase });
+        summary[result.cached ? 'cached' : 'synthesized'] += 1;
+      } catch (error) {
+        summary.failed += 1;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  return summary;
+};
+
+/**
+ * Pre-warm the cache with an agent's fixed phrases
+ *
+ * Word timestamps are requested too, so conversations can caption the cached
+ * phrases without synthesizing them again.
+ *
+ * @param {Object} agent - Agent settings
+ * @param {string} agent.agentId - ID of a saved agent, whose pronunciation lexicon is applied
+ * @param {string} agent.voiceId - The agent's voice ID
+ * @param {string} agent.greeting - Greeting spoken when a conversation starts
+ * @param {string} agent.fallbackResponse - Response used when the agent does not understand
+ * @param {Array<string>} agent.phrases - Other fixed phrases
+ * @param {Array<Object>} agent.pronunciations - Pronunciation lexicon entries, used instead of the saved agent's
+ * @param {Object} options - Voice settings (speed, pitch, format), includeTimestamps (default: true) and concurrency
+ * @returns {Promise<Object>} Promise resolving to { cached, synthesized, failed } counts
+ */
+export const prewarmAgentPhrases = ({
+  agentId,
+  voiceId,
+  greeting,
+  fallbackResponse,
+  phrases = [],
+  pronunciations
+}, options = {}) => {
+  return prewarmTtsCache([greeting, fallbackResponse, ...phrases].filter(Boolean), {
+    includeTimestamps: true,
+    ...options,
+    voiceId,
+    agentId,
+    lexicon: pronunciations
+  });
+};
+
+/**
+ * Remove every cached entry
+ * @returns {Promise<void>} Promise that resolves when the cache is empty
+ */
+export const clearTtsCache = async () => {
+  objectUrls.forEach(url => URL.revokeObjectURL(url));
+  objectUrls.clear();
+  await getStore().clear();
+};
+
+/**
+ * Get cache usage
+ * @returns {Promise<Object>} Promise resolving to { entries, bytes, maxEntries, maxBytes }
+ */
+export const getTtsCacheStats = async () => {
+  const entries = await getStore().list();
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((total, entry) => total + entry.size, 0),
+    maxEntries: cacheConfig.maxEntries,
+    maxBytes: cacheConfig.maxBytes
+  };
+};
+
+export default {
+  cachedTextToSpeech,
+  prewarmTtsCache,
+  prewarmAgentPhrases,
+  configureTtsCache,
+  clearTtsCache,
+  getTtsCacheStats,
+  getTtsCacheKey,
+  createIndexedDbTtsCacheStore,
+  createMemoryTtsCacheStore
+};
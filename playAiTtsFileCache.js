@@ -0,0 +1,118 @@
+/**
+ * Play.ai Text-to-Speech File Cache
+ *
+ * This module is used only on the server. It stores cached text-to-speech audio
+ * on disk, one file per entry plus an index.json holding the entry metadata.
+ * Pass the store to configureTtsCache from playAiTtsCache:
+ *
+ *   configureTtsCache({ store: createFileTtsCacheStore() });
+ *
+ * The directory defaults to PLAY_AI_TTS_CACHE_DIR, or .playai-tts-cache in the
+ * working directory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Create a cache store backed by the filesystem
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory for cached audio (default: PLAY_AI_TTS_CACHE_DIR or .playai-tts-cache)
+ * @returns {Object} Cache store
+ */
+export const createFileTtsCacheStore = ({
+  directory = process.env.PLAY_AI_TTS_CACHE_DIR || path.join(process.cwd(), '.playai-tts-cache')
+} = {}) => {
+  // Entry metadata by key, loaded lazily on first access
+  let index = null;
+
+  // Index writes are chained so they never interleave
+  let writeQueue = Promise.resolve();
+
+  const audioPath = key => path.join(directory, `${key}.audio`);
+
+  const loadIndex = async () => {
+    if (index) return index;
+
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(path.join(directory, INDEX_FILE), 'utf8'));
+      index = new Map(saved.map(entry => [entry.key, entry]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading TTS cache index:', error);
+      }
+      index = new Map();
+    }
+
+    return index;
+  };
+
+  const saveIndex = () => {
+    const write = writeQueue.then(async () => {
+      const indexPath = path.join(directory, INDEX_FILE);
+      const tempPath = `${indexPath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(Array.from(index.values())));
+      await fs.promises.rename(tempPath, indexPath);
+    });
+    // A failed write rejects only for its caller; the next write starts afresh
+    writeQueue = write.catch(() => {});
+    return write;
+  };
+
+  return {
+    get: async (key) => {
+      const entries = await loadIndex();
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      try {
+        const data = await fs.promises.readFile(audioPath(key));
+        return { entry, audio: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) };
+      } catch (error) {
+        // The audio file was removed behind our back
+        entries.delete(key);
+        await saveIndex();
+        return null;
+      }
+    },
+
+    put: async (entry, audio) => {
+      const entries = await loadIndex();
+      await fs.promises.writeFile(audioPath(entry.key), Buffer.from(audio));
+      entries.set(entry.key, entry);
+      await saveIndex();
+    },
+
+    touch: async (key, lastAccessedAt) => {
+      const entries = await loadIndex();
+      const entry = entries.get(key);
+      if (!entry) return;
+      entries.set(key, { ...entry, lastAccessedAt });
+      await saveIndex();
+    },
+
+    delete: async (key) => {
+      const entries = await loadIndex();
+      entries.delete(key);
+      await fs.promises.rm(audioPath(key), { force: true });
+      await saveIndex();
+    },
+
+    list: async () => Array.from((await loadIndex()).values()),
+
+    clear: async () => {
+      const entries = await loadIndex();
+      await Promise.all(Array.from(entries.keys()).map(key => fs.promises.rm(audioPath(key), { force: true })));
+      entries.clear();
+      await saveIndex();
+    }
+  };
+};
+
+export default {
+  createFileTtsCacheStore
+};
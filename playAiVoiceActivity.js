@@ -0,0 +1,259 @@
+/**
+ * Play.ai Voice Activity Detection
+ *
+ * This module tells speech from silence and background noise on the
+ * microphone, so streaming speech-to-text and conversations only send audio
+ * while the user is talking and can end the user's turn by themselves. Each
+ * frame is judged on its energy, compared with a noise floor that adapts to
+ * the room, and on its spectrum: speech puts most of its energy between
+ * 250 Hz and 4 kHz and, unlike fans or hiss, is far from spectrally flat.
+ *
+ * The detector reports three events: speechStart once speech has lasted
+ * minSpeechMs, speechEnd after speechEndMs without speech, and endOfUtterance
+ * once per turn after endOfUtteranceMs without speech.
+ */
+
+export const DEFAULT_VAD_OPTIONS = {
+  energyThresholdDb: -50,
+  noiseMarginDb: 10,
+  minSpeechBandRatio: 0.5,
+  maxSpectralFlatness: 0.4,
+  minSpeechMs: 60,
+  speechEndMs: 400,
+  endOfUtteranceMs: 1200
+};
+
+// Frequency range that carries most of the energy of speech, in Hz
+const SPEECH_BAND = [250, 4000];
+
+// How quickly the noise floor follows the level of non-speech frames
+const NOISE_FLOOR_ADAPTATION = 0.05;
+
+const INITIAL_NOISE_FLOOR_DB = -70;
+
+/**
+ * Measure one frame of microphone audio
+ * @param {Object} frame - Frame data, as read from an AnalyserNode
+ * @param {Float32Array} frame.timeData - Samples from getFloatTimeDomainData
+ * @param {Float32Array} frame.frequencyData - Magnitudes in dB from getFloatFrequencyData
+ * @param {number} frame.sampleRate - Sample rate of the audio in Hz
+ * @returns {Object} { rmsDb, speechBandRatio, flatness }
+ */
+export const measureFrame = ({ timeData, frequencyData, sampleRate }) => {
+  let sumSquares = 0;
+  for (let i = 0; i < timeData.length; i++) {
+    sumSquares += timeData[i] * timeData[i];
+  }
+  const rms = Math.sqrt(sumSquares / timeData.length);
+
+  // Bins cover 0 Hz up to half the sample rate
+  const binWidth = sampleRate / 2 / frequencyData.length;
+  const firstBin = Math.max(1, Math.floor(SPEECH_BAND[0] / binWidth));
+  const lastBin = Math.min(frequencyData.length - 1, Math.ceil(SPEECH_BAND[1] / binWidth));
+  let totalPower = 0;
+  let bandPower = 0;
+  let bandLogPower = 0;
+
+  // Skip the DC bin, which holds microphone offset rather than sound
+  for (let bin = 1; bin < frequencyData.length; bin++) {
+    const power = 10 ** (frequencyData[bin] / 10) + 1e-20;
+    totalPower += power;
+    if (bin >= firstBin && bin <= lastBin) {
+      bandPower += power;
+      bandLogPower += Math.log(power);
+    }
+  }
+
+  const bandBins = lastBin - firstBin + 1;
+  return {
+    rmsDb: rms > 0 ? 20 * Math.log10(rms) : -Infinity,
+    speechBandRatio: totalPower > 0 ? bandPower / totalPower : 0,
+    // Geometric over arithmetic mean: near 1 for noise, low for voiced speech
+    flatness: bandPower > 0 ? Math.exp(bandLogPower / bandBins) / (bandPower / bandBins) : 1
+  };
+};
+
+/**
+ * Create a voice activity detector
+ *
+ * The detector is a state machine over frame measurements; it does not read
+ * audio itself. Use monitorVoiceActivity to run it on a microphone stream.
+ *
+ * @param {Object} options - Detection thresholds, see DEFAULT_VAD_OPTIONS
+ * @param {number} options.energyThresholdDb - Level below which a frame is never speech, in dBFS (default: -50)
+ * @param {number} options.noiseMarginDb - How far above the noise floor speech must be, in dB (default: 10)
+ * @param {number} options.minSpeechBandRatio - Share of the energy that must lie in the speech band (default: 0.5)
+ * @param {number} options.maxSpectralFlatness - Flatness above which a frame counts as noise (default: 0.4)
+ * @param {number} options.minSpeechMs - Speech needed before speechStart, in ms (default: 60)
+ * @param {number} options.speechEndMs - Silence needed before speechEnd, in ms (default: 400)
+ * @param {number} options.endOfUtteranceMs - Silence needed before endOfUtterance, in ms (default: 1200)
+ * @returns {Object} Detector with process, reset, isSpeaking and noiseFloorDb
+ */
+export const createVoiceActivityDetector = (options = {}) => {
+  const config = { ...DEFAULT_VAD_OPTIONS, ...options };
+  let noiseFloorDb = INITIAL_NOISE_FLOOR_DB;
+  let speaking = false;
+  let speechSince = null;
+  let lastSpeechAt = null;
+  let utteranceOpen = false;
+
+  /**
+   * Feed one frame to the detector
+   * @param {Object} measurement - Frame measurement from measureFrame
+   * @param {number} timeMs - Time of the frame in ms
+   * @returns {Array<string>} Events raised by this frame: 'speechStart', 'speechEnd' and 'endOfUtterance'
+   */
+  const process = ({ rmsDb, speechBandRatio, flatness }, timeMs) => {
+    const events = [];
+    const thresholdDb = Math.max(config.energyThresholdDb, noiseFloorDb + config.noiseMarginDb);
+    const isSpeechFrame = rmsDb >= thresholdDb &&
+      speechBandRatio >= config.minSpeechBandRatio &&
+      flatness <= config.maxSpectralFlatness;
+
+    if (isSpeechFrame) {
+      lastSpeechAt = timeMs;
+      if (speechSince === null) speechSince = timeMs;
+
+      if (!speaking && timeMs - speechSince >= config.minSpeechMs) {
+        speaking = true;
+        utteranceOpen = true;
+        events.push('speechStart');
+      }
+      return events;
+    }
+
+    speechSince = null;
+
+    // Learn the room's noise from the frames between turns
+    if (!speaking && Number.isFinite(rmsDb)) {
+      noiseFloorDb += (rmsDb - noiseFloorDb) * NOISE_FLOOR_ADAPTATION;
+    }
+
+    const silenceMs = lastSpeechAt === null ? 0 : timeMs - lastSpeechAt;
+    if (speaking && silenceMs >= config.speechEndMs) {
+      speaking = false;
+      events.push('speechEnd');
+    }
+    if (utteranceOpen && !speaking && silenceMs >= config.endOfUtteranceMs) {
+      utteranceOpen = false;
+      events.push('endOfUtterance');
+    }
+    return events;
+  };
+
+  /**
+   * Forget the current turn, keeping the learned noise floor
+   * @returns {void}
+   */
+  const reset = () => {
+    speaking = false;
+    speechSince = null;
+    lastSpeechAt = null;
+    utteranceOpen = false;
+  };
+
+  return {
+    process,
+    reset,
+    isSpeaking: () => speaking,
+    noiseFloorDb: () => noiseFloorDb
+  };
+};
+
+/**
+ * Watch a microphone stream for speech
+ *
+ * Analysis runs on its own AudioContext, so it works alongside any capture.
+ * The microphone tracks are left running when monitoring stops.
+ *
+ * @param {Object} options - Detection thresholds (see createVoiceActivityDetector), plus:
+ * @param {MediaStream} options.mediaStream - Media stream from the microphone
+ * @param {number} options.frameMs - How often to analyze the audio, in ms (default: 20)
+ * @param {Function} options.onSpeechStart - Callback when the user starts speaking
+ * @param {Function} options.onSpeechEnd - Callback when the user stops speaking
+ * @param {Function} options.onEndOfUtterance - Callback when the user's turn has ended
+ * @param {Function} options.onLevel - Callback with each frame's measurement, e.g. for a level meter
+ * @returns {Object} Monitor with stop and isSpeaking
+ * @throws {Error} If the browser has no Web Audio support
+ */
+export const monitorVoiceActivity = ({
+  mediaStream,
+  frameMs = 20,
+  onSpeechStart,
+  onSpeechEnd,
+  onEndOfUtterance,
+  onLevel,
+  ...options
+}) => {
+  if (!mediaStream) {
+    throw new Error('Media stream is required');
+  }
+
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) {
+    throw new Error('Voice activity detection is not supported in this browser');
+  }
+
+  const detector = createVoiceActivityDetector(options);
+  const audioContext = new AudioContextClass();
+  let source;
+  let analyser;
+  try {
+    source = audioContext.createMediaStreamSource(mediaStream);
+    analyser = audioContext.createAnalyser();
+    analyser.fftSize = 1024;
+    analyser.smoothingTimeConstant = 0;
+    source.connect(analyser);
+  } catch (error) {
+    audioContext.close().catch(() => {});
+    throw error;
+  }
+
+  const timeData = new Float32Array(analyser.fftSize);
+  const frequencyData = new Float32Array(analyser.frequencyBinCount);
+  const handlers = {
+    speechStart: onSpeechStart,
+    speechEnd: onSpeechEnd,
+    endOfUtterance: onEndOfUtterance
+  };
+
+  const analyze = () => {
+    analyser.getFloatTimeDomainData(timeData);
+    analyser.getFloatFrequencyData(frequencyData);
+    const measurement = measureFrame({ timeData, frequencyData, sampleRate: audioContext.sampleRate });
+    if (onLevel) onLevel(measurement);
+
+    detector.process(measurement, Date.now()).forEach((event) => {
+      if (handlers[event]) handlers[event]();
+    });
+  };
+
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(error => console.error('Error starting voice activity detection:', error));
+  }
+  const timer = setInterval(analyze, frameMs);
+
+  /**
+   * Stop watching the stream
+   * @returns {void}
+   */
+  const stop = () => {
+    clearInterval(timer);
+    source.disconnect();
+    if (audioContext.state !== 'closed') {
+      audioContext.close().catch(() => {});
+    }
+  };
+
+  return {
+    stop,
+    isSpeaking: detector.isSpeaking
+  };
+};
+
+export default {
+  DEFAULT_VAD_OPTIONS,
+  measureFrame,
+  createVoiceActivityDetector,
+  monitorVoiceActivity
+};
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createVoiceActivityDetector } from './playAiVoiceActivity';
+
+const FRAME_MS = 20;
+
+// Measurements as returned by measureFrame
+const FRAMES = {
+  silence: { rmsDb: -80, speechBandRatio: 0, flatness: 1 },
+  hiss: { rmsDb: -30, speechBandRatio: 0.3, flatness: 0.9 },
+  speech: { rmsDb: -20, speechBandRatio: 0.8, flatness: 0.1 }
+};
+
+// Feed [kind, ms] steps to a detector and collect its events as 'event@ms'
+const run = (script, options) => {
+  const detector = createVoiceActivityDetector(options);
+  const events = [];
+  let time = 0;
+
+  script.forEach(([kind, ms]) => {
+    for (const end = time + ms; time < end; time += FRAME_MS) {
+      detector.process(FRAMES[kind], time).forEach(event => events.push(`${event}@${time}`));
+    }
+  });
+
+  return { detector, events };
+};
+
+test('speech raises speechStart, speechEnd and endOfUtterance in order', () => {
+  const { events } = run([['silence', 200], ['speech', 300], ['silence', 800]], {
+    speechEndMs: 200,
+    endOfUtteranceMs: 600
+  });
+
+  assert.deepEqual(events, ['speechStart@260', 'speechEnd@680', 'endOfUtterance@1080']);
+});
+
+test('a short pause ends speech without ending the utterance', () => {
+  const { events } = run([
+    ['silence', 200],
+    ['speech', 300],
+    ['silence', 500],
+    ['speech', 300],
+    ['silence', 1600]
+  ]);
+
+  assert.deepEqual(events.map(event => event.split('@')[0]), [
+    'speechStart',
+    'speechEnd',
+    'speechStart',
+    'speechEnd',
+    'endOfUtterance'
+  ]);
+});
+
+test('speech shorter than minSpeechMs is ignored', () => {
+  const { events } = run([['silence', 200], ['speech', 40], ['silence', 1600]]);
+  assert.deepEqual(events, []);
+});
+
+test('broadband noise is never speech and raises the noise floor', () => {
+  const { detector, events } = run([['hiss', 2000]]);
+  assert.deepEqual(events, []);
+  assert.ok(detector.noiseFloorDb() > -40);
+});
+
+test('reset forgets the current turn', () => {
+  const { detector } = run([['silence', 100], ['speech', 200]]);
+  assert.equal(detector.isSpeaking(), true);
+  detector.reset();
+  assert.equal(detector.isSpeaking(), false);
+  assert.deepEqual(detector.process(FRAMES.silence, 5000), []);
+});
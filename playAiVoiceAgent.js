@@ -7,6 +7,24 @@
  */
 
 import playAiAuth from './playAiAuth';
+import { playAiRequest } from './playAiRequest';
+import { paginate, toQueryString } from './playAiPagination';
+import {
+  normalizeLexicon,
+  validateLexicon,
+  setAgentLexicon,
+  getCachedAgentLexicon,
+  clearAgentLexicons
+} from './playAiLexicon';
+
+// Check a pronunciation lexicon and convert it to the form the API stores
+const toLexiconPayload = (pronunciations) => {
+  const { valid, errors } = validateLexicon(pronunciations);
+  if (!valid) {
+    throw new Error(`Invalid pronunciation lexicon: ${errors.join('; ')}`);
+  }
+  return normalizeLexicon(pronunciations);
+};
 
 /**
  * Create a new voice agent
@@ -17,8 +35,11 @@ import playAiAuth from './playAiAuth';
  * @param {Object} options.knowledgeBase - Knowledge base for the agent
  * @param {Object} options.personality - Personality traits for the agent
  * @param {Array} options.intents - Conversation intents for the agent
+ * @param {Array<Object>} options.pronunciations - Pronunciation lexicon entries ({ word, alias, phoneme, alphabet })
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to created agent details
- * @throws {Error} If the request fails
+ * @throws {Error} If the lexicon is invalid or the request fails
  */
 export const createVoiceAgent = async ({
   name,
@@ -26,14 +47,19 @@ export const createVoiceAgent = async ({
   voiceId,
   knowledgeBase = {},
   personality = {},
-  intents = []
+  intents = [],
+  pronunciations = [],
+  signal,
+  timeoutMs
 }) => {
   if (!name || !voiceId) {
     throw new Error('Name and voiceId are required to create a voice agent');
   }
 
+  const lexicon = toLexiconPayload(pronunciations);
+
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents`, {
+    const agent = await playAiRequest('/agents', {
       method: 'POST',
       headers: playAiAuth.getAuthHeaders(),
       body: JSON.stringify({
@@ -42,16 +68,16 @@ export const createVoiceAgent = async ({
         voice_id: voiceId,
         knowledge_base: knowledgeBase,
         personality,
-        intents
-      })
+        intents,
+        pronunciation_lexicon: lexicon
+      }),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to create voice agent'
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to create voice agent');
-    }
-
-    return await response.json();
+    setAgentLexicon(agent.id, agent.pronunciation_lexicon || lexicon);
+    return agent;
   } catch (error) {
     console.error('Error creating voice agent:', error);
     throw error;
@@ -63,51 +89,88 @@ export const createVoiceAgent = async ({
  * @param {Object} options - Query options
  * @param {number} options.limit - Maximum number of agents to return
  * @param {number} options.offset - Offset for pagination
- * @returns {Promise<Array>} Promise resolving to array of voice agents
+ * @param {string} options.status - Only return agents with this status
+ * @param {Date|string} options.createdAfter - Only return agents created after this date
+ * @param {Date|string} options.createdBefore - Only return agents created before this date
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<Array|Object>} Promise resolving to array of voice agents, or a page with pagination metadata
  * @throws {Error} If the request fails
  */
-export const getVoiceAgents = async ({ limit = 50, offset = 0 } = {}) => {
+export const getVoiceAgents = async ({
+  limit = 50,
+  offset = 0,
+  status,
+  createdAfter,
+  createdBefore,
+  signal,
+  timeoutMs
+} = {}) => {
+  const query = toQueryString({
+    limit,
+    offset,
+    status,
+    created_after: createdAfter,
+    created_before: createdBefore
+  });
+
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents?limit=${limit}&offset=${offset}`, {
+    return await playAiRequest(`/agents${query}`, {
       method: 'GET',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get voice agents'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to get voice agents');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error getting voice agents:', error);
     throw error;
   }
 };
 
+/**
+ * Iterate over all voice agents, following the server's pagination
+ * @param {Object} options - Query options
+ * @param {number} options.pageSize - Agents to request per page (default: 50)
+ * @param {string} options.status - Only return agents with this status
+ * @param {Date|string} options.createdAfter - Only return agents created after this date
+ * @param {Date|string} options.createdBefore - Only return agents created before this date
+ * @param {AbortSignal} options.signal - Signal to stop iterating and cancel the current request
+ * @param {number} options.timeoutMs - Timeout in ms for each page request
+ * @returns {AsyncGenerator<Object>} Async iterator over voice agents
+ */
+export const iterateVoiceAgents = ({ pageSize = 50, signal, ...filters } = {}) => {
+  return paginate(
+    ({ limit, offset }) => getVoiceAgents({ ...filters, limit, offset, signal }),
+    { pageSize, signal }
+  );
+};
+
 /**
  * Get a specific voice agent by ID
  * @param {string} agentId - ID of the voice agent to retrieve
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to voice agent details
  * @throws {Error} If the request fails
  */
-export const getVoiceAgent = async (agentId) => {
+export const getVoiceAgent = async (agentId, { signal, timeoutMs } = {}) => {
   if (!agentId) {
     throw new Error('Agent ID is required');
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents/${agentId}`, {
+    const agent = await playAiRequest(`/agents/${agentId}`, {
       method: 'GET',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get voice agent'
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to get voice agent');
-    }
-
-    return await response.json();
+    setAgentLexicon(agentId, agent.pronunciation_lexicon || []);
+    return agent;
   } catch (error) {
     console.error('Error getting voice agent:', error);
     throw error;
@@ -117,28 +180,35 @@ export const getVoiceAgent = async (agentId) => {
 /**
  * Update an existing voice agent
  * @param {string} agentId - ID of the voice agent to update
- * @param {Object} updates - Fields to update
+ * @param {Object} updates - Fields to update; pronunciations replaces the pronunciation lexicon
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to updated agent details
- * @throws {Error} If the request fails
+ * @throws {Error} If the lexicon is invalid or the request fails
  */
-export const updateVoiceAgent = async (agentId, updates) => {
+export const updateVoiceAgent = async (agentId, updates, { signal, timeoutMs } = {}) => {
   if (!agentId) {
     throw new Error('Agent ID is required');
   }
 
+  const { pronunciations, ...fields } = updates;
+  const body = pronunciations ? { ...fields, pronunciation_lexicon: toLexiconPayload(pronunciations) } : fields;
+
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents/${agentId}`, {
+    const agent = await playAiRequest(`/agents/${agentId}`, {
       method: 'PATCH',
       headers: playAiAuth.getAuthHeaders(),
-      body: JSON.stringify(updates)
+      body: JSON.stringify(body),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to update voice agent'
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to update voice agent');
+    if (body.pronunciation_lexicon) {
+      setAgentLexicon(agentId, agent.pronunciation_lexicon || body.pronunciation_lexicon);
     }
-
-    return await response.json();
+    return agent;
   } catch (error) {
     console.error('Error updating voice agent:', error);
     throw error;
@@ -148,25 +218,28 @@ export const updateVoiceAgent = async (agentId, updates) => {
 /**
  * Delete a voice agent
  * @param {string} agentId - ID of the voice agent to delete
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<boolean>} Promise resolving to true if deletion was successful
  * @throws {Error} If the request fails
  */
-export const deleteVoiceAgent = async (agentId) => {
+export const deleteVoiceAgent = async (agentId, { signal, timeoutMs } = {}) => {
   if (!agentId) {
     throw new Error('Agent ID is required');
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents/${agentId}`, {
+    await playAiRequest(`/agents/${agentId}`, {
       method: 'DELETE',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to delete voice agent',
+      responseType: 'none'
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to delete voice agent');
-    }
-
+    clearAgentLexicons(agentId);
     return true;
   } catch (error) {
     console.error('Error deleting voice agent:', error);
@@ -178,27 +251,26 @@ export const deleteVoiceAgent = async (agentId) => {
  * Add knowledge base content to a voice agent
  * @param {string} agentId - ID of the voice agent
  * @param {Object} content - Knowledge base content to add
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to updated knowledge base
  * @throws {Error} If the request fails
  */
-export const addKnowledgeBase = async (agentId, content) => {
+export const addKnowledgeBase = async (agentId, content, { signal, timeoutMs } = {}) => {
   if (!agentId || !content) {
     throw new Error('Agent ID and content are required');
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents/${agentId}/knowledge`, {
+    return await playAiRequest(`/agents/${agentId}/knowledge`, {
       method: 'POST',
       headers: playAiAuth.getAuthHeaders(),
-      body: JSON.stringify({ content })
+      body: JSON.stringify({ content }),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to add knowledge base content'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to add knowledge base content');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error adding knowledge base content:', error);
     throw error;
@@ -209,10 +281,13 @@ export const addKnowledgeBase = async (agentId, content) => {
  * Upload a file to a voice agent's knowledge base
  * @param {string} agentId - ID of the voice agent
  * @param {File} file - File to upload
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to upload result
  * @throws {Error} If the request fails
  */
-export const uploadKnowledgeFile = async (agentId, file) => {
+export const uploadKnowledgeFile = async (agentId, file, { signal, timeoutMs } = {}) => {
   if (!agentId || !file) {
     throw new Error('Agent ID and file are required');
   }
@@ -221,21 +296,14 @@ export const uploadKnowledgeFile = async (agentId, file) => {
     const formData = new FormData();
     formData.append('file', file);
 
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents/${agentId}/knowledge/upload`, {
+    return await playAiRequest(`/agents/${agentId}/knowledge/upload`, {
       method: 'POST',
-      headers: {
-        'X-User-ID': playAiAuth.PLAY_AI_USER_ID,
-        'X-API-Key': playAiAuth.PLAY_AI_API_KEY
-      },
-      body: formData
+      headers: playAiAuth.getUploadHeaders(),
+      body: formData,
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to upload knowledge file'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to upload knowledge file');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error uploading knowledge file:', error);
     throw error;
@@ -245,26 +313,25 @@ export const uploadKnowledgeFile = async (agentId, file) => {
 /**
  * Train a voice agent with updated knowledge or configuration
  * @param {string} agentId - ID of the voice agent to train
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to training status
  * @throws {Error} If the request fails
  */
-export const trainVoiceAgent = async (agentId) => {
+export const trainVoiceAgent = async (agentId, { signal, timeoutMs } = {}) => {
   if (!agentId) {
     throw new Error('Agent ID is required');
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents/${agentId}/train`, {
+    return await playAiRequest(`/agents/${agentId}/train`, {
       method: 'POST',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to train voice agent'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to train voice agent');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error training voice agent:', error);
     throw error;
@@ -274,40 +341,57 @@ export const trainVoiceAgent = async (agentId) => {
 /**
  * Get training status for a voice agent
  * @param {string} agentId - ID of the voice agent
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
  * @returns {Promise<Object>} Promise resolving to training status
  * @throws {Error} If the request fails
  */
-export const getTrainingStatus = async (agentId) => {
+export const getTrainingStatus = async (agentId, { signal, timeoutMs } = {}) => {
   if (!agentId) {
     throw new Error('Agent ID is required');
   }
 
   try {
-    const response = await fetch(`${playAiAuth.PLAY_AI_BASE_URL}/agents/${agentId}/training-status`, {
+    return await playAiRequest(`/agents/${agentId}/training-status`, {
       method: 'GET',
-      headers: playAiAuth.getAuthHeaders()
+      headers: playAiAuth.getAuthHeaders(),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get training status'
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to get training status');
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error getting training status:', error);
     throw error;
   }
 };
 
+/**
+ * Get the pronunciation lexicon of a voice agent
+ * @param {string} agentId - ID of the voice agent
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Array<Object>>} Promise resolving to lexicon entries, fetched once per agent
+ * @throws {Error} If the agent cannot be loaded
+ */
+export const getAgentLexicon = async (agentId, { signal } = {}) => {
+  const cached = getCachedAgentLexicon(agentId);
+  if (cached) return cached;
+
+  await getVoiceAgent(agentId, { signal });
+  return getCachedAgentLexicon(agentId) || [];
+};
+
 export default {
   createVoiceAgent,
   getVoiceAgents,
+  iterateVoiceAgents,
   getVoiceAgent,
   updateVoiceAgent,
   deleteVoiceAgent,
   addKnowledgeBase,
   uploadKnowledgeFile,
   trainVoiceAgent,
-  getTrainingStatus
+  getTrainingStatus,
+  getAgentLexicon
 };
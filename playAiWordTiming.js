@@ -0,0 +1,145 @@
+/**
+ * Play.ai Word Timing
+ *
+ * This module works with the word and phoneme timestamps Play.ai returns
+ * alongside synthesized speech, so captions can follow the audio. Timestamps
+ * are normalized to seconds from the start of the audio:
+ *
+ *   { word: 'Hello', start: 0, end: 0.3, phonemes: [{ phoneme: 'h', start: 0, end: 0.05 }, ...] }
+ *
+ * Positions are read from the audio's own clock (an audio element's
+ * currentTime or a streaming player's getCurrentTime), so captions stay in
+ * step when playback is paused or sped up.
+ */
+
+// Word characters compared when lining timestamps up with the displayed text
+const WORD_PATTERN = /[\p{L}\p{N}'’]+/gu;
+
+const toSeconds = (item, name) => {
+  if (typeof item[`${name}_ms`] === 'number') return item[`${name}_ms`] / 1000;
+  return typeof item[name] === 'number' ? item[name] : 0;
+};
+
+const normalizeTiming = (item, labelField) => ({
+  [labelField]: item[labelField],
+  start: toSeconds(item, 'start'),
+  end: toSeconds(item, 'end')
+});
+
+/**
+ * Normalize timestamps from the API to seconds
+ * @param {Array<Object>} timestamps - Words with word, start_ms and end_ms, and optionally phonemes
+ *   with phoneme, start_ms and end_ms
+ * @returns {Array<Object>} Words with word, start and end in seconds (and phonemes, if given), in time order
+ */
+export const normalizeWordTimestamps = (timestamps = []) => timestamps
+  .filter(item => item && item.word)
+  .map(item => ({
+    ...normalizeTiming(item, 'word'),
+    ...(Array.isArray(item.phonemes) && {
+      phonemes: item.phonemes.filter(phoneme => phoneme && phoneme.phoneme).map(phoneme => normalizeTiming(phoneme, 'phoneme'))
+    })
+  }))
+  .sort((a, b) => a.start - b.start);
+
+/**
+ * Find the word being spoken at a point in the audio
+ *
+ * The previous word stays current through the pause before the next one, so
+ * highlighting does not flicker between words.
+ *
+ * @param {Array<Object>} words - Normalized words, in time order
+ * @param {number} time - Position in the audio in seconds
+ * @returns {number} Index of the word, or -1 before the first word and after the last one
+ */
+export const findWordAtTime = (words, time) => {
+  if (!words.length || time < words[0].start || time > words[words.length - 1].end) return -1;
+
+  let low = 0;
+  let high = words.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (words[middle].start <= time) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Line timestamped words up with the text shown to the user
+ *
+ * Matching ignores case and punctuation. Words that do not appear in the
+ * text, such as pronunciation aliases, get no range.
+ *
+ * @param {string} text - Displayed text
+ * @param {Array<Object>} words - Normalized words, in time order
+ * @returns {Array<Object|null>} { start, end } character range in the text for each word, or null
+ */
+export const alignWordsToText = (text, words) => {
+  const tokens = Array.from(text.matchAll(WORD_PATTERN), match => ({
+    value: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+  let cursor = 0;
+
+  return words.map(({ word }) => {
+    const value = (word.match(WORD_PATTERN) || []).join('').toLowerCase();
+    // Look a few tokens ahead so one unmatched word does not throw off the rest
+    for (let index = cursor; index < Math.min(tokens.length, cursor + 4); index++) {
+      if (tokens[index].value === value) {
+        cursor = index + 1;
+        return { start: tokens[index].start, end: tokens[index].end };
+      }
+    }
+    return null;
+  });
+};
+
+/**
+ * Follow playback and report the word being spoken
+ * @param {Object} options - Tracking options
+ * @param {Function} options.getTime - Returns the current position in the audio in seconds
+ * @param {Array<Object>} options.words - Normalized words, in time order
+ * @param {Function} options.onWordChange - Callback with the word index (-1 for none) whenever it changes
+ * @returns {Function} Function that stops tracking
+ */
+export const trackSpokenWord = ({ getTime, words, onWordChange }) => {
+  const useAnimationFrame = typeof window !== 'undefined' && typeof window.requestAnimationFrame === 'function';
+  let currentIndex = -1;
+  let handle = null;
+  let stopped = false;
+
+  const tick = () => {
+    if (stopped) return;
+
+    const index = findWordAtTime(words, getTime());
+    if (index !== currentIndex) {
+      currentIndex = index;
+      onWordChange(index);
+    }
+
+    handle = useAnimationFrame ? window.requestAnimationFrame(tick) : setTimeout(tick, 50);
+  };
+
+  tick();
+
+  return () => {
+    stopped = true;
+    if (useAnimationFrame) {
+      window.cancelAnimationFrame(handle);
+    } else {
+      clearTimeout(handle);
+    }
+  };
+};
+
+export default {
+  normalizeWordTimestamps,
+  findWordAtTime,
+  alignWordsToText,
+  trackSpokenWord
+};
@@ -0,0 +1,232 @@
+/**
+ * Play.ai Workspace Store
+ *
+ * This module is used only on the server. It keeps the Play.ai credentials for
+ * each workspace so one deployment can run agents for several Play.ai accounts.
+ * Workspaces come from three places:
+ *   - the `default` workspace, from PLAY_AI_USER_ID / PLAY_AI_API_KEY
+ *   - PLAY_AI_WORKSPACES, a JSON array of { id, name, userId, apiKey }
+ *   - workspaces added at runtime, saved to PLAY_AI_WORKSPACES_FILE when set
+ *
+ * Workspaces added at runtime belong to the app user who added them.
+ */
+
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { validateCredentials, getAccountInfo } from './playAiAuth';
+
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+// The client rate limiter is shared by the whole process, so checks for one
+// workspace must not wait behind, or pause, requests for the others
+const SERVER_REQUEST_OPTIONS = { rateLimit: false };
+
+/**
+ * Error for a workspace request the caller got wrong, with the HTTP status to answer it with
+ */
+export class WorkspaceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.status = status;
+  }
+}
+
+// Workspaces by ID, loaded lazily on first access
+let workspaces = null;
+
+// Read workspaces from the environment and the workspaces file
+const loadWorkspaces = () => {
+  const loaded = new Map();
+
+  if (process.env.PLAY_AI_USER_ID && process.env.PLAY_AI_API_KEY) {
+    loaded.set(DEFAULT_WORKSPACE_ID, {
+      id: DEFAULT_WORKSPACE_ID,
+      name: 'Default',
+      userId: process.env.PLAY_AI_USER_ID,
+      apiKey: process.env.PLAY_AI_API_KEY,
+      source: 'environment'
+    });
+  }
+
+  try {
+    const configured = JSON.parse(process.env.PLAY_AI_WORKSPACES || '[]');
+    configured.forEach((workspace) => {
+      loaded.set(workspace.id, { ...workspace, source: 'environment' });
+    });
+  } catch (error) {
+    console.error('Error parsing PLAY_AI_WORKSPACES:', error);
+  }
+
+  const filePath = process.env.PLAY_AI_WORKSPACES_FILE;
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      saved.forEach((workspace) => {
+        if (!loaded.has(workspace.id)) {
+          loaded.set(workspace.id, { ...workspace, source: 'file' });
+        }
+      });
+    } catch (error) {
+      console.error('Error reading Play.ai workspaces file:', error);
+    }
+  }
+
+  return loaded;
+};
+
+const getWorkspaceMap = () => {
+  if (!workspaces) {
+    workspaces = loadWorkspaces();
+  }
+  return workspaces;
+};
+
+// Persist runtime workspaces; environment workspaces are never written to disk
+const saveWorkspaces = () => {
+  const filePath = process.env.PLAY_AI_WORKSPACES_FILE;
+  if (!filePath) return;
+
+  const saved = Array.from(getWorkspaceMap().values())
+    .filter((workspace) => workspace.source === 'file')
+    .map(({ source, ...workspace }) => workspace);
+
+  fs.writeFileSync(filePath, JSON.stringify(saved, null, 2));
+};
+
+// Strip credentials before a workspace leaves the server
+const toPublicWorkspace = ({ id, name, accountName, createdAt, source }) => ({
+  id,
+  name,
+  accountName: accountName || null,
+  createdAt: createdAt || null,
+  editable: source !== 'environment'
+});
+
+/**
+ * List all workspaces without their credentials
+ * @returns {Array<Object>} Array of workspaces
+ */
+export const listWorkspaces = () => {
+  return Array.from(getWorkspaceMap().values()).map(toPublicWorkspace);
+};
+
+/**
+ * Get the Play.ai credentials for a workspace
+ * @param {string} workspaceId - ID of the workspace (default: 'default')
+ * @returns {Object} Credentials with userId and apiKey
+ * @throws {WorkspaceError} If the workspace does not exist
+ */
+export const getWorkspaceCredentials = (workspaceId = DEFAULT_WORKSPACE_ID) => {
+  const workspace = getWorkspaceMap().get(workspaceId || DEFAULT_WORKSPACE_ID);
+
+  if (!workspace) {
+    throw new WorkspaceError(`Unknown Play.ai workspace: ${workspaceId}`, 404);
+  }
+
+  return {
+    userId: workspace.userId,
+    apiKey: workspace.apiKey
+  };
+};
+
+/**
+ * Get the app user who added a workspace
+ * @param {string} workspaceId - ID of the workspace
+ * @returns {string|null} Username of the owner, or null for unknown and environment workspaces
+ */
+export const getWorkspaceOwnerId = (workspaceId) => {
+  const workspace = getWorkspaceMap().get(workspaceId || DEFAULT_WORKSPACE_ID);
+  return (workspace && workspace.ownerId) || null;
+};
+
+// Check credentials with Play.ai; rejected credentials are the caller's error, not an outage
+const checkCredentials = async (credentials) => {
+  let isValid;
+
+  try {
+    isValid = await validateCredentials(credentials, SERVER_REQUEST_OPTIONS);
+  } catch (error) {
+    if (error.status === 401 || error.status === 403) {
+      throw new WorkspaceError('Invalid Play.ai credentials');
+    }
+    throw error;
+  }
+
+  if (!isValid) {
+    throw new WorkspaceError('Invalid Play.ai credentials');
+  }
+};
+
+/**
+ * Add a workspace after validating its Play.ai credentials
+ * @param {Object} options - Workspace options
+ * @param {string} options.name - Display name of the workspace
+ * @param {string} options.userId - Play.ai User ID for the workspace
+ * @param {string} options.apiKey - Play.ai API Key for the workspace
+ * @param {string} options.ownerId - Username of the app user adding the workspace
+ * @returns {Promise<Object>} Promise resolving to the created workspace (without credentials)
+ * @throws {WorkspaceError} If the credentials are missing or invalid
+ * @throws {Error} If Play.ai cannot be reached or the workspace cannot be saved
+ */
+export const createWorkspace = async ({ name, userId, apiKey, ownerId = null }) => {
+  if (!name || !userId || !apiKey) {
+    throw new WorkspaceError('Name, User ID and API Key are required to create a workspace');
+  }
+
+  const credentials = { userId, apiKey };
+
+  await checkCredentials(credentials);
+
+  const accountInfo = await getAccountInfo(credentials, SERVER_REQUEST_OPTIONS);
+
+  const workspace = {
+    id: uuidv4(),
+    name,
+    userId,
+    apiKey,
+    accountName: accountInfo.name || accountInfo.email || null,
+    createdAt: new Date().toISOString(),
+    ownerId,
+    source: 'file'
+  };
+
+  getWorkspaceMap().set(workspace.id, workspace);
+  saveWorkspaces();
+
+  return toPublicWorkspace(workspace);
+};
+
+/**
+ * Remove a workspace that was added at runtime
+ * @param {string} workspaceId - ID of the workspace to remove
+ * @returns {boolean} True if the workspace was removed
+ * @throws {WorkspaceError} If the workspace does not exist or comes from the environment
+ * @throws {Error} If the workspaces file cannot be written
+ */
+export const removeWorkspace = (workspaceId) => {
+  const workspace = getWorkspaceMap().get(workspaceId);
+
+  if (!workspace) {
+    throw new WorkspaceError(`Unknown Play.ai workspace: ${workspaceId}`, 404);
+  }
+
+  if (workspace.source === 'environment') {
+    throw new WorkspaceError('Workspaces configured through environment variables cannot be removed');
+  }
+
+  getWorkspaceMap().delete(workspaceId);
+  saveWorkspaces();
+
+  return true;
+};
+
+export default {
+  DEFAULT_WORKSPACE_ID,
+  WorkspaceError,
+  listWorkspaces,
+  getWorkspaceCredentials,
+  getWorkspaceOwnerId,
+  createWorkspace,
+  removeWorkspace
+};
@@ -0,0 +1,123 @@
+/**
+ * Play.ai Workspace Management
+ *
+ * This module manages workspaces from the browser. Each workspace holds the
+ * Play.ai credentials of one client account; the credentials are stored and
+ * validated on the server and never returned to the browser. The active
+ * workspace decides which account every Play.ai API module talks to.
+ */
+
+import playAiAuth from './playAiAuth';
+import { playAiRequest } from './playAiRequest';
+
+const WORKSPACES_URL = '/api/workspaces';
+
+/**
+ * Get all workspaces
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<Array>} Promise resolving to array of workspaces
+ * @throws {Error} If the request fails
+ */
+export const getWorkspaces = async ({ signal, timeoutMs } = {}) => {
+  try {
+    return await playAiRequest(WORKSPACES_URL, {
+      baseUrl: '',
+      method: 'GET',
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to get workspaces'
+    });
+  } catch (error) {
+    console.error('Error getting workspaces:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a workspace with its own Play.ai credentials
+ * @param {Object} options - Workspace options
+ * @param {string} options.name - Display name of the workspace
+ * @param {string} options.userId - Play.ai User ID of the client account
+ * @param {string} options.apiKey - Play.ai API Key of the client account
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<Object>} Promise resolving to the created workspace
+ * @throws {Error} If the credentials are invalid or the request fails
+ */
+export const createWorkspace = async ({ name, userId, apiKey, signal, timeoutMs }) => {
+  if (!name || !userId || !apiKey) {
+    throw new Error('Name, User ID and API Key are required to create a workspace');
+  }
+
+  try {
+    return await playAiRequest(WORKSPACES_URL, {
+      baseUrl: '',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ name, userId, apiKey }),
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to create workspace'
+    });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a workspace
+ * @param {string} workspaceId - ID of the workspace to delete
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.timeoutMs - Request timeout in ms (default: from the client configuration)
+ * @returns {Promise<boolean>} Promise resolving to true if deletion was successful
+ * @throws {Error} If the request fails
+ */
+export const deleteWorkspace = async (workspaceId, { signal, timeoutMs } = {}) => {
+  if (!workspaceId) {
+    throw new Error('Workspace ID is required');
+  }
+
+  try {
+    await playAiRequest(`${WORKSPACES_URL}?id=${encodeURIComponent(workspaceId)}`, {
+      baseUrl: '',
+      method: 'DELETE',
+      responseType: 'none',
+      signal,
+      timeoutMs,
+      errorMessage: 'Failed to delete workspace'
+    });
+
+    // Fall back to the default workspace if the active one was deleted
+    if (playAiAuth.getActiveWorkspaceId() === workspaceId) {
+      playAiAuth.setActiveWorkspaceId(null);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    throw error;
+  }
+};
+
+/**
+ * Switch the active workspace
+ * @param {string} workspaceId - ID of the workspace to activate
+ * @returns {void}
+ */
+export const switchWorkspace = (workspaceId) => {
+  playAiAuth.setActiveWorkspaceId(workspaceId);
+};
+
+export default {
+  getWorkspaces,
+  createWorkspace,
+  deleteWorkspace,
+  switchWorkspace,
+  getActiveWorkspaceId: playAiAuth.getActiveWorkspaceId
+};
@@ -0,0 +1,51 @@
+import { createSessionToken, getRequestWorkspaceId, SESSION_TOKEN_SCOPES } from '../../../lib/playAiProxy';
+import { requireWorkspaceAccess } from '../../../lib/appAuth';
+
+/**
+ * Session token route: POST /api/playai/session-token
+ * Body: { scope: 'conversation' | 'stt', agentId }
+ * Returns a short-lived token that WebSocket clients use instead of the API key.
+ * Tokens are only minted for signed-in users of the requested workspace.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ message: 'Method not allowed' });
+    return;
+  }
+
+  const workspaceId = getRequestWorkspaceId(req);
+  if (!requireWorkspaceAccess(req, res, workspaceId)) return;
+
+  const { scope = 'conversation', agentId } = req.body || {};
+
+  if (!SESSION_TOKEN_SCOPES.includes(scope)) {
+    res.status(400).json({ message: `Invalid session token scope: ${scope}` });
+    return;
+  }
+
+  if (scope === 'conversation' && !agentId) {
+    res.status(400).json({ message: 'Agent ID is required for a conversation token' });
+    return;
+  }
+
+  try {
+    const session = await createSessionToken({
+      workspaceId,
+      scope,
+      agentId
+    });
+
+    // Tokens are per-connection secrets and must never be cached by proxies
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json(session);
+  } catch (error) {
+    // Pass Play.ai's rate limit on, so the browser that hit it backs off
+    if (error.status === 429) {
+      if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+      res.status(429).json({ message: error.message || 'Too many session token requests' });
+      return;
+    }
+    res.status(502).json({ message: error.message || 'Failed to create session token' });
+  }
+}
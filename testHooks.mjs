@@ -0,0 +1,44 @@
+/**
+ * Test Module Hooks
+ *
+ * Lets `node --test` load the app's modules as they are written for Next.js:
+ * ES modules in .js files, imported without a file extension. Registered by
+ * `npm test` with --import.
+ */
+
+import { readFile } from 'fs/promises';
+import { register } from 'module';
+import { fileURLToPath } from 'url';
+import { isMainThread } from 'worker_threads';
+
+const ESM_SYNTAX = /^\s*(import|export)\s/m;
+
+const isAppFile = url => url.startsWith('file:') && url.endsWith('.js') && !url.includes('/node_modules/');
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    // Relative imports leave out the extension, as the Next.js bundler allows
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && /^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (isAppFile(url)) {
+    const source = await readFile(fileURLToPath(url), 'utf8');
+    // The mock server stays CommonJS so `npm run mock:playai` can run it directly
+    if (ESM_SYNTAX.test(source)) {
+      return { format: 'module', source, shortCircuit: true };
+    }
+  }
+  return nextLoad(url, context);
+};
+
+// The hooks run on their own thread; only the main thread registers them
+if (isMainThread) {
+  register(import.meta.url);
+}
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import {
+  DEFAULT_AUDIO_OUTPUT_SETTINGS,
+  getAudioOutputSettings,
+  subscribeToAudioOutput,
+  getOutputDevices,
+  setOutputDevice,
+  updateAudioOutput,
+  isOutputDeviceSelectionSupported
+} from '../lib/playAiAudioOutput';
+
+/**
+ * Custom hook for the shared audio output settings
+ * 
+ * The device list is refreshed when headsets or speakers are plugged in or
+ * removed. The first render uses the defaults, as the server does, and the
+ * saved settings are loaded after mount so hydration matches.
+ * 
+ * @returns {Object} Output settings (deviceId, volume, playbackRate, muted), devices,
+ *   canSelectDevice and the setDevice, setVolume, setPlaybackRate and setMuted functions
+ */
+const useAudioOutput = () => {
+  const [settings, setSettings] = useState(DEFAULT_AUDIO_OUTPUT_SETTINGS);
+  const [devices, setDevices] = useState([]);
+  const [canSelectDevice, setCanSelectDevice] = useState(false);
+
+  useEffect(() => {
+    const loadDevices = async () => setDevices(await getOutputDevices());
+
+    setSettings(getAudioOutputSettings());
+    setCanSelectDevice(isOutputDeviceSelectionSupported());
+    loadDevices();
+
+    const mediaDevices = typeof navigator !== 'undefined' ? navigator.mediaDevices : null;
+    if (mediaDevices?.addEventListener) mediaDevices.addEventListener('devicechange', loadDevices);
+
+    const unsubscribe = subscribeToAudioOutput(setSettings);
+    return () => {
+      unsubscribe();
+      if (mediaDevices?.removeEventListener) mediaDevices.removeEventListener('devicechange', loadDevices);
+    };
+  }, []);
+
+  return {
+    ...settings,
+    devices,
+    canSelectDevice,
+    setDevice: setOutputDevice,
+    setVolume: volume => updateAudioOutput({ volume }),
+    setPlaybackRate: playbackRate => updateAudioOutput({ playbackRate }),
+    setMuted: muted => updateAudioOutput({ muted })
+  };
+};
+
+export default useAudioOutput;
@@ -21,7 +21,8 @@ const useAudioRecording = () => {
       };
       
       recorder.onstop = () => {
-        const blob = new Blob(chunks, { type: 'audio/webm' });
+        // Safari records MP4 rather than WebM
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
         setAudioBlob(blob);
         setAudioChunks(chunks);
         
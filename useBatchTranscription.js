@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react';
+import {
+  listTranscriptionJobs,
+  subscribeToTranscriptionJobs,
+  createTranscriptionJob,
+  runTranscriptionJob,
+  pauseTranscriptionJob,
+  retryFailedItems,
+  deleteTranscriptionJob
+} from '../lib/playAiBatchTranscription';
+
+/**
+ * Custom hook for batch transcription jobs
+ *
+ * Jobs saved before a page reload are loaded on mount and can be started
+ * again with runJob.
+ *
+ * @returns {Object} jobs (newest first), isLoading, error and the startJob, runJob,
+ *   pauseJob, retryFailed and deleteJob functions
+ */
+const useBatchTranscription = () => {
+  const [jobs, setJobs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    listTranscriptionJobs()
+      .then((saved) => {
+        if (active) setJobs(saved);
+      })
+      .catch((err) => {
+        if (active) setError(err.message);
+      })
+      .finally(() => {
+        if (active) setIsLoading(false);
+      });
+
+    const unsubscribe = subscribeToTranscriptionJobs((job) => {
+      setJobs((current) => {
+        if (job.deleted) return current.filter(existing => existing.id !== job.id);
+        return current.some(existing => existing.id === job.id)
+          ? current.map(existing => (existing.id === job.id ? job : existing))
+          : [job, ...current];
+      });
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  // Run errors are recorded on the items; only setup errors surface here
+  const runJob = async (jobId, options) => {
+    setError(null);
+    try {
+      return await runTranscriptionJob(jobId, options);
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const startJob = async (sources, { concurrency, ...jobOptions } = {}) => {
+    setError(null);
+    try {
+      const job = await createTranscriptionJob(sources, jobOptions);
+      return runJob(job.id, { concurrency });
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const retryFailed = async (jobId, options) => {
+    await retryFailedItems(jobId);
+    return runJob(jobId, options);
+  };
+
+  return {
+    jobs,
+    isLoading,
+    error,
+    startJob,
+    runJob,
+    pauseJob: pauseTranscriptionJob,
+    retryFailed,
+    deleteJob: deleteTranscriptionJob
+  };
+};
+
+export default useBatchTranscription;
@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+import { getRateLimitState, subscribeToRateLimit } from '../lib/playAiRateLimiter';
+
+/**
+ * Custom hook for following the Play.ai client rate limiter
+ * 
+ * Components can use it to show that requests are queued, or paused after
+ * the API returned 429 with a Retry-After header.
+ * 
+ * @returns {Object} Rate limit state with queued, active, isWaiting, isPaused,
+ *   pausedUntil and per-bucket details
+ */
+const usePlayAiRateLimit = () => {
+  const [state, setState] = useState(getRateLimitState);
+
+  useEffect(() => {
+    // Pick up changes made between the first render and subscribing
+    setState(getRateLimitState());
+    return subscribeToRateLimit(setState);
+  }, []);
+
+  return {
+    ...state,
+    isPaused: state.pausedUntil !== null && state.pausedUntil > Date.now()
+  };
+};
+
+export default usePlayAiRateLimit;
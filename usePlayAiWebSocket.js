@@ -1,11 +1,14 @@
 import { useEffect, useRef, useState } from 'react';
+import playAiAuth from '../lib/playAiAuth';
+import { getWebSocketUrl } from '../lib/playAiClient';
 
 /**
  * Custom hook for managing WebSocket connections with Play.ai API
  * 
+ * Connections authenticate with a short-lived session token minted by the
+ * server, and every reconnect attempt fetches a fresh one.
+ * 
  * @param {Object} options - Configuration options
- * @param {string} options.userId - Play.ai User ID
- * @param {string} options.apiKey - Play.ai API Key
  * @param {string} options.agentId - ID of the voice agent to connect to
  * @param {Function} options.onMessage - Callback for received messages
  * @param {Function} options.onError - Callback for errors
@@ -13,8 +16,6 @@ import { useEffect, useRef, useState } from 'react';
  * @returns {Object} WebSocket controls and state
  */
 const usePlayAiWebSocket = ({
-  userId,
-  apiKey,
   agentId,
   onMessage,
   onError,
@@ -25,6 +26,10 @@ const usePlayAiWebSocket = ({
   const socketRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const reconnectAttemptsRef = useRef(0);
+  const isConnectingRef = useRef(false);
+  const isMountedRef = useRef(true);
+  // Bumped by disconnect, so a connect waiting for its token knows it was cancelled
+  const connectionIdRef = useRef(0);
   const MAX_RECONNECT_ATTEMPTS = 5;
   const RECONNECT_DELAY = 2000; // 2 seconds
 
@@ -46,17 +51,29 @@ const usePlayAiWebSocket = ({
   };
 
   // Connect to WebSocket
-  const connect = () => {
-    if (socketRef.current && (socketRef.current.readyState === WebSocket.OPEN || socketRef.current.readyState === WebSocket.CONNECTING)) {
+  const connect = async ({ forceRefresh = false } = {}) => {
+    const isOpen = socketRef.current && (socketRef.current.readyState === WebSocket.OPEN || socketRef.current.readyState === WebSocket.CONNECTING);
+    if (isOpen || isConnectingRef.current) {
       console.log('WebSocket already connected or connecting');
       return;
     }
 
+    // Claim the connection before waiting for the token, so a second call cannot open another socket
+    isConnectingRef.current = true;
+    const connectionId = connectionIdRef.current;
+
     try {
       updateStatus('connecting');
       
       // Create WebSocket connection to Play.ai API
-      const wsUrl = `wss://api.play.ai/v1/conversation?user_id=${userId}&api_key=${apiKey}&agent_id=${agentId}`;
+      const token = await playAiAuth.getSessionToken({ scope: 'conversation', agentId, forceRefresh });
+
+      // Disconnected or unmounted while the token was on its way
+      if (!isMountedRef.current || connectionId !== connectionIdRef.current) {
+        return;
+      }
+
+      const wsUrl = getWebSocketUrl('/conversation', { token, agent_id: agentId });
       socketRef.current = new WebSocket(wsUrl);
       
       // Set up event handlers
@@ -93,7 +110,7 @@ const usePlayAiWebSocket = ({
           console.log(`Attempting to reconnect (${reconnectAttemptsRef.current}/${MAX_RECONNECT_ATTEMPTS})...`);
           
           reconnectTimeoutRef.current = setTimeout(() => {
-            connect();
+            connect({ forceRefresh: true });
           }, RECONNECT_DELAY);
         } else if (reconnectAttemptsRef.current >= MAX_RECONNECT_ATTEMPTS) {
           handleError(new Error('Maximum reconnection attempts reached'));
@@ -101,12 +118,17 @@ const usePlayAiWebSocket = ({
       };
     } catch (err) {
       console.error('Error creating WebSocket:', err);
-      handleError(err);
+      if (isMountedRef.current && connectionId === connectionIdRef.current) handleError(err);
+    } finally {
+      // A disconnect has already released the claim, and a newer connect may hold it
+      if (connectionId === connectionIdRef.current) isConnectingRef.current = false;
     }
   };
 
   // Disconnect WebSocket
   const disconnect = () => {
+    connectionIdRef.current += 1;
+
     if (reconnectTimeoutRef.current) {
       clearTimeout(reconnectTimeoutRef.current);
       reconnectTimeoutRef.current = null;
@@ -116,6 +138,9 @@ const usePlayAiWebSocket = ({
       socketRef.current.close(1000, 'User initiated disconnect');
       socketRef.current = null;
       updateStatus('disconnected');
+    } else if (isConnectingRef.current) {
+      isConnectingRef.current = false;
+      updateStatus('disconnected');
     }
   };
 
@@ -156,7 +181,9 @@ const usePlayAiWebSocket = ({
 
   // Clean up on unmount
   useEffect(() => {
+    isMountedRef.current = true;
     return () => {
+      isMountedRef.current = false;
       disconnect();
     };
   }, []);
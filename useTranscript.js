@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+
+const emptyTranscript = { segments: [], text: '', finalText: '', interimText: '' };
+
+/**
+ * Custom hook for a transcript assembled from streaming speech-to-text
+ * @param {Object} transcript - Store from createTranscriptAssembler, e.g. the transcript of a
+ *   streamSpeechToText controller; may be null until streaming starts
+ * @returns {Object} Current transcript: segments, text, finalText and interimText
+ */
+const useTranscript = (transcript) => {
+  const [snapshot, setSnapshot] = useState(() => (transcript ? transcript.getSnapshot() : emptyTranscript));
+
+  useEffect(() => {
+    if (!transcript) {
+      setSnapshot(emptyTranscript);
+      return undefined;
+    }
+
+    // Catch up on results that arrived before the effect ran
+    setSnapshot(transcript.getSnapshot());
+    return transcript.subscribe(setSnapshot);
+  }, [transcript]);
+
+  return snapshot;
+};
+
+export default useTranscript;
@@ -0,0 +1,50 @@
+import { listWorkspaces, createWorkspace, removeWorkspace, WorkspaceError } from '../../lib/playAiWorkspaceStore';
+import { requireSession, canAccessWorkspace } from '../../lib/appAuth';
+import { PlayAiApiError } from '../../lib/playAiErrorHandling';
+
+/**
+ * Workspace route: /api/workspaces (signed-in users only)
+ *   GET            - list the user's workspaces (credentials are never returned)
+ *   POST           - add a workspace owned by the user: { name, userId, apiKey }
+ *   DELETE ?id=... - remove a workspace added at runtime
+ */
+export default async function handler(req, res) {
+  const user = requireSession(req, res);
+  if (!user) return;
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        res.status(200).json(listWorkspaces().filter(workspace => canAccessWorkspace(user, workspace.id)));
+        break;
+      case 'POST': {
+        const { name, userId, apiKey } = req.body || {};
+        const workspace = await createWorkspace({ name, userId, apiKey, ownerId: user.username });
+        res.status(201).json(workspace);
+        break;
+      }
+      case 'DELETE':
+        if (!canAccessWorkspace(user, req.query.id)) {
+          res.status(403).json({ message: 'You do not have access to this workspace' });
+          break;
+        }
+        removeWorkspace(req.query.id);
+        res.status(204).end();
+        break;
+      default:
+        res.setHeader('Allow', 'GET, POST, DELETE');
+        res.status(405).json({ message: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Error handling workspace request:', error);
+
+    // Only the caller's mistakes are 4xx; Play.ai and disk failures are ours
+    if (error instanceof WorkspaceError) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error instanceof PlayAiApiError) {
+      res.status(502).json({ message: 'Failed to reach the Play.ai API' });
+    } else {
+      res.status(500).json({ message: 'Workspace request failed' });
+    }
+  }
+}